@@ -21,6 +21,9 @@ const {
   CloudWatchClient,
   PutMetricDataCommand,
 } = require("@aws-sdk/client-cloudwatch");
+const HeadersUtil = require("./src/utils/headers.util");
+const AttributesUtil = require("./src/utils/attributes.util");
+const FifoUtil = require("./src/utils/fifo.util");
 
 const sqsClient = new SQSClient({ region: process.env.AWS_REGION });
 const snsClient = new SNSClient({ region: process.env.AWS_REGION });
@@ -28,6 +31,54 @@ const cloudwatchClient = new CloudWatchClient({
   region: process.env.AWS_REGION,
 });
 
+/**
+ * Check whether a decoded message is a webhook envelope rather than a bare value
+ * @param {*} message - Decoded message
+ * @returns {boolean} True for plain objects
+ */
+function isEnvelope(message) {
+  return message !== null && typeof message === "object" && !Array.isArray(message);
+}
+
+/**
+ * Convert the attributes of a received SNS notification to the shape PublishCommand takes
+ * SNS delivers { Type, Value }, with Binary values base64-encoded
+ * @param {Object} messageAttributes - Notification message attributes
+ * @returns {Object} Message attributes as { DataType, StringValue | BinaryValue }
+ */
+function toPublishAttributes(messageAttributes) {
+  return Object.fromEntries(
+    Object.entries(messageAttributes || {}).map(([name, { Type, Value }]) => [
+      name,
+      Type === "Binary"
+        ? { DataType: Type, BinaryValue: Buffer.from(Value, "base64") }
+        : { DataType: Type, StringValue: Value },
+    ])
+  );
+}
+
+/**
+ * Get the ordering fields a retry to a FIFO topic needs
+ * The retry keeps the message group it was delivered in, falling back to the route
+ * name like the receiver does, and gets a deduplication ID of its own so SNS does not
+ * drop it as a duplicate of the original
+ * @param {Object|*} webhookEvent - The original webhook event, decoded
+ * @param {Object} failureInfo - Information about the failure
+ * @returns {Object} MessageGroupId and MessageDeduplicationId
+ * @throws {Error} If no message group is known
+ */
+function getRetryOrdering(webhookEvent, failureInfo) {
+  const messageGroupId = failureInfo.messageGroupId ?? (isEnvelope(webhookEvent) ? webhookEvent.route?.name : undefined);
+  if (!messageGroupId) {
+    throw new Error("FIFO topics require a message group ID");
+  }
+
+  return {
+    MessageGroupId: messageGroupId,
+    MessageDeduplicationId: `${failureInfo.deduplicationId ?? failureInfo.messageId}-r${failureInfo.receiveCount}`,
+  };
+}
+
 /**
  * Process a single DLQ message
  * @param {Object} record - SQS record from the event
@@ -45,6 +96,8 @@ async function processDLQMessage(record) {
       firstReceiveTimestamp:
         record.attributes?.ApproximateFirstReceiveTimestamp,
       sentTimestamp: record.attributes?.SentTimestamp,
+      messageGroupId: record.attributes?.MessageGroupId,
+      deduplicationId: record.attributes?.MessageDeduplicationId,
       originalTopicArn: messageAttributes.TopicArn?.stringValue,
       failureReason: messageAttributes.FailureReason?.stringValue || "Unknown",
       subscriberEndpoint: messageAttributes.Endpoint?.stringValue,
@@ -56,12 +109,16 @@ async function processDLQMessage(record) {
       JSON.stringify(failureInfo, null, 2)
     );
 
-    // Parse the original webhook event
+    // Decode the original webhook event, inflating compressed messages
+    const received = {
+      message: messageBody.Message ?? messageBody,
+      messageAttributes: messageBody.MessageAttributes || {},
+    };
     let webhookEvent;
     try {
-      webhookEvent = JSON.parse(messageBody.Message || messageBody);
+      webhookEvent = HeadersUtil.decodeMessage(received.message, received.messageAttributes);
     } catch (e) {
-      webhookEvent = messageBody.Message || messageBody;
+      webhookEvent = received.message;
     }
 
     // Analyze failure patterns
@@ -73,7 +130,7 @@ async function processDLQMessage(record) {
     // Determine if we should retry
     if (analysis.shouldRetry && failureInfo.receiveCount < 3) {
       console.log("Attempting to retry message delivery");
-      await retryDelivery(webhookEvent, failureInfo);
+      await retryDelivery(webhookEvent, failureInfo, received);
     } else {
       console.log("Message will not be retried", {
         shouldRetry: analysis.shouldRetry,
@@ -135,11 +192,15 @@ function analyzeFailure(failureInfo, webhookEvent) {
     );
   }
 
-  // Check if it's a critical webhook (e.g., payment, security)
-  if (
-    webhookEvent.path?.includes("/payment") ||
-    webhookEvent.path?.includes("/security") ||
-    webhookEvent.path?.includes("/critical")
+  // Criticality comes from the route table; messages published before routes
+  // carried it fall back to the legacy path check
+  const path = webhookEvent?.transport?.path ?? webhookEvent?.path;
+  if (webhookEvent?.route) {
+    analysis.isCritical = webhookEvent.route.critical === true;
+  } else if (
+    path?.includes("/payment") ||
+    path?.includes("/security") ||
+    path?.includes("/critical")
   ) {
     analysis.isCritical = true;
   }
@@ -206,34 +267,47 @@ async function sendMetrics(failureInfo, analysis) {
 
 /**
  * Retry delivery of the webhook event
- * @param {Object} webhookEvent - The original webhook event
+ * Envelopes are republished with retry metadata, encoded the way they were received
+ * so content-encoding still describes the body; other messages are republished as
+ * they were received
+ * @param {Object|*} webhookEvent - The original webhook event, decoded
  * @param {Object} failureInfo - Information about the failure
+ * @param {Object} received - The message as received, with its notification message attributes
  */
-async function retryDelivery(webhookEvent, failureInfo) {
+async function retryDelivery(webhookEvent, failureInfo, received) {
   // For HTTP/HTTPS endpoints, we could implement a direct HTTP retry
   // For now, we'll republish to the original SNS topic with retry metadata
 
   if (failureInfo.originalTopicArn) {
-    const retryMessage = {
-      ...webhookEvent,
-      _retry: {
-        attempt: failureInfo.receiveCount,
-        originalMessageId: failureInfo.messageId,
-        originalFailure: failureInfo.failureReason,
-        retryTimestamp: new Date().toISOString(),
-      },
-    };
+    const messageAttributes = toPublishAttributes(received.messageAttributes);
+    let message = typeof received.message === "string" ? received.message : JSON.stringify(received.message);
+
+    if (isEnvelope(webhookEvent)) {
+      const retryMessage = {
+        ...webhookEvent,
+        _retry: {
+          attempt: failureInfo.receiveCount,
+          originalMessageId: failureInfo.messageId,
+          originalFailure: failureInfo.failureReason,
+          retryTimestamp: new Date().toISOString(),
+        },
+      };
+      message = HeadersUtil.encodeMessage(retryMessage, messageAttributes["content-encoding"]?.StringValue);
+    }
+
+    // SNS takes at most 10 attributes; the attempt is in _retry either way
+    if ("RetryAttempt" in messageAttributes || Object.keys(messageAttributes).length < AttributesUtil.MAX_MESSAGE_ATTRIBUTES) {
+      messageAttributes.RetryAttempt = {
+        DataType: "Number",
+        StringValue: failureInfo.receiveCount.toString(),
+      };
+    }
 
     const command = new PublishCommand({
       TopicArn: failureInfo.originalTopicArn,
-      Message: JSON.stringify(retryMessage),
-      MessageAttributes: {
-        ...webhookEvent.MessageAttributes,
-        RetryAttempt: {
-          DataType: "Number",
-          StringValue: failureInfo.receiveCount.toString(),
-        },
-      },
+      Message: message,
+      MessageAttributes: messageAttributes,
+      ...(FifoUtil.isFifoTopic(failureInfo.originalTopicArn) && getRetryOrdering(webhookEvent, failureInfo)),
     });
 
     await snsClient.send(command);
@@ -264,9 +338,10 @@ async function sendCriticalFailureNotification(
       receiveCount: failureInfo.receiveCount,
     },
     webhookEvent: {
-      path: webhookEvent.path,
-      method: webhookEvent.method,
-      timestamp: webhookEvent.timestamp,
+      route: webhookEvent?.route?.name,
+      path: webhookEvent?.transport?.path ?? webhookEvent?.path,
+      method: webhookEvent?.transport?.method ?? webhookEvent?.method,
+      timestamp: webhookEvent?.timestamp,
     },
     analysis: analysis,
     timestamp: new Date().toISOString(),
@@ -359,3 +434,8 @@ exports.handler = datadog(async (event, context) => {
     }),
   };
 });
+
+// Exported for testing
+exports.processDLQMessage = processDLQMessage;
+exports.analyzeFailure = analyzeFailure;
+exports.retryDelivery = retryDelivery;
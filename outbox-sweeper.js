@@ -0,0 +1,13 @@
+/**
+ * Lambda function entry point for the outbox sweeper
+ *
+ * Republishes stored webhooks that were not published to every target
+ * Runs on an EventBridge schedule
+ *
+ * @module OutboxSweeper
+ */
+
+const { handler } = require('./src/handlers/outbox-sweeper.handler');
+
+// Export the sweeper handler
+module.exports = { handler };
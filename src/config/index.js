@@ -5,6 +5,21 @@
  * @module Config
  */
 
+const DurabilityUtil = require('../utils/durability.util');
+const AttributesUtil = require('../utils/attributes.util');
+const HeadersUtil = require('../utils/headers.util');
+
+/**
+ * Parse a comma-separated list from an environment variable
+ * @param {string|undefined} value - Variable value
+ * @param {Array<string>|null} fallback - Used when the variable is unset; an empty value gives an empty list
+ * @returns {Array<string>|null} List entries
+ */
+function parseList(value, fallback) {
+  if (value === undefined) return fallback;
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
 /**
  * Application configuration
  */
@@ -13,10 +28,20 @@ class Config {
     this.aws = {
       region: process.env.AWS_REGION || 'ap-southeast-3',
       snsTopicArn: process.env.SNS_TOPIC_ARN,
+      snsFilterAttributes: parseList(process.env.SNS_FILTER_ATTRIBUTES, []),
       mongodbUriParameter: process.env.MONGODB_URI_PARAMETER,
       dlqUrl: process.env.DLQ_URL,
       originalTopicArn: process.env.ORIGINAL_TOPIC_ARN,
-      criticalFailureTopicArn: process.env.CRITICAL_FAILURE_TOPIC_ARN
+      criticalFailureTopicArn: process.env.CRITICAL_FAILURE_TOPIC_ARN,
+      compressionThresholdBytes: process.env.SNS_COMPRESSION_THRESHOLD_BYTES
+        ? parseInt(process.env.SNS_COMPRESSION_THRESHOLD_BYTES, 10)
+        : null,
+      snsRetry: {
+        maxAttempts: parseInt(process.env.SNS_MAX_ATTEMPTS || '3', 10),
+        baseDelayMs: 100,
+        maxDelayMs: 2000,
+        reserveMs: 1000 // Time kept back from the Lambda deadline to finish the response
+      }
     };
 
     this.datadog = {
@@ -29,6 +54,36 @@ class Config {
       captureLambdaPayload: process.env.DD_CAPTURE_LAMBDA_PAYLOAD === 'true'
     };
 
+    this.mongodb = {
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000
+    };
+
+    this.claimCheck = {
+      bucket: process.env.CLAIM_CHECK_BUCKET,
+      prefix: process.env.CLAIM_CHECK_PREFIX || 'claim-check/',
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      thresholdBytes: 256 * 1024 // SNS maximum message size, attributes included
+    };
+
+    this.idempotency = {
+      collectionName: '_idempotency',
+      ttlSeconds: 24 * 60 * 60, // Remember delivery keys for 24 hours
+      lockTimeoutSeconds: 60
+    };
+
+    this.outbox = {
+      graceSeconds: parseInt(process.env.OUTBOX_GRACE_SECONDS || '60', 10),
+      baseDelaySeconds: 30,
+      maxDelaySeconds: 60 * 60,
+      maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '10', 10),
+      batchSize: 100,
+      // Time a sweep keeps back for the document in flight; the rest waits for the next sweep
+      reserveMs: parseInt(process.env.OUTBOX_TIME_RESERVE_MS || '15000', 10)
+    };
+
     this.logging = {
       level: process.env.LOG_LEVEL || 'INFO'
     };
@@ -40,6 +95,32 @@ class Config {
       messageAgeHours: 24
     };
 
+    // Header filters for the stored document and for published messages;
+    // a null allowlist keeps every header the denylist does not drop
+    this.headers = {
+      store: {
+        allow: parseList(process.env.STORE_HEADER_ALLOWLIST, null),
+        deny: parseList(process.env.STORE_HEADER_DENYLIST, HeadersUtil.DEFAULT_DENYLIST)
+      },
+      publish: {
+        allow: parseList(process.env.PUBLISH_HEADER_ALLOWLIST, null),
+        deny: parseList(process.env.PUBLISH_HEADER_DENYLIST, HeadersUtil.DEFAULT_DENYLIST)
+      }
+    };
+
+    this.durability = {
+      policy: process.env.DURABILITY_POLICY || 'best-effort',
+      statusCode: 503,
+      retryAfterSeconds: 30
+    };
+
+    this.routing = {
+      parameter: process.env.ROUTES_PARAMETER,
+      file: process.env.ROUTES_FILE,
+      inline: process.env.WEBHOOK_ROUTES,
+      strict: process.env.ROUTES_STRICT === 'true'
+    };
+
     this.environment = this._detectEnvironment();
     
     // Validate required configuration
@@ -74,6 +155,33 @@ class Config {
       const missingKeys = missing.map(config => config.key).join(', ');
       throw new Error(`Missing required configuration: ${missingKeys}`);
     }
+
+    if (this.aws.snsFilterAttributes.includes(AttributesUtil.META_ATTRIBUTE)) {
+      throw new Error(`Invalid SNS_FILTER_ATTRIBUTES: "${AttributesUtil.META_ATTRIBUTE}" is reserved`);
+    }
+
+    if (!DurabilityUtil.isSupported(this.durability.policy)) {
+      throw new Error(`Invalid DURABILITY_POLICY: ${this.durability.policy}`);
+    }
+
+    // Requests no route matches fall back to a route that can only publish to SNS_TOPIC_ARN
+    if (this.durability.policy === DurabilityUtil.DurabilityPolicy.REQUIRE_PUBLISH && !this.aws.snsTopicArn && !this.routing.strict) {
+      throw new Error('Invalid DURABILITY_POLICY: require-publish needs SNS_TOPIC_ARN unless ROUTES_STRICT is set');
+    }
+
+    for (const { key, value } of [
+      { key: 'OUTBOX_GRACE_SECONDS', value: this.outbox.graceSeconds },
+      { key: 'OUTBOX_MAX_ATTEMPTS', value: this.outbox.maxAttempts },
+      { key: 'OUTBOX_TIME_RESERVE_MS', value: this.outbox.reserveMs },
+      { key: 'SNS_MAX_ATTEMPTS', value: this.aws.snsRetry.maxAttempts },
+      ...(this.aws.compressionThresholdBytes !== null
+        ? [{ key: 'SNS_COMPRESSION_THRESHOLD_BYTES', value: this.aws.compressionThresholdBytes }]
+        : [])
+    ]) {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Invalid ${key}: must be a positive integer`);
+      }
+    }
   }
 
   /**
@@ -0,0 +1,122 @@
+/**
+ * Outbox sweeper handler
+ * Scheduled Lambda entry point that republishes stored webhooks whose targets
+ * were not all published by the receiving invocation
+ *
+ * @module OutboxSweeperHandler
+ */
+
+const { datadog } = require("datadog-lambda-js");
+
+const { initializeServices } = require("./webhook.handler");
+const OutboxService = require("../services/outbox.service");
+const HeadersUtil = require("../utils/headers.util");
+const RoutingUtil = require("../utils/routing.util");
+const RetryUtil = require("../utils/retry.util");
+const DestinationUtil = require("../utils/destination.util");
+
+// MongoDB connection string, cached across warm invocations
+let mongoUri = null;
+
+/**
+ * Republish a stored webhook to the targets it has not been published to yet
+ * Targets are re-resolved from the current route table; targets that are no
+ * longer configured for the route are reported as failed
+ * @param {Object} services - Initialized services
+ * @param {Object} document - Due webhook document
+ * @param {number} [deadline] - Epoch milliseconds after which SNS publishes are not retried
+ * @returns {Promise<Array<Object>>} Publish results with target names
+ */
+async function republish(services, document, deadline) {
+  const { config, routes, sinks } = services;
+  const eventData = OutboxService.toEventData(document);
+  const outstanding = Object.entries(document.publish.targets)
+    .filter(([, status]) => status !== OutboxService.PublishStatus.PUBLISHED)
+    .map(([name]) => name);
+
+  const route = await routes.resolve(eventData.transport.path);
+  const targets = route
+    ? RoutingUtil.resolveTargets(route, eventData).filter(target => outstanding.includes(target.name))
+    : [];
+  const publishContext = {
+    environment: eventData.environment ?? config.environment,
+    params: route?.params ?? {},
+    trackingIds: HeadersUtil.extractTrackingIds(eventData.transport.headers),
+    traceId: null,
+    spanId: null,
+    fifo: document.publish.fifo ?? null,
+    deadline,
+  };
+
+  // Stored documents are already filtered and redacted for storage; the publish settings still apply
+  const published = DestinationUtil.prepare(config, route, "publish", eventData);
+  const results = await Promise.all(targets.map(target => sinks.deliver(target, published, publishContext)));
+  const missing = outstanding
+    .filter(name => !targets.some(target => target.name === name))
+    .map(name => ({ success: false, target: name, error: "Target is no longer configured for this route" }));
+
+  return [...results, ...missing];
+}
+
+/**
+ * Sweep the outbox once
+ * Stops early when less than the outbox's reserve of the invocation's time remains,
+ * leaving the documents it did not reach, unleased, to the next sweep
+ * @param {Object} event - EventBridge scheduled event
+ * @param {Object} context - Lambda context
+ * @returns {Promise<Object>} Counts of due, republished, failed, skipped and deferred documents
+ */
+async function sweep(event, context) {
+  const services = await initializeServices();
+  const { config, ssm, mongodb, outbox } = services;
+
+  if (!mongoUri) {
+    mongoUri = await ssm.getParameter(config.aws.mongodbUriParameter);
+  }
+  await mongodb.connect(mongoUri);
+
+  const databaseName = config.getDatabaseName();
+  const due = await outbox.findDue(databaseName);
+  const summary = { due: due.length, published: 0, failed: 0, skipped: 0, deferred: 0 };
+
+  for (const [index, { collectionName, document }] of due.entries()) {
+    if (context?.getRemainingTimeInMillis?.() < config.outbox.reserveMs) {
+      summary.deferred = due.length - index;
+      console.warn(`Outbox sweep is running out of time; ${summary.deferred} due document(s) left to the next sweep`);
+      break;
+    }
+
+
+    // Another sweep, or a slow receiving invocation, may already hold the document
+    if (!(await outbox.lease(databaseName, collectionName, document))) {
+      summary.skipped++;
+      continue;
+    }
+
+    const results = await republish(services, document, RetryUtil.getDeadline(context, config.aws.snsRetry.reserveMs));
+    const publish = await outbox.recordAttempt(databaseName, collectionName, document._id, document.publish, results);
+
+    if (!publish) {
+      summary.skipped++;
+    } else if (publish.status === OutboxService.PublishStatus.PUBLISHED) {
+      summary.published++;
+    } else {
+      summary.failed++;
+      console.warn(
+        `Republishing ${collectionName}/${document._id} failed (attempt ${document.publish.attempts + 1}):`,
+        results.filter(result => !result.success).map(result => `${result.target}: ${result.error}`)
+      );
+    }
+  }
+
+  console.log(JSON.stringify({ message: "Outbox sweep completed", database: databaseName, ...summary }));
+  return summary;
+}
+
+// Export the Datadog-wrapped handler
+module.exports = {
+  handler: datadog(sweep),
+  // Export internal functions for testing
+  sweep,
+  republish
+};
@@ -6,13 +6,34 @@
  */
 
 // Datadog Lambda Library - must be imported first
-const { datadog, getTraceHeaders } = require("datadog-lambda-js");
-const tracer = require("dd-trace");
+const { datadog } = require("datadog-lambda-js");
 
 const { getConfig } = require("../config");
 const SSMService = require("../services/ssm.service");
 const SNSService = require("../services/sns.service");
+const MongoDBService = require("../services/mongodb.service");
+const IdempotencyService = require("../services/idempotency.service");
+const OutboxService = require("../services/outbox.service");
+const RouteRegistry = require("../services/route-registry.service");
+const ClaimCheckService = require("../services/claim-check.service");
+const SinkRegistry = require("../services/sink-registry.service");
+const FieldEncryptionService = require("../services/field-encryption.service");
+const { SSMKeyProvider } = require("../services/key-provider.service");
 const HeadersUtil = require("../utils/headers.util");
+const SignatureUtil = require("../utils/signature.util");
+const PayloadUtil = require("../utils/payload.util");
+const EventUtil = require("../utils/event.util");
+const ResponseUtil = require("../utils/response.util");
+const SchemaUtil = require("../utils/schema.util");
+const HandshakeUtil = require("../utils/handshake.util");
+const DurabilityUtil = require("../utils/durability.util");
+const RoutingUtil = require("../utils/routing.util");
+const FifoUtil = require("../utils/fifo.util");
+const RetryUtil = require("../utils/retry.util");
+const BatchUtil = require("../utils/batch.util");
+const RedactionUtil = require("../utils/redaction.util");
+const DestinationUtil = require("../utils/destination.util");
+const TraceUtil = require("../utils/trace.util");
 
 // Global services for connection reuse
 let services = null;
@@ -26,10 +47,21 @@ async function initializeServices() {
   if (!services) {
     const config = getConfig();
     
+    const ssm = new SSMService(config.aws);
+    const mongodb = new MongoDBService(config.mongodb);
+    const claimCheck = new ClaimCheckService({ region: config.aws.region, ...config.claimCheck });
+    const sns = new SNSService(config.aws, claimCheck);
+    
     services = {
       config,
-      ssm: new SSMService(config.aws),
-      sns: new SNSService(config.aws)
+      ssm,
+      routes: new RouteRegistry(config, ssm),
+      sns,
+      sinks: new SinkRegistry(config.aws, sns, claimCheck),
+      mongodb,
+      idempotency: new IdempotencyService(mongodb, config.idempotency),
+      outbox: new OutboxService(mongodb, config.outbox),
+      encryption: new FieldEncryptionService(new SSMKeyProvider(ssm))
     };
     
     console.log('Services initialized for webhook handler');
@@ -41,46 +73,50 @@ async function initializeServices() {
 /**
  * Validate HTTP method
  * @param {string} method - HTTP method
+ * @param {Object} [route] - Resolved route; falls back to the global allowed methods
  * @returns {boolean} True if method is allowed
  */
-function validateMethod(method) {
-  const config = getConfig();
-  return config.webhook.allowedMethods.includes(method);
+function validateMethod(method, route = null) {
+  const allowedMethods = route?.methods ?? getConfig().webhook.allowedMethods;
+  return allowedMethods.includes(method);
+}
+
+/**
+ * Build a 405 response for a method the route does not accept
+ * @param {string} method - Rejected HTTP method
+ * @param {Object} route - Resolved route
+ * @param {Object} context - Lambda context
+ * @returns {Object} Response object
+ */
+function methodNotAllowed(method, route, context) {
+  return ResponseUtil.json(405, {
+    message: "Method Not Allowed",
+    error: method === "GET"
+      ? "GET requests are not supported by this webhook endpoint"
+      : `${method} requests are not supported`,
+    allowed_methods: route.methods,
+    requestId: context.awsRequestId,
+  }, { Allow: route.methods.join(", ") });
 }
 
 /**
- * Extract and structure webhook event data from API Gateway event
- * @param {Object} event - API Gateway event object (REST API format)
+ * Extract and structure webhook event data from a Lambda event
+ * @param {Object} event - REST API, HTTP API (v2.0), Function URL or ALB event
  * @returns {Object} Structured webhook event data
  */
 function extractEventData(event) {
-  // Extract base domain and path information (REST API format)
-  const domain = event.requestContext?.domainName ?? "unknown-domain";
-  const stage = event.requestContext?.stage ?? "";
-  const path = event.path ?? "/";
+  // Normalize the event source into a common request shape
+  const request = EventUtil.normalize(event);
+  const { domain, stage, path, method, headers, sourceIp } = request;
   const source = `https://${domain}${stage ? "/" + stage : ""}${path}`;
+  const queryParams = request.queryStringParameters;
 
-  // Extract transport details (REST API format)
-  const method = event.requestContext?.httpMethod ?? "UNKNOWN";
-  const headers = event.headers ?? {};
-  const queryParams = event.queryStringParameters ?? {};
-  const sourceIp = event.requestContext?.identity?.sourceIp ?? "unknown";
-
-  // Extract and process payload
-  const isBase64Encoded = event.isBase64Encoded ?? false;
-  let payload = event.body ?? "";
-  let type = "text/plain"; // Default type
-
-  // Try to parse payload as JSON if it's not empty
-  if (payload) {
-    try {
-      const parsedPayload = JSON.parse(payload);
-      payload = parsedPayload; // Use the parsed object if successful
-      type = "application/json"; // Set type to JSON
-    } catch (e) {
-      // If parsing fails, keep payload as is and type remains text/plain
-    }
-  }
+  // Decode the body before detecting its content type; binary payloads stay as bytes
+  const rawBody = PayloadUtil.decodeBody(request.body, request.isBase64Encoded);
+  const contentType = HeadersUtil.getHeaderValue(headers, "content-type");
+  const { payload, type, rawBody: originalBody } = PayloadUtil.parse(rawBody, contentType);
+  // Binary payloads are stored as BinData and published base64-encoded
+  const isBase64Encoded = Buffer.isBuffer(payload);
 
   // Construct structured event data
   return {
@@ -92,10 +128,12 @@ function extractEventData(event) {
       headers: headers,
       queryStringParameters: queryParams,
       sourceIp: sourceIp,
+      eventSource: request.eventSource,
     },
     payload: payload,
     type: type,
     isBase64Encoded: isBase64Encoded,
+    rawBody: originalBody,
   };
 }
 
@@ -124,66 +162,177 @@ function generateCollectionName(path) {
 }
 
 /**
- * Extract Datadog trace context
- * @returns {Object} Object containing traceId and spanId
+ * Store webhook events in MongoDB, one document per event
+ * @param {MongoDBService} mongodb - MongoDB service
+ * @param {string} databaseName - Database name
+ * @param {string} collectionName - Collection name
+ * @param {Array<Object>} documents - Event data to store; batches are inserted together
+ * @returns {Promise<Object>} Operation result with the inserted IDs in order; a batch that
+ *   was only partly stored fails, with null IDs for the events that were not stored
  */
-function extractDatadogTraceContext() {
-  let currentTraceId = null;
-  let currentSpanId = null;
-  
-  // Method 1: Try using getTraceHeaders from datadog-lambda-js
+async function storeWebhooks(mongodb, databaseName, collectionName, documents) {
   try {
-    const traceHeaders = getTraceHeaders();
-    console.log("Trace headers from getTraceHeaders:", JSON.stringify(traceHeaders));
-    
-    if (traceHeaders) {
-      if (traceHeaders["x-datadog-trace-id"]) {
-        currentTraceId = traceHeaders["x-datadog-trace-id"];
-      }
-      if (traceHeaders["x-datadog-parent-id"]) {
-        currentSpanId = traceHeaders["x-datadog-parent-id"];
-      }
-      
-      if (traceHeaders["traceparent"]) {
-        const parts = traceHeaders["traceparent"].split("-");
-        if (parts.length >= 3) {
-          console.log("W3C traceparent found:", traceHeaders["traceparent"]);
-        }
-      }
+    await mongodb.connect(mongoUri);
+    if (documents.length === 1) {
+      const result = await mongodb.storeWebhookEvent(databaseName, collectionName, documents[0]);
+      return { success: true, operation: "mongodb", insertedIds: [String(result.insertedId)] };
     }
-  } catch (e) {
-    console.log("Could not get trace headers from datadog-lambda-js:", e.message);
+    const result = await mongodb.storeWebhookEvents(databaseName, collectionName, documents);
+    const insertedIds = documents.map((document, index) => index in result.insertedIds ? String(result.insertedIds[index]) : null);
+    if (result.writeErrors.length === 0) {
+      return { success: true, operation: "mongodb", insertedIds };
+    }
+    const error = result.writeErrors.map(({ index, message }) => `event ${index}: ${message}`).join("; ");
+    return { success: false, operation: "mongodb", insertedIds, error };
+  } catch (error) {
+    console.error("MongoDB storage failed:", error);
+    return { success: false, operation: "mongodb", error: error.message };
   }
-  
-  // Method 2: Try using dd-trace tracer.scope().active() as fallback
-  if (!currentTraceId || !currentSpanId) {
-    try {
-      const span = tracer.scope().active();
-      if (span) {
-        currentTraceId = span.context().toTraceId();
-        currentSpanId = span.context().toSpanId();
-        console.log("Got trace context from dd-trace:", { traceId: currentTraceId, spanId: currentSpanId });
-      }
-    } catch (e) {
-      console.log("Could not get trace context from dd-trace:", e.message);
+}
+
+/**
+ * Describe the outcome of storage and publishing
+ * @param {boolean} stored - Whether MongoDB storage succeeded
+ * @param {Array<Object>} targetResults - Publish results, one per matched target
+ * @returns {string} Response message
+ */
+function describeOperations(stored, targetResults) {
+  const failed = targetResults.filter(result => !result.success).map(result => result.target);
+  const published = targetResults.length > 0 && failed.length === 0;
+
+  if (stored) {
+    if (failed.length > 0) return `Webhook received, logged, and stored successfully. Publishing to ${failed.join(", ")} failed.`;
+    return published
+      ? "Webhook received, logged, stored, and published successfully"
+      : "Webhook received, logged, and stored successfully";
+  }
+  if (failed.length > 0) return `Webhook received and logged successfully. Both MongoDB storage and publishing to ${failed.join(", ")} failed.`;
+  return published
+    ? "Webhook received, logged, and published successfully. MongoDB storage failed."
+    : "Webhook received and logged successfully. MongoDB storage failed.";
+}
+
+/**
+ * Verify the request signature against a route's signature scheme
+ * @param {Object} scheme - Route signature scheme
+ * @param {string} scheme.secretParameter - SSM parameter holding the signing secret
+ * @param {Object} eventData - Structured webhook event data
+ * @param {SSMService} ssm - SSM service
+ * @returns {Promise<Object>} Verification result with valid flag and reason
+ */
+async function verifySignature(scheme, eventData, ssm) {
+  const secret = await ssm.getParameter(scheme.secretParameter);
+  return SignatureUtil.verify(
+    scheme,
+    PayloadUtil.getRawBytes(eventData),
+    eventData.transport.headers,
+    secret
+  );
+}
+
+/**
+ * Check the request signature, building the 401 response when it does not verify
+ * @param {Object} scheme - Route signature scheme
+ * @param {Object} eventData - Structured webhook event data
+ * @param {SSMService} ssm - SSM service
+ * @param {Object} context - Lambda context
+ * @returns {Promise<Object|null>} 401 response, or null if the signature is valid
+ */
+async function rejectInvalidSignature(scheme, eventData, ssm, context) {
+  const verification = await verifySignature(scheme, eventData, ssm);
+  if (verification.valid) return null;
+
+  console.warn(`Signature verification failed for ${eventData.transport.path}: ${verification.reason}`);
+  return ResponseUtil.json(401, {
+    message: "Unauthorized",
+    error: "Webhook signature verification failed",
+    requestId: context.awsRequestId,
+  });
+}
+
+/**
+ * Answer a provider verification handshake, checking the verify token when the provider sends one
+ * @param {Object} handshake - Detected handshake
+ * @param {string|Object} settings - Route handshake settings
+ * @param {SSMService} ssm - SSM service
+ * @param {Object} eventData - Structured webhook event data
+ * @param {Object} context - Lambda context
+ * @returns {Promise<Object>} Challenge echo, or 403 if the verify token does not match
+ */
+async function answerHandshake(handshake, settings, ssm, eventData, context) {
+  const { path, sourceIp } = eventData.transport;
+
+  if (handshake.token !== undefined) {
+    const expected = await ssm.getParameter(HandshakeUtil.getSettings(settings).verifyTokenParameter);
+    if (!SignatureUtil.safeCompare(handshake.token, expected)) {
+      console.warn(`Rejected ${handshake.provider} handshake on ${path} from ${sourceIp}: verify token mismatch`);
+      return ResponseUtil.json(403, {
+        message: "Forbidden",
+        error: "Handshake verify token does not match",
+        requestId: context.awsRequestId,
+      });
     }
   }
-  
-  return { traceId: currentTraceId, spanId: currentSpanId };
+
+  console.log(`Answered ${handshake.provider} handshake on ${path} from ${sourceIp}`);
+  return HandshakeUtil.respond(handshake);
+}
+
+/**
+ * Claim a delivery's idempotency key, failing open if the key store is unavailable
+ * @param {IdempotencyService} idempotency - Idempotency service
+ * @param {MongoDBService} mongodb - MongoDB service
+ * @param {Object} delivery - Delivery identity (databaseName, scope, key)
+ * @param {number} [ttlSeconds] - Time to remember the key
+ * @returns {Promise<Object>} Claim result with status "claimed", "duplicate", "in_progress" or "unavailable"
+ */
+async function claimDelivery(idempotency, mongodb, delivery, ttlSeconds) {
+  try {
+    await mongodb.connect(mongoUri);
+    return await idempotency.claim(delivery.databaseName, delivery.scope, delivery.key, ttlSeconds);
+  } catch (error) {
+    console.error("Idempotency claim failed, processing without deduplication:", error);
+    return { status: "unavailable" };
+  }
+}
+
+/**
+ * Record the outcome of a claimed delivery
+ * Successful responses are kept for replay; anything else releases the key for the sender's retry
+ * @param {IdempotencyService} idempotency - Idempotency service
+ * @param {Object} delivery - Delivery identity (databaseName, scope, key)
+ * @param {Object} response - Lambda response returned to the sender
+ * @returns {Promise<void>}
+ */
+async function settleDelivery(idempotency, delivery, response) {
+  try {
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      await idempotency.complete(delivery.databaseName, delivery.scope, delivery.key, response);
+    } else {
+      await idempotency.release(delivery.databaseName, delivery.scope, delivery.key);
+    }
+  } catch (error) {
+    console.error("Failed to record idempotency outcome:", error);
+  }
 }
 
 /**
- * Store webhook in MongoDB (placeholder - would need MongoDB service)
+ * Record a publish attempt on the stored document
+ * Failures are logged only; the document stays due and the sweeper republishes it
+ * @param {OutboxService} outbox - Outbox service
  * @param {string} databaseName - Database name
- * @param {string} collectionName - Collection name
- * @param {Object} eventData - Event data to store
- * @returns {Promise<Object>} Operation result
+ * @param {string} collectionName - Collection holding the document
+ * @param {string} documentId - Stored document ID
+ * @param {Object} publish - Publish block stored with the document
+ * @param {Array<Object>} targetResults - Publish results with target names
+ * @returns {Promise<void>}
  */
-async function storeWebhook(databaseName, collectionName, eventData) {
-  // TODO: Implement MongoDB service integration
-  // For now, return success to maintain compatibility
-  console.log(`Webhook would be stored in ${databaseName}.${collectionName}`);
-  return { success: true, operation: "mongodb" };
+async function recordPublishAttempt(outbox, databaseName, collectionName, documentId, publish, targetResults) {
+  try {
+    await outbox.recordAttempt(databaseName, collectionName, documentId, publish, targetResults);
+  } catch (error) {
+    console.error("Failed to record publish attempt:", error);
+  }
 }
 
 /**
@@ -193,15 +342,79 @@ async function storeWebhook(databaseName, collectionName, eventData) {
  * @returns {Promise<Object>} Response object
  */
 async function processWebhook(event, context) {
+  let delivery = null;
+  let idempotency = null;
+  
   try {
     // Initialize services
-    const { config, ssm, sns } = await initializeServices();
+    const services = await initializeServices();
+    const { config, ssm, sinks, mongodb, routes, outbox, encryption } = services;
+    idempotency = services.idempotency;
     
     // Extract webhook event data
     const eventData = extractEventData(event);
+    const { method, path, sourceIp } = eventData.transport;
+    
+    // Resolve the route once; everything below is driven by it
+    const route = await routes.resolve(path);
+    if (!route) {
+      console.log(`No route matches ${method} ${path} from ${sourceIp}`);
+      return ResponseUtil.json(404, {
+        message: "Not Found",
+        error: `No webhook route matches ${path}`,
+        requestId: context.awsRequestId,
+      });
+    }
+    
+    // Provider verification handshakes are answered here and never stored or published;
+    // providers that sign them are held to the route's signature scheme first
+    const handshake = route.handshake ? HandshakeUtil.detect(route.handshake, eventData) : null;
+    if (handshake) {
+      const rejected = route.signature && HandshakeUtil.isSigned(handshake.provider)
+        ? await rejectInvalidSignature(route.signature, eventData, ssm, context)
+        : null;
+      return rejected ?? await answerHandshake(handshake, route.handshake, ssm, eventData, context);
+    }
+    
+    if (!validateMethod(method, route)) {
+      console.log(`${method} request rejected from ${sourceIp} to ${path}`);
+      return methodNotAllowed(method, route, context);
+    }
+    
+    eventData.route = { name: route.name, critical: route.critical };
+    
+    // Sensitive fields are encrypted before the event is logged, stored or published
+    const sealed = route.encryption ? await encryption.encryptEvent(route.encryption, eventData) : eventData;
+    
+    // Log the structured entry to CloudWatch, redacted by the route's log policy
+    const logged = RedactionUtil.apply(RedactionUtil.getPolicy(route.redaction, "log"), sealed);
+    console.log("Webhook Request:", JSON.stringify(logged, PayloadUtil.logReplacer, 2));
+    
+    // Verify request signature before anything is stored or published
+    if (route.signature) {
+      const rejected = await rejectInvalidSignature(route.signature, eventData, ssm, context);
+      if (rejected) return rejected;
+    }
     
-    // Log the structured entry to CloudWatch
-    console.log("Webhook Request:", JSON.stringify(eventData, null, 2));
+    // Validate the parsed payload against the route's JSON Schema
+    if (route.validation) {
+      const validation = SchemaUtil.validate(route.validation.schema, eventData.payload);
+
+      if (!validation.valid && route.validation.mode !== SchemaUtil.ValidationMode.FLAG) {
+        console.warn(`Schema validation failed for ${path}: ${JSON.stringify(validation.errors)}`);
+        return ResponseUtil.json(422, {
+          message: "Unprocessable Entity",
+          error: "Webhook payload failed schema validation",
+          errors: validation.errors,
+          requestId: context.awsRequestId,
+        });
+      }
+      sealed.validation = validation;
+    }
+    
+    // Batch routes turn one request into one envelope per event, sharing its tracking IDs
+    const batch = BatchUtil.split(route.split, sealed);
+    const events = batch ?? [sealed];
     
     // Get MongoDB connection string from SSM Parameter Store
     if (!mongoUri) {
@@ -210,11 +423,47 @@ async function processWebhook(event, context) {
     
     // Generate database and collection names
     const databaseName = config.getDatabaseName();
-    const collectionName = generateCollectionName(eventData.transport.path);
+    const collectionName = generateCollectionName(
+      route.collection ? ResponseUtil.renderString(route.collection, route.params) : path
+    );
+    
+    // Deduplicate provider retries before anything is stored or published
+    if (route.idempotency) {
+      const key = IdempotencyService.deriveKey(
+        route.idempotency,
+        eventData,
+        PayloadUtil.getRawBytes(eventData)
+      );
+      if (key) {
+        const candidate = { databaseName, scope: path, key };
+        const claim = await claimDelivery(idempotency, mongodb, candidate, route.idempotency.ttlSeconds);
+        
+        if (claim.status === "duplicate") {
+          console.log(`Duplicate delivery ${key} on ${path}, replaying original response`);
+          return {
+            ...claim.response,
+            headers: { ...claim.response.headers, "Idempotent-Replay": "true" },
+          };
+        }
+        
+        if (claim.status === "in_progress") {
+          console.log(`Delivery ${key} on ${path} is still being processed`);
+          return ResponseUtil.json(409, {
+            message: "Conflict",
+            error: "A delivery with the same idempotency key is still being processed",
+            requestId: context.awsRequestId,
+          }, { "Retry-After": "5" });
+        }
+        
+        if (claim.status === "claimed") {
+          delivery = candidate;
+        }
+      }
+    }
     
     // Extract tracking IDs and Datadog context
     const trackingIds = HeadersUtil.extractTrackingIds(eventData.transport.headers);
-    const { traceId, spanId } = extractDatadogTraceContext();
+    const { traceId, spanId } = TraceUtil.getContext();
     
     // Log processing context
     console.log(
@@ -224,38 +473,50 @@ async function processWebhook(event, context) {
         requestId: trackingIds.requestId,
         datadogTraceId: traceId,
         datadogSpanId: spanId,
-        path: eventData.transport.path,
-        method: eventData.transport.method
+        route: route.name,
+        path: path,
+        method: method
       })
     );
     
     // Run concurrent operations
     const startTime = Date.now();
-    const operations = [];
+    const publishContext = {
+      environment: config.environment,
+      params: route.params,
+      trackingIds,
+      traceId,
+      spanId,
+      // SNS retries stop in time for the response to be returned
+      deadline: RetryUtil.getDeadline(context, config.aws.snsRetry.reserveMs),
+    };
     
-    // MongoDB storage operation
-    operations.push(storeWebhook(databaseName, collectionName, eventData));
+    // Each event gets its own targets, FIFO ordering, publish state for the outbox sweeper
+    // and the copies filtered and redacted for storage and publishing
+    const deliveries = events.map((event, index) => {
+      const targets = RoutingUtil.resolveTargets(route, event);
+      const scope = batch ? `${path}#${index}` : path;
+      const fifo = FifoUtil.getOrdering(route, targets, event, scope, delivery?.key ?? null, PayloadUtil.getRawBytes(eventData));
+      return {
+        eventData: DestinationUtil.prepare(config, route, "publish", event),
+        stored: DestinationUtil.prepare(config, route, "store", event),
+        targets,
+        fifo,
+        publish: outbox.pending(targets, fifo),
+      };
+    });
+    const groups = BatchUtil.groupByTarget(deliveries);
     
-    // SNS publishing operation
-    if (config.isSNSConfigured()) {
-      const snsOperation = sns.publishWebhookEvent(
-        config.aws.snsTopicArn,
-        eventData,
-        config.environment,
-        trackingIds,
-        traceId,
-        spanId
-      ).then(() => ({ success: true, operation: "sns" }))
-        .catch((error) => {
-          console.error("SNS publishing failed:", error);
-          return { success: false, operation: "sns", error: error.message };
-        });
-      
-      operations.push(snsOperation);
-    }
+    // MongoDB storage first, then one publish per matched target
+    const operations = [
+      storeWebhooks(mongodb, databaseName, collectionName, deliveries.map(({ stored, publish }) => ({ ...stored, publish }))),
+      ...groups.map(({ target, indexes }) => batch
+        ? sinks.deliverBatch(target, indexes.map(index => deliveries[index]), publishContext)
+        : sinks.deliver(target, deliveries[0].eventData, { ...publishContext, fifo: deliveries[0].fifo })),
+    ];
     
     // Execute all operations concurrently
-    console.log("Starting concurrent operations: MongoDB storage and SNS publishing");
+    console.log(`Starting concurrent operations: MongoDB storage of ${events.length} event(s) and publishing to ${groups.length} target(s)`);
     const results = await Promise.allSettled(operations);
     const endTime = Date.now();
     const processingTime = endTime - startTime;
@@ -263,130 +524,100 @@ async function processWebhook(event, context) {
     console.log(`Concurrent operations completed in ${processingTime}ms`);
     
     // Process results
-    const mongoResult = results[0]?.value;
-    const snsResult = results[1]?.value;
+    const [mongoResult, ...targetResults] = results.map(result => result.value);
     
     // Log operation results
-    if (mongoResult) {
+    for (const result of [mongoResult, ...targetResults]) {
       console.log(
-        `MongoDB operation: ${mongoResult.success ? "SUCCESS" : "FAILED"}`,
-        mongoResult.error ? { error: mongoResult.error } : {}
+        `${result.target ? `${result.operation.toUpperCase()} ${result.target}` : "MongoDB"} operation: ${result.success ? "SUCCESS" : "FAILED"}`,
+        { ...(result.attempts && { attempts: result.attempts }), ...(result.error && { error: result.error }) }
       );
     }
     
-    if (snsResult) {
-      console.log(
-        `SNS operation: ${snsResult.success ? "SUCCESS" : "FAILED"}`,
-        snsResult.error ? { error: snsResult.error } : {}
-      );
-    }
+    // Record the attempt on each stored document, including those of a partly stored
+    // batch; failed targets are left to the sweeper
+    const mongoSuccess = mongoResult.success;
+    await Promise.all(deliveries.map(({ targets, publish }, index) => targets.length > 0 && mongoResult.insertedIds?.[index] && recordPublishAttempt(
+      outbox, databaseName, collectionName, mongoResult.insertedIds[index], publish, BatchUtil.getEventResults(groups, targetResults, index)
+    )));
     
     // Build response
-    const mongoSuccess = mongoResult?.success ?? false;
-    const snsSuccess = snsResult?.success ?? true;
-    
-    let message = "Webhook received and logged successfully";
-    const operations_status = {};
-    
-    if (mongoSuccess && snsSuccess) {
-      message = "Webhook received, logged, stored, and published successfully";
-      operations_status.mongodb = "success";
-      operations_status.sns = "success";
-    } else if (mongoSuccess && !snsSuccess) {
-      message = "Webhook received, logged, and stored successfully. SNS publishing failed.";
-      operations_status.mongodb = "success";
-      operations_status.sns = "failed";
-    } else if (!mongoSuccess && snsSuccess) {
-      message = "Webhook received, logged, and published successfully. MongoDB storage failed.";
-      operations_status.mongodb = "failed";
-      operations_status.sns = "success";
-    } else {
-      message = "Webhook received and logged successfully. Both MongoDB storage and SNS publishing failed.";
-      operations_status.mongodb = "failed";
-      operations_status.sns = "failed";
-    }
+    const operations_status = {
+      mongodb: mongoSuccess ? "success" : "failed",
+      targets: Object.fromEntries(
+        targetResults.map(result => [result.target, result.success ? "success" : "failed"])
+      ),
+      attempts: Object.fromEntries(targetResults.map(result => [result.target, result.attempts])),
+    };
     
-    return {
-      statusCode: 200,
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        message: message,
-        requestId: context.awsRequestId,
-        database: databaseName,
-        collection: collectionName,
-        operations_status: operations_status,
-        processing_time_ms: processingTime,
-      }),
+    const summary = {
+      message: describeOperations(mongoSuccess, targetResults),
+      requestId: context.awsRequestId,
+      database: databaseName,
+      collection: collectionName,
+      document_id: batch ? null : mongoResult.insertedIds?.[0] ?? null,
+      ...(batch && { events: events.length, document_ids: mongoResult.insertedIds ?? [] }),
+      operations_status: operations_status,
+      processing_time_ms: processingTime,
     };
     
+    // Ask the sender to retry when the route's durability policy is not met;
+    // publishing counts when every matched target succeeded, and when no target
+    // matched there was nothing to publish, as the outbox's skipped state records
+    const durability = DurabilityUtil.evaluate(route.durability, {
+      stored: mongoSuccess,
+      published: targetResults.every(result => result.success),
+    });
+    if (!durability.satisfied) {
+      console.error(`Durability policy ${route.durability.policy} not met for ${path}`, operations_status);
+    }
+    
+    // Routes may answer with a provider-specific response template
+    const response = !durability.satisfied
+      ? ResponseUtil.json(durability.statusCode, {
+          ...summary,
+          error: `Durability policy ${route.durability.policy} was not met`,
+        }, durability.headers)
+      : route.response
+      ? ResponseUtil.render(route.response, {
+          ...route.params,
+          requestId: context.awsRequestId,
+          database: databaseName,
+          collection: collectionName,
+          documentId: summary.document_id,
+        })
+      : ResponseUtil.json(200, summary);
+    
+    if (delivery) {
+      await settleDelivery(idempotency, delivery, response);
+    }
+    
+    return response;
+    
   } catch (error) {
     console.error("Error processing webhook:", error);
     
-    return {
-      statusCode: 500,
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        message: "Error processing webhook",
-        error: error.message,
-        requestId: context.awsRequestId,
-      }),
-    };
+    if (delivery) {
+      await settleDelivery(idempotency, delivery, { statusCode: 500 });
+    }
+    
+    return ResponseUtil.json(500, {
+      message: "Error processing webhook",
+      error: error.message,
+      requestId: context.awsRequestId,
+    });
   }
 }
 
 /**
  * Main Lambda handler wrapped with Datadog tracing
- * @param {Object} event - API Gateway event
+ * @param {Object} event - REST API, HTTP API (v2.0), Function URL or ALB event
  * @param {Object} context - Lambda context
- * @returns {Promise<Object>} Response object
+ * @returns {Promise<Object>} Response formatted for the invoking event source
  */
 async function handler(event, context) {
-  // Check if the request method is GET and reject it
-  const httpMethod = event.requestContext?.httpMethod;
-  if (httpMethod === "GET") {
-    console.log(
-      `GET request rejected from ${
-        event.requestContext?.identity?.sourceIp || "unknown"
-      } to ${event.path || "/"}`
-    );
-
-    return {
-      statusCode: 405,
-      headers: {
-        "Content-Type": "application/json",
-        Allow: "POST, PUT, PATCH, DELETE",
-      },
-      body: JSON.stringify({
-        message: "Method Not Allowed",
-        error: "GET requests are not supported by this webhook endpoint",
-        allowed_methods: ["POST", "PUT", "PATCH", "DELETE"],
-        requestId: context.awsRequestId,
-      }),
-    };
-  }
-  
-  // Validate method
-  if (!validateMethod(httpMethod)) {
-    return {
-      statusCode: 405,
-      headers: {
-        "Content-Type": "application/json",
-        Allow: "POST, PUT, PATCH, DELETE",
-      },
-      body: JSON.stringify({
-        message: "Method Not Allowed",
-        error: `${httpMethod} requests are not supported`,
-        allowed_methods: ["POST", "PUT", "PATCH", "DELETE"],
-        requestId: context.awsRequestId,
-      }),
-    };
-  }
-  
-  return processWebhook(event, context);
+  const response = await processWebhook(event, context);
+  return EventUtil.formatResponse(event, response);
 }
 
 // Export the Datadog-wrapped handler
@@ -396,5 +627,10 @@ module.exports = {
   extractEventData,
   generateCollectionName,
   validateMethod,
+  verifySignature,
+  answerHandshake,
+  claimDelivery,
+  settleDelivery,
+  describeOperations,
   initializeServices
 };
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Claim-check service for oversize SNS messages
+ * Offloads message envelopes above the SNS size limit to an S3-compatible bucket
+ * and publishes a pointer in their place
+ *
+ * @module ClaimCheckService
+ */
+
+const crypto = require("crypto");
+const { S3Client, PutObjectCommand, GetObjectCommand } = require("@aws-sdk/client-s3");
+
+/**
+ * Claim-check service backed by S3 or an S3-compatible store such as MinIO
+ */
+class ClaimCheckService {
+  /**
+   * Initialize claim-check service
+   * @param {Object} config - Configuration object
+   * @param {string} config.region - AWS region
+   * @param {string} [config.bucket] - Bucket for offloaded envelopes; offloading is disabled without it
+   * @param {string} config.prefix - Object key prefix
+   * @param {string} [config.endpoint] - Custom S3 endpoint (e.g. http://localhost:9000 for MinIO)
+   * @param {boolean} config.forcePathStyle - Use path-style bucket addressing
+   * @param {number} config.thresholdBytes - Message size above which envelopes are offloaded
+   */
+  constructor(config) {
+    this.s3Client = new S3Client({
+      region: config.region,
+      endpoint: config.endpoint || undefined,
+      forcePathStyle: config.forcePathStyle,
+    });
+    this.config = config;
+  }
+
+  /**
+   * Check if offloading is configured
+   * @returns {boolean} True if a bucket is configured
+   */
+  isConfigured() {
+    return Boolean(this.config.bucket);
+  }
+
+  /**
+   * Return the message to publish, offloading it first if it is over the size limit
+   * @param {Object|string} message - SNS message envelope, or the compressed envelope
+   * @param {number} size - Message size in bytes, including attributes
+   * @param {Object} [envelope] - Uncompressed envelope, offloaded in place of a compressed message
+   * @returns {Promise<Object|string>} The original message, or a pointer envelope with
+   *   the message metadata and a claimCheck reference
+   * @throws {Error} If the message is too large and no bucket is configured
+   */
+  async prepare(message, size, envelope = null) {
+    if (size <= this.config.thresholdBytes) {
+      return message;
+    }
+    if (!this.isConfigured()) {
+      throw new Error(
+        `SNS message size ${size} bytes exceeds ${this.config.thresholdBytes} bytes and no claim-check bucket is configured`
+      );
+    }
+
+    const pointer = await this.store(JSON.stringify(envelope ?? message));
+    console.log(`Message of ${size} bytes offloaded to s3://${pointer.bucket}/${pointer.key}`);
+
+    const { payload, transport, ...metadata } = envelope ?? message;
+    return {
+      ...metadata,
+      transport: {
+        method: transport?.method,
+        path: transport?.path,
+        eventSource: transport?.eventSource,
+      },
+      claimCheck: pointer,
+    };
+  }
+
+  /**
+   * Write a message body to the bucket
+   * @param {string} body - Serialized message envelope
+   * @returns {Promise<Object>} Pointer with bucket, key, size and sha256
+   */
+  async store(body) {
+    const date = new Date().toISOString().slice(0, 10);
+    const key = `${this.config.prefix}${date}/${crypto.randomUUID()}.json`;
+
+    await this.s3Client.send(new PutObjectCommand({
+      Bucket: this.config.bucket,
+      Key: key,
+      Body: body,
+      ContentType: "application/json",
+    }));
+
+    return {
+      bucket: this.config.bucket,
+      key,
+      size: Buffer.byteLength(body),
+      sha256: crypto.createHash("sha256").update(body).digest("hex"),
+    };
+  }
+
+  /**
+   * Read an offloaded message body back from the bucket
+   * @param {Object} pointer - Claim-check pointer
+   * @returns {Promise<string>} Serialized message envelope
+   * @throws {Error} If the object cannot be read or its checksum does not match
+   */
+  async fetch(pointer) {
+    const response = await this.s3Client.send(new GetObjectCommand({
+      Bucket: pointer.bucket,
+      Key: pointer.key,
+    }));
+    const body = await response.Body.transformToString("utf8");
+
+    if (pointer.sha256) {
+      const digest = crypto.createHash("sha256").update(body).digest("hex");
+      if (digest !== pointer.sha256) {
+        throw new Error(`Claim-check object s3://${pointer.bucket}/${pointer.key} failed checksum verification`);
+      }
+    }
+    return body;
+  }
+}
+
+module.exports = ClaimCheckService;
@@ -0,0 +1,78 @@
+/**
+ * Amazon EventBridge sink for webhook events
+ * Puts webhook envelopes on an event bus, where rules can match on the detail
+ *
+ * @module EventBridgeService
+ */
+
+const { EventBridgeClient, PutEventsCommand } = require("@aws-sdk/client-eventbridge");
+const MessageUtil = require("../utils/message.util");
+
+// Defaults for the event source and detail type
+const DEFAULT_SOURCE = "webhook.receiver";
+const DEFAULT_DETAIL_TYPE = "Webhook Event";
+
+/**
+ * EventBridge sink for webhook events
+ */
+class EventBridgeService {
+  /**
+   * Initialize EventBridge sink
+   * @param {Object} config - Configuration object
+   * @param {string} config.region - AWS region
+   * @param {ClaimCheckService} [claimCheck] - Offloads events over the EventBridge size limit
+   */
+  constructor(config, claimCheck = null) {
+    this.eventBridgeClient = new EventBridgeClient({ region: config.region });
+    this.config = config;
+    this.claimCheck = claimCheck;
+  }
+
+  /**
+   * Put a webhook event on an event bus
+   * The detail is the message envelope plus the route attributes and tracking IDs
+   * @param {Object} target - Route target with eventBusName and optional source and detailType
+   * @param {Object} eventData - Webhook event data
+   * @param {Object} publishContext - Environment and tracking IDs
+   * @returns {Promise<Object>} PutEvents result
+   * @throws {Error} If the event is rejected
+   */
+  async publish(target, eventData, publishContext) {
+    const { environment, trackingIds = {} } = publishContext;
+
+    try {
+      const detail = {
+        ...MessageUtil.buildMessage(eventData, environment),
+        attributes: eventData.attributes,
+        tracking: { correlationId: trackingIds.correlationId, requestId: trackingIds.requestId },
+      };
+
+      // Oversize events are offloaded and replaced by a claim-check pointer
+      const size = Buffer.byteLength(JSON.stringify(detail));
+      const body = this.claimCheck ? await this.claimCheck.prepare(detail, size) : detail;
+
+      const response = await this.eventBridgeClient.send(new PutEventsCommand({
+        Entries: [{
+          EventBusName: target.eventBusName,
+          Source: target.source ?? DEFAULT_SOURCE,
+          DetailType: target.detailType ?? DEFAULT_DETAIL_TYPE,
+          Detail: JSON.stringify(body),
+        }],
+      }));
+
+      // PutEvents reports rejected entries in the response rather than throwing
+      if (response.FailedEntryCount > 0) {
+        const [entry] = response.Entries ?? [];
+        throw new Error(`${entry?.ErrorCode ?? "Rejected"}: ${entry?.ErrorMessage ?? "event was not accepted"}`);
+      }
+
+      console.log(`Webhook event put on event bus ${target.eventBusName} with EventId: ${response.Entries?.[0]?.EventId}`);
+      return response;
+    } catch (error) {
+      console.error(`Failed to put webhook event on event bus ${target.eventBusName}:`, error);
+      throw new Error(`EventBridge put failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = EventBridgeService;
@@ -0,0 +1,125 @@
+/**
+ * Field encryption service
+ * Encrypts a route's sensitive payload fields before webhooks are logged, stored
+ * or published, and decrypts them again for authorized consumers
+ *
+ * @module FieldEncryptionService
+ */
+
+const EncryptionUtil = require("../utils/encryption.util");
+const JsonPointerUtil = require("../utils/json-pointer.util");
+
+/**
+ * Check whether a value is a plain object or array, as opposed to an ObjectId, Binary, Date or Buffer
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Field-level envelope encryption of webhook payloads
+ */
+class FieldEncryptionService {
+  /**
+   * Initialize field encryption service
+   * @param {SSMKeyProvider|LocalKeyProvider} keyProvider - Resolves key IDs to key-encryption keys
+   */
+  constructor(keyProvider) {
+    this.keyProvider = keyProvider;
+  }
+
+  /**
+   * Check a route's encryption settings
+   * @param {Object} settings - Route encryption settings ({ keyParameter, paths })
+   * @param {string} owner - Where the settings are declared, for error messages
+   * @throws {Error} If the key parameter is missing or a path is not a JSON pointer to a field
+   */
+  static validateSettings(settings, owner) {
+    const { keyParameter, paths } = settings ?? {};
+    if (typeof keyParameter !== "string" || !keyParameter) {
+      throw new Error(`${owner} encryption requires keyParameter`);
+    }
+    if (!Array.isArray(paths) || paths.length === 0) {
+      throw new Error(`${owner} encryption requires a non-empty paths array`);
+    }
+    for (const pointer of paths) {
+      if (pointer === "") {
+        throw new Error(`${owner} encryption cannot encrypt the whole payload`);
+      }
+      JsonPointerUtil.assertValid(pointer, `${owner} encryption`);
+    }
+  }
+
+  /**
+   * Encrypt a route's sensitive fields in a webhook event
+   * Fields that are missing are skipped. The raw body is left out of the result,
+   * since it holds the same fields in plaintext.
+   * @param {Object} settings - Route encryption settings
+   * @param {string} settings.keyParameter - Key ID of the key-encryption key
+   * @param {Array<string>} settings.paths - JSON pointers of the fields to encrypt; "*" matches every array item
+   * @param {Object} eventData - Webhook event data
+   * @returns {Promise<Object>} Event data with encrypted fields and without the raw body
+   *
+   * @example
+   * await encryption.encryptEvent({ keyParameter: "/webhook/receiver/prod/field-key", paths: ["/customer/email"] }, eventData);
+   * // Returns: { ...eventData, payload: { customer: { email: { _encrypted: { kid, key, iv, tag, data, ... } } } } }
+   */
+  async encryptEvent(settings, eventData) {
+    const { rawBody, ...encrypted } = eventData;
+    if (Buffer.isBuffer(eventData.payload)) return encrypted;
+
+    const dataKey = EncryptionUtil.createDataKey(await this.keyProvider.getKey(settings.keyParameter), settings.keyParameter);
+    const payload = structuredClone(eventData.payload);
+
+    for (const path of settings.paths) {
+      JsonPointerUtil.visit(payload, path, (parent, key) => {
+        if (parent[key] !== undefined && !EncryptionUtil.isEncrypted(parent[key])) {
+          parent[key] = EncryptionUtil.encryptValue(parent[key], dataKey);
+        }
+      });
+    }
+
+    return { ...encrypted, payload };
+  }
+
+  /**
+   * Decrypt every encrypted field in a stored document or received envelope
+   * Consumers need read access to the key-encryption keys the fields name
+   * @param {Object} document - Stored document, published envelope or payload
+   * @returns {Promise<Object>} Copy of the document with plaintext fields
+   * @throws {Error} If a key is unavailable or a field was modified
+   *
+   * @example
+   * const encryption = new FieldEncryptionService(new SSMKeyProvider(new SSMService({ region: "ap-southeast-3" })));
+   * const envelope = await encryption.decrypt(await MessageUtil.parseMessage(record.Sns.Message));
+   */
+  async decrypt(document) {
+    const keys = new Map();
+    const getKey = (keyId) => {
+      if (!keys.has(keyId)) keys.set(keyId, this.keyProvider.getKey(keyId));
+      return keys.get(keyId);
+    };
+
+    const walk = async (node) => {
+      if (EncryptionUtil.isEncrypted(node)) {
+        return EncryptionUtil.decryptValue(node, await getKey(node[EncryptionUtil.MARKER].kid));
+      }
+      if (Array.isArray(node)) {
+        return Promise.all(node.map(walk));
+      }
+      if (isPlainObject(node)) {
+        const entries = await Promise.all(Object.entries(node).map(async ([key, value]) => [key, await walk(value)]));
+        return Object.fromEntries(entries);
+      }
+      return node;
+    };
+
+    return walk(document);
+  }
+}
+
+module.exports = FieldEncryptionService;
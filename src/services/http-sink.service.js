@@ -0,0 +1,71 @@
+/**
+ * HTTP sink for webhook events
+ * Forwards webhook envelopes to an HTTP endpoint with a JSON POST
+ *
+ * @module HttpSinkService
+ */
+
+const MessageUtil = require("../utils/message.util");
+
+// Time to wait for the endpoint before giving up
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * HTTP sink for webhook events
+ */
+class HttpSinkService {
+  /**
+   * Initialize HTTP sink
+   * @param {Object} config - Configuration object
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * POST a webhook event to an endpoint
+   * The body is the message envelope plus the route attributes; tracking IDs are
+   * sent as X-Correlation-ID and X-Request-ID headers
+   * @param {Object} target - Route target with url and optional headers and timeoutMs
+   * @param {Object} eventData - Webhook event data
+   * @param {Object} publishContext - Environment and tracking IDs
+   * @returns {Promise<Object>} Result with the response status
+   * @throws {Error} If the request fails, times out or gets a non-2xx response
+   */
+  async publish(target, eventData, publishContext) {
+    const { environment, trackingIds = {} } = publishContext;
+    // Log only the host, as URLs may carry credentials in their query string
+    const host = new URL(target.url).host;
+
+    try {
+      const body = {
+        ...MessageUtil.buildMessage(eventData, environment),
+        attributes: eventData.attributes,
+      };
+
+      const response = await fetch(target.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(trackingIds.correlationId && { "X-Correlation-ID": trackingIds.correlationId }),
+          ...(trackingIds.requestId && { "X-Request-ID": trackingIds.requestId }),
+          ...target.headers,
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(target.timeoutMs ?? DEFAULT_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`endpoint answered ${response.status}`);
+      }
+
+      console.log(`Webhook event forwarded to ${host} with status ${response.status}`);
+      return { status: response.status };
+    } catch (error) {
+      console.error(`Failed to forward webhook event to ${host}:`, error);
+      throw new Error(`HTTP forward failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = HttpSinkService;
@@ -0,0 +1,158 @@
+/**
+ * Idempotency service for webhook deliveries
+ * Remembers provider delivery keys in MongoDB so retried deliveries are not republished
+ *
+ * @module IdempotencyService
+ */
+
+const crypto = require("crypto");
+const HeadersUtil = require("../utils/headers.util");
+const JsonPointerUtil = require("../utils/json-pointer.util");
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Idempotency key store backed by MongoDB
+ */
+class IdempotencyService {
+  /**
+   * Initialize idempotency service
+   * @param {MongoDBService} mongodb - Connected MongoDB service
+   * @param {Object} config - Idempotency configuration
+   * @param {string} config.collectionName - Collection holding idempotency records
+   * @param {number} config.ttlSeconds - Default time to remember a key
+   * @param {number} config.lockTimeoutSeconds - Time after which an unfinished claim can be taken over
+   */
+  constructor(mongodb, config) {
+    this.mongodb = mongodb;
+    this.config = config;
+    this.indexedDatabases = new Set();
+  }
+
+  /**
+   * Derive an idempotency key from a route rule
+   * Sources are tried in order: header, payload JSON pointer, body hash
+   * @param {Object} rule - Route idempotency rule
+   * @param {string|Array<string>} [rule.header] - Header(s) carrying a delivery ID
+   * @param {string} [rule.pointer] - JSON pointer into the parsed payload
+   * @param {boolean} [rule.hashBody] - Fall back to a SHA-256 hash of the raw body
+   * @param {Object} eventData - Structured webhook event data
+   * @param {Buffer|string} rawBody - Raw request body
+   * @returns {string|null} Idempotency key or null if none could be derived
+   */
+  static deriveKey(rule, eventData, rawBody) {
+    const headerNames = [].concat(rule.header || []);
+    for (const headerName of headerNames) {
+      const value = HeadersUtil.getHeaderValue(eventData.transport.headers, headerName);
+      if (value) return `header:${value}`;
+    }
+
+    if (rule.pointer) {
+      const value = JsonPointerUtil.get(eventData.payload, rule.pointer);
+      if (value !== undefined && value !== null && typeof value !== 'object') {
+        return `pointer:${value}`;
+      }
+    }
+
+    if (rule.hashBody && rawBody && rawBody.length > 0) {
+      return `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Claim a key before processing a delivery
+   * @param {string} databaseName - Database name
+   * @param {string} scope - Key scope (request path)
+   * @param {string} key - Idempotency key
+   * @param {number} [ttlSeconds] - Time to remember the key
+   * @returns {Promise<Object>} Claim result with status "claimed", "duplicate" or "in_progress"
+   */
+  async claim(databaseName, scope, key, ttlSeconds = this.config.ttlSeconds) {
+    const collection = await this._getCollection(databaseName);
+    const now = new Date();
+    const record = {
+      _id: `${scope}|${key}`,
+      status: "processing",
+      lockedAt: now,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ttlSeconds * 1000),
+    };
+
+    try {
+      await collection.insertOne(record);
+      return { status: "claimed" };
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+    }
+
+    const existing = await collection.findOne({ _id: record._id });
+    if (existing?.status === "completed") {
+      return { status: "duplicate", response: existing.response };
+    }
+
+    // Take over claims abandoned by a crashed or timed-out invocation
+    const staleBefore = new Date(now.getTime() - this.config.lockTimeoutSeconds * 1000);
+    const takeover = await collection.updateOne(
+      { _id: record._id, status: "processing", lockedAt: { $lt: staleBefore } },
+      { $set: { lockedAt: now, expiresAt: record.expiresAt } }
+    );
+
+    return { status: takeover.modifiedCount === 1 ? "claimed" : "in_progress" };
+  }
+
+  /**
+   * Record the response sent for a claimed key
+   * @param {string} databaseName - Database name
+   * @param {string} scope - Key scope (request path)
+   * @param {string} key - Idempotency key
+   * @param {Object} response - Lambda response to replay for duplicates
+   * @returns {Promise<void>}
+   */
+  async complete(databaseName, scope, key, response) {
+    const collection = await this._getCollection(databaseName);
+    await collection.updateOne(
+      { _id: `${scope}|${key}` },
+      { $set: { status: "completed", completedAt: new Date(), response } }
+    );
+  }
+
+  /**
+   * Release a claimed key so the sender's retry is processed again
+   * @param {string} databaseName - Database name
+   * @param {string} scope - Key scope (request path)
+   * @param {string} key - Idempotency key
+   * @returns {Promise<void>}
+   */
+  async release(databaseName, scope, key) {
+    const collection = await this._getCollection(databaseName);
+    await collection.deleteOne({ _id: `${scope}|${key}`, status: "processing" });
+  }
+
+  /**
+   * Get the idempotency collection, creating its TTL index once per container
+   * @private
+   * @param {string} databaseName - Database name
+   * @returns {Promise<Collection>} MongoDB collection
+   */
+  async _getCollection(databaseName) {
+    if (!this.mongodb.client) {
+      throw new Error("MongoDB not connected");
+    }
+
+    const collection = this.mongodb.client
+      .db(databaseName)
+      .collection(this.config.collectionName);
+
+    if (!this.indexedDatabases.has(databaseName)) {
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      this.indexedDatabases.add(databaseName);
+    }
+
+    return collection;
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,65 @@
+/**
+ * Key providers for field encryption
+ * Resolve key IDs to 256-bit key-encryption keys: from SSM Parameter Store in
+ * Lambda, or from an in-memory map in tests and local tools
+ *
+ * @module KeyProvider
+ */
+
+const EncryptionUtil = require("../utils/encryption.util");
+
+/**
+ * Key provider backed by SSM SecureString parameters holding base64-encoded keys
+ * The key ID is the parameter name, optionally with a version selector
+ * (e.g. "/webhook/receiver/prod/field-key:3")
+ */
+class SSMKeyProvider {
+  /**
+   * Initialize SSM key provider
+   * @param {SSMService} ssm - SSM service; parameters are cached by the service
+   */
+  constructor(ssm) {
+    this.ssm = ssm;
+  }
+
+  /**
+   * Get a key-encryption key
+   * @param {string} keyId - SSM parameter name
+   * @returns {Promise<Buffer>} 256-bit key
+   * @throws {Error} If the parameter cannot be read or does not hold a 32-byte key
+   */
+  async getKey(keyId) {
+    const value = await this.ssm.getParameter(keyId);
+    return EncryptionUtil.assertKey(Buffer.from(value.trim(), "base64"), keyId);
+  }
+}
+
+/**
+ * Key provider holding keys in memory, for tests and local tools
+ */
+class LocalKeyProvider {
+  /**
+   * Initialize local key provider
+   * @param {Object} keys - Keys by key ID, as Buffers or base64 strings
+   */
+  constructor(keys = {}) {
+    this.keys = new Map(
+      Object.entries(keys).map(([keyId, key]) => [keyId, Buffer.isBuffer(key) ? key : Buffer.from(key, "base64")])
+    );
+  }
+
+  /**
+   * Get a key-encryption key
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Buffer>} 256-bit key
+   * @throws {Error} If the key is unknown or not 32 bytes
+   */
+  async getKey(keyId) {
+    if (!this.keys.has(keyId)) {
+      throw new Error(`Unknown encryption key ${keyId}`);
+    }
+    return EncryptionUtil.assertKey(this.keys.get(keyId), keyId);
+  }
+}
+
+module.exports = { SSMKeyProvider, LocalKeyProvider };
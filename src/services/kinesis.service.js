@@ -0,0 +1,70 @@
+/**
+ * Amazon Kinesis sink for webhook events
+ * Writes webhook envelopes to a data stream, partitioned per conversation or sender
+ *
+ * @module KinesisService
+ */
+
+const { KinesisClient, PutRecordCommand } = require("@aws-sdk/client-kinesis");
+const crypto = require("crypto");
+const FifoUtil = require("../utils/fifo.util");
+const MessageUtil = require("../utils/message.util");
+
+/**
+ * Kinesis sink for webhook events
+ */
+class KinesisService {
+  /**
+   * Initialize Kinesis sink
+   * @param {Object} config - Configuration object
+   * @param {string} config.region - AWS region
+   */
+  constructor(config) {
+    this.kinesisClient = new KinesisClient({ region: config.region });
+    this.config = config;
+  }
+
+  /**
+   * Write a webhook event to a stream
+   * The partition key follows the target's partitionKey rules, which work like a
+   * route's messageGroup rules; without a value each request gets its own key
+   * @param {Object} target - Route target with streamName or streamArn and optional partitionKey rules
+   * @param {Object} eventData - Webhook event data
+   * @param {Object} publishContext - Environment, route params and tracking IDs
+   * @returns {Promise<Object>} PutRecord result with ShardId and SequenceNumber
+   * @throws {Error} If the record is rejected
+   */
+  async publish(target, eventData, publishContext) {
+    const { environment, params = {}, trackingIds = {} } = publishContext;
+    const stream = target.streamName ?? target.streamArn;
+
+    try {
+      const record = {
+        ...MessageUtil.buildMessage(eventData, environment),
+        attributes: eventData.attributes,
+        tracking: { correlationId: trackingIds.correlationId, requestId: trackingIds.requestId },
+      };
+      const partitionKey = FifoUtil.getMessageGroupId(
+        target.partitionKey,
+        eventData,
+        params,
+        trackingIds.requestId || crypto.randomUUID()
+      );
+
+      const response = await this.kinesisClient.send(new PutRecordCommand({
+        StreamName: target.streamName,
+        StreamARN: target.streamArn,
+        PartitionKey: partitionKey,
+        Data: Buffer.from(JSON.stringify(record)),
+      }));
+
+      console.log(`Webhook event written to Kinesis stream ${stream}, shard ${response.ShardId}`);
+      return response;
+    } catch (error) {
+      console.error(`Failed to write webhook event to Kinesis stream ${stream}:`, error);
+      throw new Error(`Kinesis put failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = KinesisService;
@@ -0,0 +1,152 @@
+/**
+ * MongoDB service for webhook event persistence
+ * Handles connection reuse across warm Lambda invocations and document inserts
+ *
+ * @module MongoDBService
+ */
+
+const { MongoClient, MongoBulkWriteError } = require("mongodb");
+
+// Shared client reused across Lambda invocations to minimize connection latency
+let mongoClient = null;
+
+/**
+ * MongoDB service for storing webhook events
+ */
+class MongoDBService {
+  /**
+   * Initialize MongoDB service
+   * @param {Object} config - MongoDB configuration object
+   * @param {number} [config.maxPoolSize] - Maximum connection pool size
+   * @param {number} [config.serverSelectionTimeoutMS] - Server selection timeout
+   * @param {number} [config.socketTimeoutMS] - Socket timeout
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.client = null;
+  }
+
+  /**
+   * Connect to MongoDB, reusing the shared client when available
+   * @param {string} connectionUri - MongoDB connection string
+   * @returns {Promise<MongoClient>} Connected MongoDB client
+   * @throws {Error} If the connection fails
+   */
+  async connect(connectionUri) {
+    if (this.client) {
+      return this.client;
+    }
+
+    try {
+      if (!mongoClient) {
+        const client = new MongoClient(connectionUri, {
+          maxPoolSize: this.config.maxPoolSize,
+          serverSelectionTimeoutMS: this.config.serverSelectionTimeoutMS,
+          socketTimeoutMS: this.config.socketTimeoutMS,
+        });
+        await client.connect();
+        mongoClient = client;
+        console.log("Connected to MongoDB (new connection)");
+      } else {
+        console.log("Reusing existing MongoDB connection");
+      }
+
+      this.client = mongoClient;
+      return this.client;
+    } catch (error) {
+      console.error("Failed to connect to MongoDB:", error);
+      throw new Error(`MongoDB connection failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store webhook event data in MongoDB
+   * @param {string} databaseName - Database name
+   * @param {string} collectionName - Collection name to store the data
+   * @param {Object} eventData - The webhook event data to store
+   * @returns {Promise<Object>} Insert result containing insertedId
+   * @throws {Error} If not connected or the insert fails
+   */
+  async storeWebhookEvent(databaseName, collectionName, eventData) {
+    if (!this.client) {
+      throw new Error("MongoDB not connected");
+    }
+
+    try {
+      // Insert a shallow copy so the driver-assigned _id does not leak into eventData
+      const collection = this.client.db(databaseName).collection(collectionName);
+      const result = await collection.insertOne({ ...eventData });
+
+      console.log(
+        `Webhook event stored in ${databaseName}.${collectionName} with ID: ${result.insertedId}`
+      );
+      return result;
+    } catch (error) {
+      console.error(
+        `Failed to store webhook event in ${databaseName}.${collectionName}:`,
+        error
+      );
+      throw new Error(`MongoDB insert failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the events split from a batch webhook in MongoDB
+   * The insert is unordered, so one rejected document does not stop the ones after it
+   * @param {string} databaseName - Database name
+   * @param {string} collectionName - Collection name to store the data
+   * @param {Array<Object>} events - Webhook event data, one document per event
+   * @returns {Promise<Object>} Insert result with insertedIds keyed by position, holding only
+   *   the stored documents, and writeErrors listing the index and message of each rejected one
+   * @throws {Error} If not connected or no document could be inserted
+   */
+  async storeWebhookEvents(databaseName, collectionName, events) {
+    if (!this.client) {
+      throw new Error("MongoDB not connected");
+    }
+
+    try {
+      const collection = this.client.db(databaseName).collection(collectionName);
+      const result = await collection.insertMany(events.map(eventData => ({ ...eventData })), { ordered: false });
+
+      console.log(
+        `${result.insertedCount} webhook events stored in ${databaseName}.${collectionName}`
+      );
+      return { ...result, writeErrors: [] };
+    } catch (error) {
+      if (error instanceof MongoBulkWriteError && error.writeErrors.length > 0 && error.insertedCount > 0) {
+        const writeErrors = error.writeErrors.map(writeError => ({ index: writeError.index, message: writeError.errmsg }));
+        const failed = new Set(writeErrors.map(writeError => writeError.index));
+        const insertedIds = Object.fromEntries(
+          Object.entries(error.insertedIds ?? {}).filter(([index]) => !failed.has(Number(index)))
+        );
+
+        console.error(
+          `${events.length - failed.size} of ${events.length} webhook events stored in ${databaseName}.${collectionName}:`,
+          writeErrors
+        );
+        return { insertedCount: error.insertedCount, insertedIds, writeErrors };
+      }
+
+      console.error(
+        `Failed to store webhook events in ${databaseName}.${collectionName}:`,
+        error
+      );
+      throw new Error(`MongoDB insert failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close the shared MongoDB connection
+   */
+  async close() {
+    if (mongoClient) {
+      await mongoClient.close();
+      mongoClient = null;
+      console.log("MongoDB connection closed");
+    }
+    this.client = null;
+  }
+}
+
+module.exports = MongoDBService;
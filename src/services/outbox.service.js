@@ -0,0 +1,241 @@
+/**
+ * Outbox service for webhook publishing
+ * Tracks the publish state of stored webhook documents so events that were stored
+ * but not published to every target are found and republished by the sweeper
+ *
+ * @module OutboxService
+ */
+
+const { ObjectId } = require("mongodb");
+
+/**
+ * Publish states of a stored webhook document
+ */
+const PublishStatus = {
+  // Stored; the receiving invocation has not recorded its publish attempt yet
+  PENDING: "pending",
+  // Published to every matched target
+  PUBLISHED: "published",
+  // At least one target failed; retried at publish.nextAttemptAt
+  FAILED: "failed",
+  // Still failing after the maximum number of attempts; no longer retried
+  ABANDONED: "abandoned",
+  // No target matched, so there was nothing to publish
+  SKIPPED: "skipped",
+};
+
+// States the sweeper picks up
+const RETRYABLE = [PublishStatus.PENDING, PublishStatus.FAILED];
+
+/**
+ * Convert a stored document ID back to an ObjectId when it is one
+ * @param {string|ObjectId} documentId - Document ID
+ * @returns {string|ObjectId} ID as stored
+ */
+function toDocumentId(documentId) {
+  return typeof documentId === "string" && ObjectId.isValid(documentId) && documentId.length === 24
+    ? new ObjectId(documentId)
+    : documentId;
+}
+
+/**
+ * Outbox state stored on webhook documents in MongoDB
+ */
+class OutboxService {
+  /**
+   * Initialize outbox service
+   * @param {MongoDBService} mongodb - Connected MongoDB service
+   * @param {Object} config - Outbox configuration
+   * @param {number} config.graceSeconds - Time a new document is left to its receiving invocation
+   * @param {number} config.baseDelaySeconds - Delay before the first retry; doubled on each further attempt
+   * @param {number} config.maxDelaySeconds - Longest delay between retries
+   * @param {number} config.maxAttempts - Attempts after which a document is abandoned
+   * @param {number} config.batchSize - Documents handled per sweep
+   */
+  constructor(mongodb, config) {
+    this.mongodb = mongodb;
+    this.config = config;
+    this.indexedCollections = new Set();
+  }
+
+  /**
+   * Build the publish block stored with a new webhook document
+   * @param {Array<Object>} targets - Matched targets
+   * @param {Object|null} fifo - FIFO ordering used for the first attempt, reused on retries
+   * @param {Date} [now] - Current time
+   * @returns {Object} Publish block with status, attempts and per-target status
+   */
+  pending(targets, fifo, now = new Date()) {
+    if (targets.length === 0) {
+      return { status: PublishStatus.SKIPPED, attempts: 0, targets: {} };
+    }
+
+    return {
+      status: PublishStatus.PENDING,
+      attempts: 0,
+      targets: Object.fromEntries(targets.map(target => [target.name, PublishStatus.PENDING])),
+      ...(fifo && { fifo }),
+      nextAttemptAt: new Date(now.getTime() + this.config.graceSeconds * 1000),
+    };
+  }
+
+  /**
+   * Compute the publish block after an attempt
+   * Targets that succeeded stay published; the document is published once every
+   * target has succeeded, and otherwise retried with exponential backoff
+   * @param {Object} publish - Publish block before the attempt
+   * @param {Array<Object>} results - Publish results with target names
+   * @param {Date} [now] - Current time
+   * @returns {Object} Updated publish block
+   */
+  nextState(publish, results, now = new Date()) {
+    const attempts = publish.attempts + 1;
+    const targets = { ...publish.targets };
+    for (const result of results) {
+      targets[result.target] = result.success ? PublishStatus.PUBLISHED : PublishStatus.FAILED;
+    }
+
+    const errors = results.filter(result => !result.success).map(result => `${result.target}: ${result.error}`);
+    const { nextAttemptAt, lastError, ...rest } = publish;
+    const next = { ...rest, attempts, targets, lastAttemptAt: now };
+
+    if (Object.values(targets).every(status => status === PublishStatus.PUBLISHED)) {
+      return { ...next, status: PublishStatus.PUBLISHED };
+    }
+    if (attempts >= this.config.maxAttempts) {
+      return { ...next, status: PublishStatus.ABANDONED, lastError: errors.join("; ") };
+    }
+    return {
+      ...next,
+      status: PublishStatus.FAILED,
+      lastError: errors.join("; "),
+      nextAttemptAt: new Date(now.getTime() + this.getRetryDelay(attempts) * 1000),
+    };
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in seconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.config.baseDelaySeconds * 2 ** (attempts - 1), this.config.maxDelaySeconds);
+  }
+
+  /**
+   * Record a publish attempt on a stored document
+   * Only applies if no other invocation recorded an attempt in the meantime
+   * @param {string} databaseName - Database name
+   * @param {string} collectionName - Collection holding the document
+   * @param {string|ObjectId} documentId - Document ID
+   * @param {Object} publish - Publish block the attempt started from
+   * @param {Array<Object>} results - Publish results with target names
+   * @returns {Promise<Object|null>} Updated publish block, or null if the document changed
+   */
+  async recordAttempt(databaseName, collectionName, documentId, publish, results) {
+    const next = this.nextState(publish, results);
+    const update = await this._getDatabase(databaseName).collection(collectionName).updateOne(
+      { _id: toDocumentId(documentId), "publish.attempts": publish.attempts },
+      { $set: { publish: next } }
+    );
+    return update.modifiedCount === 1 ? next : null;
+  }
+
+  /**
+   * Find stored documents that are due to be republished
+   * Collections whose names start with "_" hold service records and are skipped
+   * @param {string} databaseName - Database name
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Array<Object>>} Due documents with their collection names
+   */
+  async findDue(databaseName, now = new Date()) {
+    const due = [];
+    const collections = await this._getDatabase(databaseName).listCollections({}, { nameOnly: true }).toArray();
+
+    for (const { name } of collections) {
+      if (name.startsWith("_") || name.startsWith("system.")) continue;
+      const remaining = this.config.batchSize - due.length;
+      if (remaining <= 0) break;
+
+      const collection = await this._getIndexedCollection(databaseName, name);
+      const documents = await collection
+        .find({ "publish.status": { $in: RETRYABLE }, "publish.nextAttemptAt": { $lte: now } })
+        .sort({ "publish.nextAttemptAt": 1 })
+        .limit(remaining)
+        .toArray();
+      due.push(...documents.map(document => ({ collectionName: name, document })));
+    }
+
+    return due;
+  }
+
+  /**
+   * Lease a due document so concurrent sweeps do not republish it too
+   * @param {string} databaseName - Database name
+   * @param {string} collectionName - Collection holding the document
+   * @param {Object} document - Due document
+   * @param {Date} [now] - Current time
+   * @returns {Promise<boolean>} True if this sweep holds the lease
+   */
+  async lease(databaseName, collectionName, document, now = new Date()) {
+    const update = await this._getDatabase(databaseName).collection(collectionName).updateOne(
+      {
+        _id: document._id,
+        "publish.attempts": document.publish.attempts,
+        "publish.nextAttemptAt": document.publish.nextAttemptAt,
+      },
+      { $set: { "publish.nextAttemptAt": new Date(now.getTime() + this.config.graceSeconds * 1000) } }
+    );
+    return update.modifiedCount === 1;
+  }
+
+  /**
+   * Turn a stored document back into the event data it was stored from
+   * @param {Object} document - Stored webhook document
+   * @returns {Object} Webhook event data
+   */
+  static toEventData(document) {
+    const { _id, publish, ...eventData } = document;
+    if (eventData.payload?._bsontype === "Binary") {
+      eventData.payload = Buffer.from(eventData.payload.buffer);
+    }
+    return eventData;
+  }
+
+  /**
+   * Get a webhook database
+   * @private
+   * @param {string} databaseName - Database name
+   * @returns {Db} MongoDB database
+   * @throws {Error} If MongoDB is not connected
+   */
+  _getDatabase(databaseName) {
+    if (!this.mongodb.client) {
+      throw new Error("MongoDB not connected");
+    }
+    return this.mongodb.client.db(databaseName);
+  }
+
+  /**
+   * Get a webhook collection, creating its outbox index once per container
+   * @private
+   * @param {string} databaseName - Database name
+   * @param {string} collectionName - Collection name
+   * @returns {Promise<Collection>} MongoDB collection
+   */
+  async _getIndexedCollection(databaseName, collectionName) {
+    const collection = this._getDatabase(databaseName).collection(collectionName);
+    const key = `${databaseName}.${collectionName}`;
+
+    if (!this.indexedCollections.has(key)) {
+      await collection.createIndex({ "publish.status": 1, "publish.nextAttemptAt": 1 });
+      this.indexedCollections.add(key);
+    }
+
+    return collection;
+  }
+}
+
+OutboxService.PublishStatus = PublishStatus;
+
+module.exports = OutboxService;
@@ -0,0 +1,221 @@
+/**
+ * Route registry service
+ * Loads the declarative route table and resolves request paths to route settings
+ *
+ * @module RouteRegistry
+ */
+
+const fs = require("fs");
+const path = require("path");
+const SchemaUtil = require("../utils/schema.util");
+const HandshakeUtil = require("../utils/handshake.util");
+const DurabilityUtil = require("../utils/durability.util");
+const AttributesUtil = require("../utils/attributes.util");
+const RoutingUtil = require("../utils/routing.util");
+const FifoUtil = require("../utils/fifo.util");
+const BatchUtil = require("../utils/batch.util");
+const RedactionUtil = require("../utils/redaction.util");
+const HeadersUtil = require("../utils/headers.util");
+const SignatureUtil = require("../utils/signature.util");
+const FieldEncryptionService = require("./field-encryption.service");
+
+/**
+ * Decode a matched path segment, keeping it as-is if it is not valid encoding
+ * @param {string} segment - Matched path segment
+ * @returns {string} Decoded segment
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+// Route fields with their own settings, and the feature validator for each
+const FIELD_VALIDATORS = {
+  validation: SchemaUtil.validateSettings.bind(SchemaUtil),
+  handshake: HandshakeUtil.validateSettings.bind(HandshakeUtil),
+  durability: DurabilityUtil.validateSettings.bind(DurabilityUtil),
+  attributes: AttributesUtil.validateRules.bind(AttributesUtil),
+  targets: RoutingUtil.validateTargets.bind(RoutingUtil),
+  messageGroup: FifoUtil.validateRules.bind(FifoUtil),
+  split: BatchUtil.validateRules.bind(BatchUtil),
+  encryption: FieldEncryptionService.validateSettings.bind(FieldEncryptionService),
+  redaction: RedactionUtil.validateSettings.bind(RedactionUtil),
+  headerFilter: HeadersUtil.validateFilter.bind(HeadersUtil),
+  signature: SignatureUtil.validateSettings.bind(SignatureUtil),
+};
+
+/**
+ * Check a route definition's settings with the validator of each feature it uses
+ * @param {Object} definition - Route definition with a valid path
+ * @throws {Error} If any setting is invalid
+ */
+function validateDefinition(definition) {
+  const owner = `route ${definition.path}`;
+  if (definition.methods !== undefined && !Array.isArray(definition.methods)) {
+    throw new Error(`${owner} methods must be an array`);
+  }
+  for (const [field, validate] of Object.entries(FIELD_VALIDATORS)) {
+    if (definition[field] !== undefined) validate(definition[field], owner);
+  }
+}
+
+/**
+ * Route registry backed by a JSON file, an SSM parameter or inline configuration
+ */
+class RouteRegistry {
+  /**
+   * Initialize route registry
+   * @param {Config} config - Application configuration
+   * @param {SSMService} ssm - SSM service used for parameter-backed route tables
+   */
+  constructor(config, ssm) {
+    this.config = config;
+    this.ssm = ssm;
+    this.source = null;
+    this.routes = [];
+  }
+
+  /**
+   * Resolve a request path to its route
+   * @param {string} requestPath - Request path
+   * @returns {Promise<Object|null>} Resolved route with defaults and path params,
+   *   or null when no route matches and the registry is strict
+   */
+  async resolve(requestPath) {
+    const routes = await this.getRoutes();
+
+    for (const route of routes) {
+      const match = route.pattern.regex.exec(requestPath);
+      if (match) {
+        const params = {};
+        route.pattern.keys.forEach((key, index) => {
+          params[key] = decodeSegment(match[index + 1]);
+        });
+        return this._withDefaults(route.definition, params);
+      }
+    }
+
+    if (this.config.routing.strict) {
+      return null;
+    }
+    return this._withDefaults({ name: "default" }, {});
+  }
+
+  /**
+   * Load and compile the route table, recompiling only when its source changes
+   * @returns {Promise<Array<Object>>} Compiled routes in declaration order
+   * @throws {Error} If the route table cannot be read or is invalid
+   */
+  async getRoutes() {
+    const source = await this._readSource();
+    if (source !== this.source) {
+      const routes = RouteRegistry.parse(source);
+      routes.forEach(({ definition }) => this._checkPublisher(definition));
+      this.routes = routes;
+      this.source = source;
+      console.log(`Route table loaded with ${this.routes.length} route(s)`);
+    }
+    return this.routes;
+  }
+
+  /**
+   * Parse and validate a route table
+   * Accepts either an array of routes or an object with a "routes" array
+   * @param {string} source - Route table JSON
+   * @returns {Array<Object>} Compiled routes
+   * @throws {Error} If the route table is invalid
+   */
+  static parse(source) {
+    if (!source) return [];
+
+    let table;
+    try {
+      table = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Invalid route table: ${error.message}`);
+    }
+
+    const definitions = Array.isArray(table) ? table : table?.routes;
+    if (!Array.isArray(definitions)) {
+      throw new Error("Invalid route table: expected an array of routes");
+    }
+
+    return definitions.map((definition, index) => {
+      if (!definition || typeof definition.path !== "string" || !definition.path.startsWith("/")) {
+        throw new Error(`Invalid route table: route ${index} must have a path starting with "/"`);
+      }
+      try {
+        validateDefinition(definition);
+      } catch (error) {
+        throw new Error(`Invalid route table: ${error.message}`);
+      }
+      return { definition, pattern: RoutingUtil.compilePattern(definition.path) };
+    });
+  }
+
+  /**
+   * Read the raw route table from the configured source
+   * Precedence: SSM parameter, then JSON file, then inline WEBHOOK_ROUTES
+   * @private
+   * @returns {Promise<string|null>} Route table JSON
+   */
+  async _readSource() {
+    const { parameter, file, inline } = this.config.routing;
+
+    if (parameter) {
+      return this.ssm.getParameter(parameter);
+    }
+    if (file) {
+      if (this.source === null) {
+        const root = process.env.LAMBDA_TASK_ROOT || process.cwd();
+        return fs.readFileSync(path.resolve(root, file), "utf8");
+      }
+      return this.source;
+    }
+    return inline || null;
+  }
+
+  /**
+   * Check that a route requiring publishing has somewhere to publish to
+   * @private
+   * @param {Object} definition - Route definition
+   * @throws {Error} If the route's durability policy is require-publish and it has
+   *   no targets, no topicArn and no default SNS topic
+   */
+  _checkPublisher(definition) {
+    const route = this._withDefaults(definition, {});
+    const publishers = route.targets ? route.targets.length : Number(Boolean(route.topicArn));
+
+    if (route.durability.policy === DurabilityUtil.DurabilityPolicy.REQUIRE_PUBLISH && publishers === 0) {
+      throw new Error(
+        `Invalid route table: route ${definition.path} durability require-publish needs a topicArn or targets, and SNS_TOPIC_ARN is not set`
+      );
+    }
+  }
+
+  /**
+   * Apply global defaults to a route definition
+   * @private
+   * @param {Object} definition - Route definition
+   * @param {Object} params - Path parameters
+   * @returns {Object} Resolved route
+   */
+  _withDefaults(definition, params) {
+    return {
+      ...definition,
+      name: definition.name || definition.path,
+      methods: (definition.methods || this.config.webhook.allowedMethods).map(m => m.toUpperCase()),
+      topicArn: definition.topicArn ?? this.config.aws.snsTopicArn,
+      critical: Boolean(definition.critical),
+      durability: DurabilityUtil.getSettings(definition.durability, this.config.durability),
+      params,
+    };
+  }
+}
+
+RouteRegistry.compilePattern = RoutingUtil.compilePattern;
+
+module.exports = RouteRegistry;
@@ -0,0 +1,155 @@
+/**
+ * Sink registry service
+ * Dispatches route targets to the sink for their type: SNS, SQS, EventBridge, Kinesis or HTTP
+ *
+ * @module SinkRegistry
+ */
+
+const SQSService = require("./sqs.service");
+const EventBridgeService = require("./eventbridge.service");
+const KinesisService = require("./kinesis.service");
+const HttpSinkService = require("./http-sink.service");
+const SNSBatchService = require("./sns-batch.service");
+const AttributesUtil = require("../utils/attributes.util");
+
+/**
+ * Factories for sinks created on first use, so unused clients are never built
+ */
+const SINK_FACTORIES = {
+  sqs: (config, claimCheck) => new SQSService(config, claimCheck),
+  eventbridge: (config, claimCheck) => new EventBridgeService(config, claimCheck),
+  kinesis: (config) => new KinesisService(config),
+  http: (config) => new HttpSinkService(config),
+};
+
+/**
+ * Registry of event sinks
+ * Every sink implements publish(target, eventData, publishContext); sinks that can
+ * publish several events in one request also implement publishBatch(target, items, publishContext)
+ */
+class SinkRegistry {
+  /**
+   * Initialize sink registry
+   * @param {Object} config - AWS configuration
+   * @param {string} config.region - AWS region
+   * @param {SNSService} sns - SNS service used for "sns" targets
+   * @param {ClaimCheckService} [claimCheck] - Offloads messages over the SQS and EventBridge size limits
+   */
+  constructor(config, sns, claimCheck = null) {
+    const snsBatch = new SNSBatchService(sns);
+
+    this.config = config;
+    this.claimCheck = claimCheck;
+    this.sinks = {
+      sns: {
+        publish: (target, eventData, { environment, trackingIds, traceId, spanId, fifo, deadline }) =>
+          sns.publishWebhookEvent(target.topicArn, eventData, environment, trackingIds, traceId, spanId, { fifo, deadline }),
+        publishBatch: (target, items, publishContext) => snsBatch.publishBatch(target.topicArn, items, publishContext),
+      },
+    };
+  }
+
+  /**
+   * Get the sink for a target type
+   * @param {string} type - Target type
+   * @returns {Object} Sink with a publish method
+   * @throws {Error} If the type is unknown
+   */
+  getSink(type) {
+    if (!this.sinks[type]) {
+      if (!SINK_FACTORIES[type]) {
+        throw new Error(`Unknown sink type "${type}"`);
+      }
+      this.sinks[type] = SINK_FACTORIES[type](this.config, this.claimCheck);
+    }
+    return this.sinks[type];
+  }
+
+  /**
+   * Publish a webhook event to a route target
+   * @param {Object} target - Route target with a type
+   * @param {Object} eventData - Webhook event data
+   * @param {Object} publishContext - Environment, route params, tracking IDs, Datadog context, FIFO ordering and deadline
+   * @returns {Promise<Object>} Sink-specific publish result
+   * @throws {Error} If the sink rejects the event
+   */
+  async publish(target, eventData, publishContext) {
+    return this.getSink(target.type ?? "sns").publish(target, eventData, publishContext);
+  }
+
+  /**
+   * Deliver a webhook event to a matched route target, adding the target's own attributes
+   * The target's attributes are extracted from the event data given, which is the
+   * filtered and redacted publish copy, so they follow the route's publish policy
+   * @param {Object} target - Matched route target with a type and name
+   * @param {Object} eventData - Webhook event data prepared for publishing
+   * @param {Object} publishContext - Environment, route params, tracking IDs, Datadog context, FIFO ordering and deadline
+   * @returns {Promise<Object>} Operation result with the target type, name and publish attempts; never rejects
+   */
+  async deliver(target, eventData, publishContext) {
+    const attributes = target.attributes
+      ? { ...eventData.attributes, ...AttributesUtil.extract(target.attributes, eventData, publishContext.params) }
+      : eventData.attributes;
+
+    try {
+      // Sinks that retry report their attempt count; the others make a single attempt
+      const response = await this.publish(target, { ...eventData, attributes }, publishContext);
+      return { success: true, operation: target.type, target: target.name, attempts: response?.attempts ?? 1 };
+    } catch (error) {
+      console.error(`Publishing to ${target.type} target ${target.name} failed:`, error);
+      return {
+        success: false,
+        operation: target.type,
+        target: target.name,
+        attempts: error.attempts ?? 1,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Deliver the events split from a batch webhook to a matched route target
+   * Sinks without a batch API receive the events one at a time, in order
+   * @param {Object} target - Matched route target with a type and name
+   * @param {Array<Object>} items - Events matched by the target, each with eventData and its FIFO ordering
+   * @param {Object} publishContext - Environment, route params, tracking IDs, Datadog context and deadline
+   * @returns {Promise<Object>} Operation result with the target type and name, the highest attempt count
+   *   and one result per item in results; never rejects
+   */
+  async deliverBatch(target, items, publishContext) {
+    const withAttributes = items.map(({ eventData, fifo }) => ({
+      eventData: target.attributes
+        ? { ...eventData, attributes: { ...eventData.attributes, ...AttributesUtil.extract(target.attributes, eventData, publishContext.params) } }
+        : eventData,
+      fifo,
+    }));
+
+    let results;
+    try {
+      const sink = this.getSink(target.type ?? "sns");
+      if (sink.publishBatch) {
+        results = await sink.publishBatch(target, withAttributes, publishContext);
+      } else {
+        results = [];
+        for (const { eventData, fifo } of withAttributes) {
+          results.push(await this.deliver({ ...target, attributes: undefined }, eventData, { ...publishContext, fifo }));
+        }
+      }
+    } catch (error) {
+      console.error(`Publishing to ${target.type} target ${target.name} failed:`, error);
+      results = items.map(() => ({ success: false, attempts: 0, error: error.message }));
+    }
+
+    const failed = results.filter(result => !result.success);
+    return {
+      success: failed.length === 0,
+      operation: target.type,
+      target: target.name,
+      attempts: Math.max(...results.map(result => result.attempts ?? 1)),
+      ...(failed.length > 0 && { error: `${failed.length} of ${results.length} events failed: ${failed[0].error}` }),
+      results,
+    };
+  }
+}
+
+module.exports = SinkRegistry;
@@ -0,0 +1,117 @@
+/**
+ * SNS batch publishing service
+ * Publishes the events split from a batch webhook with PublishBatch
+ *
+ * @module SNSBatchService
+ */
+
+const { PublishBatchCommand } = require("@aws-sdk/client-sns");
+const FifoUtil = require("../utils/fifo.util");
+const RetryUtil = require("../utils/retry.util");
+
+// PublishBatch accepts up to 10 entries and 256 KB per request
+const MAX_BATCH_ENTRIES = 10;
+const MAX_BATCH_BYTES = 256 * 1024;
+
+/**
+ * Approximate the size an entry adds to a PublishBatch request
+ * @param {Object} entry - PublishBatch request entry
+ * @returns {number} Size in bytes
+ */
+function entrySize(entry) {
+  return Buffer.byteLength(entry.Message) + Buffer.byteLength(JSON.stringify(entry.MessageAttributes));
+}
+
+/**
+ * Group entries into PublishBatch requests, keeping their order
+ * @param {Array<Object>} entries - PublishBatch request entries
+ * @returns {Array<Array<Object>>} Requests of at most 10 entries and 256 KB
+ */
+function chunkEntries(entries) {
+  const chunks = [];
+  let size = 0;
+
+  for (const entry of entries) {
+    const current = chunks[chunks.length - 1];
+    if (!current || current.length === MAX_BATCH_ENTRIES || size + entrySize(entry) > MAX_BATCH_BYTES) {
+      chunks.push([entry]);
+      size = entrySize(entry);
+    } else {
+      current.push(entry);
+      size += entrySize(entry);
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Batch publisher for SNS targets
+ */
+class SNSBatchService {
+  /**
+   * Initialize SNS batch service
+   * @param {SNSService} sns - SNS service whose client, retry policy and message format are reused
+   */
+  constructor(sns) {
+    this.sns = sns;
+  }
+
+  /**
+   * Publish several webhook events to one SNS topic
+   * Requests are sent in order, ten entries at a time, and retried like single publishes.
+   * On FIFO topics, entries after a failed request are not sent so their order is kept.
+   * @param {string} topicArn - SNS topic ARN
+   * @param {Array<Object>} items - Events to publish, each with eventData and its FIFO ordering
+   * @param {Object} publishContext - Environment, tracking IDs, Datadog context and deadline
+   * @returns {Promise<Array<Object>>} One result per item, in order, with success, attempts and error
+   */
+  async publishBatch(topicArn, items, publishContext) {
+    const { environment, trackingIds = {}, traceId = null, spanId = null, deadline } = publishContext;
+    const results = items.map(() => ({ success: false, attempts: 0, error: "Not published" }));
+    const entries = [];
+
+    for (const [index, { eventData, fifo }] of items.entries()) {
+      try {
+        const entry = await this.sns.buildEntry(topicArn, eventData, environment, trackingIds, traceId, spanId, fifo);
+        entries.push({ Id: String(index), ...entry });
+      } catch (error) {
+        results[index].error = error.message;
+      }
+    }
+
+    for (const chunk of chunkEntries(entries)) {
+      try {
+        const { result, attempts } = await RetryUtil.run(
+          () => this.sns.snsClient.send(new PublishBatchCommand({ TopicArn: topicArn, PublishBatchRequestEntries: chunk })),
+          { ...this.sns.retryPolicy, deadline },
+          `SNS batch publish to ${topicArn}`
+        );
+        const failed = new Map((result.Failed ?? []).map(failure => [failure.Id, `${failure.Code}: ${failure.Message}`]));
+
+        for (const { Id } of chunk) {
+          results[Number(Id)] = failed.has(Id)
+            ? { success: false, attempts, error: failed.get(Id) }
+            : { success: true, attempts };
+        }
+        console.log(
+          `Published ${chunk.length - failed.size}/${chunk.length} webhook events to SNS topic ${topicArn}, ` +
+            `CorrelationId: ${trackingIds.correlationId || "generated"}, Attempts: ${attempts}`
+        );
+        if (failed.size > 0 && FifoUtil.isFifoTopic(topicArn)) break;
+      } catch (error) {
+        console.error(`Failed to publish webhook events to SNS topic ${topicArn} after ${error.attempts ?? 0} attempt(s):`, error);
+        for (const { Id } of chunk) {
+          results[Number(Id)] = { success: false, attempts: error.attempts ?? 0, error: `SNS publish failed: ${error.message}` };
+        }
+        if (FifoUtil.isFifoTopic(topicArn)) break;
+      }
+    }
+
+    return results;
+  }
+}
+
+SNSBatchService.MAX_BATCH_ENTRIES = MAX_BATCH_ENTRIES;
+
+module.exports = SNSBatchService;
@@ -7,6 +7,10 @@
 
 const { SNSClient, PublishCommand } = require("@aws-sdk/client-sns");
 const HeadersUtil = require("../utils/headers.util");
+const AttributesUtil = require("../utils/attributes.util");
+const FifoUtil = require("../utils/fifo.util");
+const MessageUtil = require("../utils/message.util");
+const RetryUtil = require("../utils/retry.util");
 
 /**
  * SNS service for publishing webhook events
@@ -16,10 +20,16 @@ class SNSService {
    * Initialize SNS service
    * @param {Object} config - Configuration object
    * @param {string} config.region - AWS region
+   * @param {Object} [config.snsRetry] - Retry policy (maxAttempts, baseDelayMs, maxDelayMs)
+   * @param {number|null} [config.compressionThresholdBytes] - Envelope size above which messages are gzip-compressed
+   * @param {ClaimCheckService} [claimCheck] - Offloads messages over the SNS size limit
    */
-  constructor(config) {
-    this.snsClient = new SNSClient({ region: config.region });
+  constructor(config, claimCheck = null) {
+    // Retries are made by publishWebhookEvent, so the SDK's own retries are turned off
+    this.snsClient = new SNSClient({ region: config.region, maxAttempts: 1 });
     this.config = config;
+    this.claimCheck = claimCheck;
+    this.retryPolicy = { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 2000, ...config.snsRetry };
   }
 
   /**
@@ -38,8 +48,12 @@ class SNSService {
    * @param {string} [trackingIds.requestId] - Request ID for request tracking
    * @param {string|null} datadogTraceId - Datadog trace ID for APM
    * @param {string|null} datadogParentId - Datadog parent span ID for APM
-   * @returns {Promise<Object>} SNS publish result with MessageId
-   * @throws {Error} Throws error if SNS publish fails
+   * @param {Object} [options] - Publish options
+   * @param {Object|null} [options.fifo] - Ordering for .fifo topics, with messageGroupId and deduplicationId
+   * @param {number} [options.deadline] - Epoch milliseconds after which no retry is started
+   * @returns {Promise<Object>} SNS publish result with MessageId and the number of attempts
+   * @throws {Error} Throws error if SNS publish fails or a FIFO topic has no message group;
+   *   error.attempts holds the number of publish attempts made
    */
   async publishWebhookEvent(
     topicArn,
@@ -47,66 +61,84 @@ class SNSService {
     environment,
     trackingIds = {},
     datadogTraceId = null,
-    datadogParentId = null
+    datadogParentId = null,
+    options = {}
   ) {
+    const { fifo = null, deadline } = options;
+
     try {
-      // Build the message payload
-      const message = this._buildMessage(eventData, environment);
-      
-      // Build message attributes
-      const messageAttributes = this._buildMessageAttributes(
-        eventData,
-        environment,
-        trackingIds,
-        datadogTraceId,
-        datadogParentId
+      const entry = await this.buildEntry(topicArn, eventData, environment, trackingIds, datadogTraceId, datadogParentId, fifo);
+      const command = new PublishCommand({ TopicArn: topicArn, ...entry });
+
+      // Retry throttling and transient faults within the remaining time budget
+      const { result: response, attempts } = await RetryUtil.run(
+        () => this.snsClient.send(command),
+        { ...this.retryPolicy, deadline },
+        `SNS publish to ${topicArn}`
       );
-
-      // Publish to SNS
-      const command = new PublishCommand({
-        TopicArn: topicArn,
-        Message: JSON.stringify(message),
-        Subject: `Webhook Event - ${eventData.transport.method} ${eventData.transport.path}`,
-        MessageAttributes: messageAttributes,
-      });
-
-      const response = await this.snsClient.send(command);
       
       console.log(
-        `Webhook event published to SNS topic ${topicArn} with MessageId: ${
-          response.MessageId
-        }, CorrelationId: ${
-          trackingIds.correlationId || "generated"
-        }, RequestId: ${trackingIds.requestId || "generated"}`
+        `Webhook event published to SNS topic ${topicArn} with MessageId: ${response.MessageId}, ` +
+          `CorrelationId: ${trackingIds.correlationId || "generated"}, ` +
+          `RequestId: ${trackingIds.requestId || "generated"}, Attempts: ${attempts}`
       );
       
-      return response;
+      return { ...response, attempts };
     } catch (error) {
-      console.error(
-        `Failed to publish webhook event to SNS topic ${topicArn}:`,
-        error
-      );
-      throw new Error(`SNS publish failed: ${error.message}`);
+      // Errors without an attempt count come from building the message, before any publish
+      const after = error.attempts ? ` after ${error.attempts} attempt(s)` : " (message could not be built)";
+      console.error(`Failed to publish webhook event to SNS topic ${topicArn}${after}:`, error);
+      throw Object.assign(new Error(`SNS publish failed: ${error.message}`), { attempts: error.attempts ?? 0 });
     }
   }
 
+  /**
+   * Build the message, attributes and ordering fields of a publish request
+   * Shared by single publishes and PublishBatch entries
+   * @param {string} topicArn - SNS topic ARN
+   * @param {Object} eventData - Webhook event data
+   * @param {string} environment - Environment name
+   * @param {Object} trackingIds - Tracking IDs
+   * @param {string|null} datadogTraceId - Datadog trace ID
+   * @param {string|null} datadogParentId - Datadog parent span ID
+   * @param {Object|null} fifo - Ordering for .fifo topics
+   * @returns {Promise<Object>} Message, Subject, MessageAttributes and, for FIFO topics, group and deduplication IDs
+   * @throws {Error} If a FIFO topic has no message group
+   */
+  async buildEntry(topicArn, eventData, environment, trackingIds, datadogTraceId, datadogParentId, fifo) {
+    if (FifoUtil.isFifoTopic(topicArn) && !fifo?.messageGroupId) {
+      throw new Error("FIFO topics require a message group ID");
+    }
+
+    const message = this._buildMessage(eventData, environment);
+    const encoding = typeof message === "string" ? "gzip" : null;
+    const messageAttributes = this._buildMessageAttributes(eventData, environment, trackingIds, datadogTraceId, datadogParentId, encoding);
+
+    // Oversize messages are offloaded and replaced by a claim-check pointer; compressed
+    // messages are offloaded uncompressed, so the pointer is plain JSON
+    const size = SNSService.calculateMessageSize(message, messageAttributes);
+    const original = encoding ? MessageUtil.buildMessage(eventData, environment) : null;
+    const body = this.claimCheck ? await this.claimCheck.prepare(message, size, original) : message;
+    if (typeof body !== "string") delete messageAttributes["content-encoding"];
+
+    return {
+      Message: typeof body === "string" ? body : JSON.stringify(body),
+      Subject: `Webhook Event - ${eventData.transport.method} ${eventData.transport.path}`,
+      MessageAttributes: messageAttributes,
+      ...(FifoUtil.isFifoTopic(topicArn) && { MessageGroupId: fifo.messageGroupId, MessageDeduplicationId: fifo.deduplicationId }),
+    };
+  }
+
   /**
    * Build the SNS message payload
+   * Envelopes over the compression threshold are gzip-compressed and base64-encoded
    * @private
    * @param {Object} eventData - Webhook event data
    * @param {string} environment - Environment name
-   * @returns {Object} Message payload
+   * @returns {Object|string} Message payload, or the compressed envelope
    */
   _buildMessage(eventData, environment) {
-    return {
-      environment: environment,
-      timestamp: eventData.timestamp,
-      source: eventData.source,
-      transport: eventData.transport,
-      payload: eventData.payload,
-      type: eventData.type,
-      isBase64Encoded: eventData.isBase64Encoded,
-    };
+    return MessageUtil.compress(MessageUtil.buildMessage(eventData, environment), this.config.compressionThresholdBytes);
   }
 
   /**
@@ -117,48 +149,46 @@ class SNSService {
    * @param {Object} trackingIds - Tracking IDs
    * @param {string|null} datadogTraceId - Datadog trace ID
    * @param {string|null} datadogParentId - Datadog parent span ID
+   * @param {string|null} [contentEncoding] - Encoding of a compressed message
    * @returns {Object} Message attributes
    */
-  _buildMessageAttributes(eventData, environment, trackingIds, datadogTraceId, datadogParentId) {
+  _buildMessageAttributes(eventData, environment, trackingIds, datadogTraceId, datadogParentId, contentEncoding = null) {
     // Base message attributes
     const messageAttributes = {
-      environment: {
-        DataType: "String",
-        StringValue: environment,
-      },
-      method: {
-        DataType: "String",
-        StringValue: eventData.transport.method,
-      },
-      path: {
-        DataType: "String",
-        StringValue: eventData.transport.path,
-      },
-      contentType: {
-        DataType: "String",
-        StringValue: eventData.type,
-      },
-      "x-correlation-id": {
-        DataType: "String",
-        StringValue: trackingIds.correlationId || require("crypto").randomUUID(),
-      },
-      "x-request-id": {
-        DataType: "String",
-        StringValue: trackingIds.requestId || require("crypto").randomUUID(),
-      },
-      "content-type": {
-        DataType: "String",
-        StringValue: "application/json",
-      },
+      ...AttributesUtil.forEvent(eventData, environment, trackingIds),
+      contentType: AttributesUtil.string(eventData.type),
+      "content-type": AttributesUtil.string("application/json"),
+      // Compressed messages must be inflated by subscribers
+      ...(contentEncoding && { "content-encoding": AttributesUtil.string(contentEncoding) }),
     };
 
+    // Events split from a batch request share its tracking IDs and carry their position
+    if (eventData.batch) {
+      messageAttributes["x-batch-index"] = AttributesUtil.string(String(eventData.batch.index));
+    }
+
+    // Expose the schema validation outcome to subscription filter policies
+    if (eventData.validation) {
+      messageAttributes["validation"] = AttributesUtil.string(eventData.validation.valid ? "valid" : "invalid");
+    }
+
     // Add headers attribute
     this._addHeadersAttribute(messageAttributes, eventData.transport.headers);
 
     // Add Datadog attributes
     this._addDatadogAttributes(messageAttributes, datadogTraceId, datadogParentId);
 
-    return messageAttributes;
+    // Add attributes extracted by the route for subscription filter policies
+    const routeAttributes = Object.keys(eventData.attributes ?? {});
+    for (const name of routeAttributes) {
+      messageAttributes[name] = AttributesUtil.fromValue(eventData.attributes[name]);
+    }
+
+    // Stay within the SNS attribute limit, keeping filter-policy attributes in their own slots
+    return AttributesUtil.applyBudget(messageAttributes, [
+      ...(this.config.snsFilterAttributes ?? []),
+      ...routeAttributes,
+    ]);
   }
 
   /**
@@ -185,17 +215,11 @@ class SNSService {
    */
   _addDatadogAttributes(messageAttributes, datadogTraceId, datadogParentId) {
     if (datadogTraceId) {
-      messageAttributes["x-datadog-trace-id"] = {
-        DataType: "String",
-        StringValue: datadogTraceId,
-      };
+      messageAttributes["x-datadog-trace-id"] = AttributesUtil.string(datadogTraceId);
     }
 
     if (datadogParentId) {
-      messageAttributes["x-datadog-parent-id"] = {
-        DataType: "String",
-        StringValue: datadogParentId,
-      };
+      messageAttributes["x-datadog-parent-id"] = AttributesUtil.string(datadogParentId);
     }
   }
 
@@ -206,7 +230,7 @@ class SNSService {
    */
   static validateTopicArn(topicArn) {
     if (!topicArn || typeof topicArn !== 'string') return false;
-    return /^arn:aws:sns:[a-z0-9-]+:\d+:[a-zA-Z0-9_-]+$/.test(topicArn);
+    return /^arn:aws:sns:[a-z0-9-]+:\d+:[a-zA-Z0-9_-]{1,256}(\.fifo)?$/.test(topicArn);
   }
 
   /**
@@ -216,7 +240,7 @@ class SNSService {
    * @returns {number} Approximate size in bytes
    */
   static calculateMessageSize(message, messageAttributes) {
-    return JSON.stringify(message).length + JSON.stringify(messageAttributes).length;
+    return Buffer.byteLength(JSON.stringify(message)) + Buffer.byteLength(JSON.stringify(messageAttributes));
   }
 }
 
@@ -0,0 +1,95 @@
+/**
+ * AWS SQS sink for webhook events
+ * Sends webhook envelopes straight to standard or FIFO queues
+ *
+ * @module SQSService
+ */
+
+const { SQSClient, SendMessageCommand } = require("@aws-sdk/client-sqs");
+const AttributesUtil = require("../utils/attributes.util");
+const FifoUtil = require("../utils/fifo.util");
+const MessageUtil = require("../utils/message.util");
+
+/**
+ * SQS sink for webhook events
+ */
+class SQSService {
+  /**
+   * Initialize SQS sink
+   * @param {Object} config - Configuration object
+   * @param {string} config.region - AWS region
+   * @param {ClaimCheckService} [claimCheck] - Offloads messages over the SQS size limit
+   */
+  constructor(config, claimCheck = null) {
+    this.sqsClient = new SQSClient({ region: config.region });
+    this.config = config;
+    this.claimCheck = claimCheck;
+  }
+
+  /**
+   * Send a webhook event to a queue
+   * @param {Object} target - Route target with queueUrl
+   * @param {Object} eventData - Webhook event data
+   * @param {Object} publishContext - Environment, tracking IDs and FIFO ordering
+   * @returns {Promise<Object>} SQS send result with MessageId
+   * @throws {Error} If sending fails or a FIFO queue has no message group
+   */
+  async publish(target, eventData, publishContext) {
+    const { environment, trackingIds = {}, fifo } = publishContext;
+
+    try {
+      const isFifo = FifoUtil.isFifoQueue(target.queueUrl);
+      if (isFifo && !fifo?.messageGroupId) {
+        throw new Error("FIFO queues require a message group ID");
+      }
+
+      const message = MessageUtil.buildMessage(eventData, environment);
+      const messageAttributes = this._buildMessageAttributes(eventData, environment, trackingIds);
+
+      // Oversize messages are offloaded and replaced by a claim-check pointer
+      const size = Buffer.byteLength(JSON.stringify(message)) + Buffer.byteLength(JSON.stringify(messageAttributes));
+      const body = this.claimCheck ? await this.claimCheck.prepare(message, size) : message;
+
+      const response = await this.sqsClient.send(new SendMessageCommand({
+        QueueUrl: target.queueUrl,
+        MessageBody: JSON.stringify(body),
+        MessageAttributes: messageAttributes,
+        ...(isFifo && {
+          MessageGroupId: fifo.messageGroupId,
+          MessageDeduplicationId: fifo.deduplicationId,
+        }),
+      }));
+
+      console.log(`Webhook event sent to SQS queue ${target.queueUrl} with MessageId: ${response.MessageId}`);
+      return response;
+    } catch (error) {
+      console.error(`Failed to send webhook event to SQS queue ${target.queueUrl}:`, error);
+      throw new Error(`SQS send failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build SQS message attributes
+   * SQS has no String.Array type, so array values are sent as JSON strings
+   * @private
+   * @param {Object} eventData - Webhook event data
+   * @param {string} environment - Environment name
+   * @param {Object} trackingIds - Tracking IDs
+   * @returns {Object} Message attributes
+   */
+  _buildMessageAttributes(eventData, environment, trackingIds) {
+    const messageAttributes = AttributesUtil.forEvent(eventData, environment, trackingIds);
+
+    const routeAttributes = Object.keys(eventData.attributes ?? {});
+    for (const name of routeAttributes) {
+      const value = eventData.attributes[name];
+      messageAttributes[name] = Array.isArray(value)
+        ? AttributesUtil.string(JSON.stringify(value))
+        : AttributesUtil.fromValue(value);
+    }
+
+    return AttributesUtil.applyBudget(messageAttributes, routeAttributes);
+  }
+}
+
+module.exports = SQSService;
@@ -0,0 +1,256 @@
+/**
+ * SNS message attribute utilities
+ * Keeps published messages within the SNS limit of 10 message attributes
+ *
+ * @module AttributesUtil
+ */
+
+const crypto = require("crypto");
+const HeadersUtil = require("./headers.util");
+const JsonPointerUtil = require("./json-pointer.util");
+
+// SNS rejects publishes with more message attributes than this
+const MAX_MESSAGE_ATTRIBUTES = 10;
+
+// Attribute that carries overflow attributes as a JSON object
+const META_ATTRIBUTE = "meta";
+
+/**
+ * Built-in attributes in the order they keep their own slot; attributes later
+ * in the list are folded into the meta attribute first
+ */
+const ATTRIBUTE_PRIORITY = [
+  // Subscribers cannot read compressed messages without it
+  "content-encoding",
+  "environment",
+  "path",
+  "method",
+  "x-correlation-id",
+  "x-request-id",
+  "headers",
+  "x-datadog-trace-id",
+  "x-datadog-parent-id",
+  "validation",
+  "contentType",
+  "content-type",
+];
+
+// Attribute names SNS accepts, excluding the reserved AWS. and Amazon. prefixes
+const ATTRIBUTE_NAME = /^(?!(aws|amazon)\.)(?!.*\.\.)[A-Za-z0-9_-][A-Za-z0-9_.-]{0,254}(?<!\.)$/i;
+
+// Characters SNS accepts in attribute values
+const ATTRIBUTE_VALUE = /^[\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]+$/u;
+
+/**
+ * Check a scalar attribute value
+ * @param {*} value - Candidate value
+ * @returns {boolean} True if SNS accepts the value
+ */
+function isValidScalar(value) {
+  if (typeof value === "string") return ATTRIBUTE_VALUE.test(value);
+  if (typeof value === "number") return Number.isFinite(value);
+  return typeof value === "boolean";
+}
+
+/**
+ * SNS message attribute utilities
+ */
+class AttributesUtil {
+  /**
+   * Build a String message attribute
+   * @param {*} value - Attribute value
+   * @returns {Object} SNS message attribute
+   */
+  static string(value) {
+    return { DataType: "String", StringValue: String(value) };
+  }
+
+  /**
+   * Build the attributes every sink sends with a webhook event
+   * Missing tracking IDs are generated, so each message can still be traced
+   * @param {Object} eventData - Webhook event data
+   * @param {string} environment - Environment name
+   * @param {Object} trackingIds - Object containing correlationId and requestId
+   * @returns {Object} environment, method, path, x-correlation-id and x-request-id attributes
+   */
+  static forEvent(eventData, environment, trackingIds) {
+    return {
+      environment: this.string(environment),
+      method: this.string(eventData.transport.method),
+      path: this.string(eventData.transport.path),
+      "x-correlation-id": this.string(trackingIds.correlationId || crypto.randomUUID()),
+      "x-request-id": this.string(trackingIds.requestId || crypto.randomUUID()),
+    };
+  }
+
+  /**
+   * Check whether a name can be used for a route-extracted attribute
+   * @param {string} name - Attribute name
+   * @returns {boolean} True if SNS accepts the name and it is not a built-in attribute
+   */
+  static isValidName(name) {
+    return ATTRIBUTE_NAME.test(name) && name !== META_ATTRIBUTE && !ATTRIBUTE_PRIORITY.includes(name);
+  }
+
+  /**
+   * Check a route's or target's attribute extraction rules
+   * @param {Object} rules - Attribute name to rule
+   * @param {string} owner - Where the rules are declared, for error messages
+   * @throws {Error} If an attribute name or rule is invalid
+   */
+  static validateRules(rules, owner) {
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+      throw new Error(`${owner} attributes must be an object`);
+    }
+
+    for (const [name, rule] of Object.entries(rules)) {
+      if (!this.isValidName(name)) {
+        throw new Error(`${owner} attribute name "${name}" is invalid or reserved`);
+      }
+      const sources = ["pointer", "header", "param"].filter(source => rule?.[source] !== undefined);
+      if (sources.length !== 1) {
+        throw new Error(`${owner} attribute "${name}" needs exactly one of pointer, header or param`);
+      }
+      if (rule.pointer !== undefined) {
+        JsonPointerUtil.assertValid(rule.pointer, `${owner} attribute "${name}"`);
+      }
+    }
+  }
+
+  /**
+   * Extract route filter attributes from the payload, headers or path parameters
+   * Missing values are skipped; values SNS would reject are skipped with a warning
+   * @param {Object} rules - Attribute name to rule ({ pointer }, { header } or { param })
+   * @param {Object} eventData - Structured webhook event data
+   * @param {Object} [params] - Route path parameters
+   * @returns {Object} Attribute values keyed by name
+   *
+   * @example
+   * AttributesUtil.extract({ chatType: { pointer: "/message/chat/type" } }, eventData);
+   * // Returns: { chatType: "private" }
+   */
+  static extract(rules, eventData, params = {}) {
+    const values = [];
+
+    for (const [name, rule] of Object.entries(rules ?? {})) {
+      let value;
+      if (rule.pointer !== undefined && !Buffer.isBuffer(eventData.payload)) {
+        value = JsonPointerUtil.get(eventData.payload, rule.pointer);
+      } else if (rule.header !== undefined) {
+        value = HeadersUtil.getHeaderValue(eventData.transport.headers, rule.header);
+      } else if (rule.param !== undefined) {
+        value = params[rule.param];
+      }
+
+      if (value === undefined || value === null) continue;
+
+      const valid = Array.isArray(value)
+        ? value.length > 0 && value.every(isValidScalar)
+        : isValidScalar(value);
+      if (!valid) {
+        console.warn(`Skipping SNS attribute ${name}: unsupported value ${JSON.stringify(value)?.slice(0, 100)}`);
+        continue;
+      }
+      values.push([name, value]);
+    }
+
+    return Object.fromEntries(values);
+  }
+
+  /**
+   * Build a message attribute for an extracted value
+   * Numbers become Number attributes and arrays become String.Array attributes,
+   * so filter policies can use numeric and array matching
+   * @param {string|number|boolean|Array} value - Extracted value
+   * @returns {Object} SNS message attribute
+   */
+  static fromValue(value) {
+    if (Array.isArray(value)) {
+      return { DataType: "String.Array", StringValue: JSON.stringify(value) };
+    }
+    if (typeof value === "number") {
+      return { DataType: "Number", StringValue: String(value) };
+    }
+    return this.string(value);
+  }
+
+  /**
+   * Fit message attributes into the SNS attribute budget
+   * Guaranteed attributes (configured filter-policy attributes) are placed first,
+   * then built-in attributes by priority, then any others in insertion order.
+   * When there are more than the limit, the lowest-priority attributes are folded
+   * into a single JSON "meta" attribute that takes the last slot.
+   * @param {Object} attributes - Candidate message attributes
+   * @param {Array<string>} [guaranteed] - Attribute names that must keep their own slot
+   * @param {number} [limit] - Maximum number of attributes
+   * @returns {Object} Message attributes within the budget
+   *
+   * @example
+   * AttributesUtil.applyBudget(attributes, ["eventType"]);
+   * // Returns: { eventType: {...}, environment: {...}, ..., meta: { DataType: "String", StringValue: '{"content-type":"application/json"}' } }
+   */
+  static applyBudget(attributes, guaranteed = [], limit = MAX_MESSAGE_ATTRIBUTES) {
+    const names = Object.keys(attributes);
+    if (names.length <= limit) {
+      return attributes;
+    }
+
+    const rank = (name) => {
+      const index = ATTRIBUTE_PRIORITY.indexOf(name);
+      return index === -1 ? ATTRIBUTE_PRIORITY.length : index;
+    };
+    const ordered = [
+      ...guaranteed.filter(name => names.includes(name)),
+      ...names.filter(name => !guaranteed.includes(name)).sort((a, b) => rank(a) - rank(b)),
+    ];
+
+    const kept = ordered.slice(0, limit - 1);
+    const overflow = ordered.slice(limit - 1);
+    const lostGuaranteed = overflow.filter(name => guaranteed.includes(name));
+    if (lostGuaranteed.length > 0) {
+      console.warn(`More than ${limit - 1} guaranteed SNS attributes; folded into meta: ${lostGuaranteed.join(", ")}`);
+    }
+
+    const budgeted = Object.fromEntries(kept.map(name => [name, attributes[name]]));
+    budgeted[META_ATTRIBUTE] = this.string(JSON.stringify(
+      Object.fromEntries(overflow.map(name => [name, attributes[name].StringValue]))
+    ));
+    return budgeted;
+  }
+
+  /**
+   * Read received message attributes into plain values, unfolding the meta attribute
+   * Accepts both the publish/SQS shape ({ DataType, StringValue }) and the shape
+   * SNS delivers to Lambda and HTTP subscribers ({ Type, Value })
+   * @param {Object} messageAttributes - Received message attributes
+   * @returns {Object} Attribute values keyed by name
+   *
+   * @example
+   * AttributesUtil.readAttributes(record.Sns.MessageAttributes);
+   * // Returns: { environment: "prod", path: "/telegram", "content-type": "application/json", ... }
+   */
+  static readAttributes(messageAttributes) {
+    const values = Object.fromEntries(
+      Object.entries(messageAttributes ?? {}).map(([name, attribute]) => [
+        name,
+        attribute?.StringValue ?? attribute?.Value,
+      ])
+    );
+
+    if (typeof values[META_ATTRIBUTE] === "string") {
+      try {
+        const folded = JSON.parse(values[META_ATTRIBUTE]);
+        delete values[META_ATTRIBUTE];
+        return { ...folded, ...values };
+      } catch (error) {
+        console.error("Failed to parse meta attribute:", error);
+      }
+    }
+    return values;
+  }
+}
+
+AttributesUtil.MAX_MESSAGE_ATTRIBUTES = MAX_MESSAGE_ATTRIBUTES;
+AttributesUtil.META_ATTRIBUTE = META_ATTRIBUTE;
+
+module.exports = AttributesUtil;
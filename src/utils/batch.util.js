@@ -0,0 +1,104 @@
+/**
+ * Batch webhook utilities
+ * Splits requests that carry several events, such as LINE's { destination, events: [...] }
+ * or partners posting arrays, into one webhook envelope per event
+ *
+ * @module BatchUtil
+ */
+
+const JsonPointerUtil = require("./json-pointer.util");
+
+/**
+ * Batch webhook utilities
+ */
+class BatchUtil {
+  /**
+   * Check a route's split rules
+   * @param {Object|Array<Object>} rules - Split rule or list of rules
+   * @param {string} owner - Where the rules are declared, for error messages
+   * @throws {Error} If a rule has no valid pointer or keep is not a list of field names
+   */
+  static validateRules(rules, owner) {
+    for (const rule of [].concat(rules)) {
+      JsonPointerUtil.assertValid(rule?.pointer, `${owner} split`);
+      if (rule.keep !== undefined && !(Array.isArray(rule.keep) && rule.keep.every(field => typeof field === "string"))) {
+        throw new Error(`${owner} split keep must be an array of field names`);
+      }
+    }
+  }
+
+  /**
+   * Split a webhook into one envelope per event
+   * The first rule whose pointer resolves to a non-empty array wins. Each envelope
+   * keeps the request's transport, so events share its correlation and request IDs,
+   * and carries its position in batch.index. The raw body stays with the request.
+   * @param {Object|Array<Object>} rules - Split rule or list of rules
+   * @param {string} rules.pointer - JSON pointer to the event array ("" for a top-level array)
+   * @param {Array<string>} [rules.keep] - Fields of the enclosing object copied into batch.context
+   * @param {Object} eventData - Webhook event data
+   * @returns {Array<Object>|null} Event envelopes, or null if no rule matched
+   *
+   * @example
+   * BatchUtil.split({ pointer: "/events", keep: ["destination"] }, eventData);
+   * // Returns: [{ ...eventData, payload: events[0], batch: { index: 0, count: 2, context: { destination } } }, ...]
+   */
+  static split(rules, eventData) {
+    if (!rules || Buffer.isBuffer(eventData.payload)) return null;
+
+    for (const rule of [].concat(rules)) {
+      const events = JsonPointerUtil.get(eventData.payload, rule.pointer);
+      if (!Array.isArray(events) || events.length === 0) continue;
+
+      const parent = JsonPointerUtil.get(eventData.payload, rule.pointer.replace(/\/[^/]*$/, ""));
+      const context = Object.fromEntries(
+        (rule.keep ?? []).filter(field => parent?.[field] !== undefined).map(field => [field, parent[field]])
+      );
+      const { rawBody, ...envelope } = eventData;
+
+      return events.map((payload, index) => ({
+        ...envelope,
+        payload,
+        batch: { index, count: events.length, ...(rule.keep && { context }) },
+      }));
+    }
+
+    return null;
+  }
+
+  /**
+   * Group events by the targets they matched, so each target is published to once
+   * @param {Array<Object>} deliveries - Events with their matched targets, in request order
+   * @returns {Array<Object>} One group per target name with the target and the positions of its events
+   */
+  static groupByTarget(deliveries) {
+    const groups = new Map();
+
+    deliveries.forEach(({ targets }, index) => {
+      for (const target of targets) {
+        if (!groups.has(target.name)) groups.set(target.name, { target, indexes: [] });
+        groups.get(target.name).indexes.push(index);
+      }
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Get the publish results of one event from the per-target results
+   * @param {Array<Object>} groups - Target groups from groupByTarget
+   * @param {Array<Object>} targetResults - One result per group; batch results list one result per event
+   * @param {number} index - Position of the event
+   * @returns {Array<Object>} Results with target names, one per target the event matched
+   */
+  static getEventResults(groups, targetResults, index) {
+    return groups.flatMap((group, position) => {
+      const event = group.indexes.indexOf(index);
+      if (event === -1) return [];
+
+      const result = targetResults[position];
+      return [{ ...(result.results?.[event] ?? result), target: group.target.name }];
+    });
+  }
+}
+
+module.exports = BatchUtil;
@@ -0,0 +1,46 @@
+/**
+ * Destination utilities
+ * Prepares the copy of a webhook event that each destination receives
+ *
+ * @module DestinationUtil
+ */
+
+const HeadersUtil = require("./headers.util");
+const RedactionUtil = require("./redaction.util");
+const AttributesUtil = require("./attributes.util");
+
+/**
+ * Destination utilities
+ */
+class DestinationUtil {
+  /**
+   * Prepare the copy of an event that is stored or published
+   * The route's redaction policy applies first and the destination's header filter
+   * after it. The route's attributes are extracted from the redacted event, so
+   * they carry nothing the destination's policy removes but still see every header.
+   * The raw body is always left out; it only serves signature checks and would
+   * otherwise keep an unredacted copy of the payload.
+   * @param {Object} config - Configuration with the default header filters
+   * @param {Object|null} route - Resolved route
+   * @param {string} destination - "store" or "publish"
+   * @param {Object} eventData - Webhook event data
+   * @returns {Object} Event data for the destination
+   *
+   * @example
+   * DestinationUtil.prepare(config, route, "publish", eventData);
+   * // Returns: a copy with the publish header filter and redaction policy applied, without rawBody
+   */
+  static prepare(config, route, destination, eventData) {
+    const { rawBody, ...redacted } = RedactionUtil.apply(RedactionUtil.getPolicy(route?.redaction, destination), eventData);
+    const filter = { ...config.headers?.[destination], ...route?.headerFilter?.[destination] };
+    const headers = HeadersUtil.filterHeaders(redacted.transport.headers, filter);
+    const prepared = { ...redacted, transport: { ...redacted.transport, headers } };
+
+    if (route?.attributes) {
+      prepared.attributes = AttributesUtil.extract(route.attributes, redacted, route.params);
+    }
+    return prepared;
+  }
+}
+
+module.exports = DestinationUtil;
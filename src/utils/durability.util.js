@@ -0,0 +1,95 @@
+/**
+ * Durability policy utilities
+ * Decides whether a delivery was handled durably enough to acknowledge to the sender
+ *
+ * @module DurabilityUtil
+ */
+
+/**
+ * Durability policies
+ */
+const DurabilityPolicy = Object.freeze({
+  REQUIRE_STORE: "require-store",
+  REQUIRE_PUBLISH: "require-publish",
+  REQUIRE_ANY: "require-any",
+  BEST_EFFORT: "best-effort",
+});
+
+/**
+ * Policy checks against the outcome of the storage and publishing operations
+ */
+const checks = {
+  [DurabilityPolicy.REQUIRE_STORE]: ({ stored }) => stored,
+  [DurabilityPolicy.REQUIRE_PUBLISH]: ({ published }) => published,
+  [DurabilityPolicy.REQUIRE_ANY]: ({ stored, published }) => stored || published,
+  [DurabilityPolicy.BEST_EFFORT]: () => true,
+};
+
+/**
+ * Durability policy utilities
+ */
+class DurabilityUtil {
+  /**
+   * Merge a route's durability setting with the global defaults
+   * @param {string|Object} [setting] - Policy name or { policy, statusCode, retryAfterSeconds }
+   * @param {Object} defaults - Global durability defaults
+   * @returns {Object} Durability settings
+   */
+  static getSettings(setting, defaults) {
+    const overrides = typeof setting === "string" ? { policy: setting } : setting;
+    return { ...defaults, ...overrides };
+  }
+
+  /**
+   * Check whether a policy name is supported
+   * @param {string} policy - Policy name
+   * @returns {boolean} True if the policy is supported
+   */
+  static isSupported(policy) {
+    return Object.prototype.hasOwnProperty.call(checks, policy);
+  }
+
+  /**
+   * Check a route's durability setting
+   * @param {string|Object} setting - Route durability setting
+   * @param {string} owner - Where the setting is declared, for error messages
+   * @throws {Error} If the policy is unknown or the failure status is not a 5xx code
+   */
+  static validateSettings(setting, owner) {
+    const { policy, statusCode } = this.getSettings(setting, {});
+    if (!this.isSupported(policy)) {
+      throw new Error(`${owner} has unknown durability policy "${policy}"`);
+    }
+    if (statusCode !== undefined && !(Number.isInteger(statusCode) && statusCode >= 500 && statusCode <= 599)) {
+      throw new Error(`${owner} durability statusCode must be a 5xx code`);
+    }
+  }
+
+  /**
+   * Evaluate the outcome of a delivery against a durability policy
+   * @param {Object} settings - Durability settings from getSettings
+   * @param {Object} outcome - Operation outcome
+   * @param {boolean} outcome.stored - True if the event was stored
+   * @param {boolean} outcome.published - True if the event was published to every matched target, or matched none
+   * @returns {Object} { satisfied } plus statusCode and headers for the failure response
+   *
+   * @example
+   * DurabilityUtil.evaluate({ policy: "require-store", statusCode: 503, retryAfterSeconds: 30 }, { stored: false, published: true });
+   * // Returns: { satisfied: false, statusCode: 503, headers: { "Retry-After": "30" } }
+   */
+  static evaluate(settings, outcome) {
+    if (checks[settings.policy](outcome)) {
+      return { satisfied: true };
+    }
+
+    const headers = {};
+    if (settings.statusCode === 503 && settings.retryAfterSeconds) {
+      headers["Retry-After"] = String(settings.retryAfterSeconds);
+    }
+    return { satisfied: false, statusCode: settings.statusCode, headers };
+  }
+}
+
+DurabilityUtil.DurabilityPolicy = DurabilityPolicy;
+
+module.exports = DurabilityUtil;
@@ -0,0 +1,115 @@
+/**
+ * Field encryption utilities
+ * Envelope encryption of single payload values: each value is encrypted with a
+ * per-request data key, and the data key is wrapped with a key-encryption key
+ *
+ * @module EncryptionUtil
+ */
+
+const crypto = require("crypto");
+
+// AES-256-GCM with a 96-bit IV and a 128-bit tag, for values and wrapped data keys alike
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Property that marks an encrypted value
+const MARKER = "_encrypted";
+
+/**
+ * Encrypt bytes with AES-256-GCM
+ * @param {Buffer} plaintext - Bytes to encrypt
+ * @param {Buffer} key - 256-bit key
+ * @returns {Object} Base64 IV, tag and ciphertext
+ */
+function seal(plaintext, key) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+/**
+ * Decrypt bytes sealed with AES-256-GCM
+ * @param {Object} sealed - Base64 IV, tag and ciphertext
+ * @param {Buffer} key - 256-bit key
+ * @returns {Buffer} Plaintext
+ * @throws {Error} If the key is wrong or the ciphertext was modified
+ */
+function open(sealed, key) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(sealed.data, "base64")), decipher.final()]);
+}
+
+/**
+ * Field encryption utilities
+ */
+class EncryptionUtil {
+  /**
+   * Check that a key is usable for AES-256-GCM
+   * @param {Buffer} key - Key bytes
+   * @param {string} keyId - Key ID, for error messages
+   * @returns {Buffer} The key
+   * @throws {Error} If the key is not 32 bytes
+   */
+  static assertKey(key, keyId) {
+    if (!Buffer.isBuffer(key) || key.length !== KEY_BYTES) {
+      throw new Error(`Encryption key ${keyId} must be ${KEY_BYTES} bytes`);
+    }
+    return key;
+  }
+
+  /**
+   * Generate a data key and wrap it with a key-encryption key
+   * @param {Buffer} keyEncryptionKey - 256-bit key-encryption key
+   * @param {string} keyId - ID of the key-encryption key, recorded with every value
+   * @returns {Object} Plaintext data key, and the wrapped key with its key ID
+   */
+  static createDataKey(keyEncryptionKey, keyId) {
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const sealed = seal(dataKey, this.assertKey(keyEncryptionKey, keyId));
+    return { dataKey, wrapped: { kid: keyId, key: `${sealed.iv}.${sealed.tag}.${sealed.data}` } };
+  }
+
+  /**
+   * Encrypt a value with a data key
+   * The value is serialized as JSON first, so its type survives decryption
+   * @param {*} value - Value to encrypt
+   * @param {Object} key - Data key from createDataKey
+   * @returns {Object} Encrypted value marker
+   */
+  static encryptValue(value, { dataKey, wrapped }) {
+    return {
+      [MARKER]: { v: 1, alg: "A256GCM", ...wrapped, ...seal(Buffer.from(JSON.stringify(value)), dataKey) },
+    };
+  }
+
+  /**
+   * Decrypt an encrypted value marker
+   * @param {Object} value - Encrypted value marker
+   * @param {Buffer} keyEncryptionKey - Key-encryption key named by the marker's kid
+   * @returns {*} Original value
+   * @throws {Error} If the key is wrong or the value was modified
+   */
+  static decryptValue(value, keyEncryptionKey) {
+    const encrypted = value[MARKER];
+    const [iv, tag, data] = encrypted.key.split(".");
+    const dataKey = open({ iv, tag, data }, this.assertKey(keyEncryptionKey, encrypted.kid));
+    return JSON.parse(open(encrypted, dataKey).toString("utf8"));
+  }
+
+  /**
+   * Check whether a value is an encrypted value marker
+   * @param {*} value - Value to check
+   * @returns {boolean} True if the value was encrypted by encryptValue
+   */
+  static isEncrypted(value) {
+    return Boolean(value?.[MARKER]?.kid && value[MARKER].data);
+  }
+}
+
+EncryptionUtil.MARKER = MARKER;
+
+module.exports = EncryptionUtil;
@@ -0,0 +1,210 @@
+/**
+ * Lambda event utilities
+ * Detects the invoking event source and normalizes it into a common request shape
+ *
+ * @module EventUtil
+ */
+
+const { STATUS_CODES } = require("http");
+
+/**
+ * Event source identifiers
+ */
+const EventSource = Object.freeze({
+  REST_API: "rest-api",
+  HTTP_API: "http-api",
+  FUNCTION_URL: "function-url",
+  ALB: "alb",
+});
+
+/**
+ * Strip a named stage prefix from an HTTP API raw path
+ * @param {string} rawPath - Raw request path
+ * @param {string} stage - Stage name
+ * @returns {string} Path without the stage prefix
+ */
+function stripStage(rawPath, stage) {
+  if (!stage || stage === "$default") return rawPath;
+  if (rawPath === `/${stage}`) return "/";
+  return rawPath.startsWith(`/${stage}/`) ? rawPath.slice(stage.length + 1) : rawPath;
+}
+
+/**
+ * Normalize an API Gateway REST API (payload v1.0) event
+ * @param {Object} event - REST API event
+ * @returns {Object} Normalized request
+ */
+function normalizeRestApiEvent(event) {
+  return {
+    method: event.requestContext?.httpMethod ?? event.httpMethod ?? "UNKNOWN",
+    path: event.path ?? "/",
+    domain: event.requestContext?.domainName ?? "unknown-domain",
+    stage: event.requestContext?.stage ?? "",
+    headers: event.headers ?? {},
+    queryStringParameters: event.queryStringParameters ?? {},
+    sourceIp: event.requestContext?.identity?.sourceIp ?? "unknown",
+    body: event.body ?? null,
+    isBase64Encoded: event.isBase64Encoded ?? false,
+  };
+}
+
+/**
+ * Normalize an HTTP API (payload v2.0) or Lambda Function URL event
+ * Multi-value headers and query parameters arrive comma-joined; cookies arrive
+ * in a separate array and are folded back into a Cookie header
+ * @param {Object} event - HTTP API or Function URL event
+ * @returns {Object} Normalized request
+ */
+function normalizeHttpApiEvent(event) {
+  const http = event.requestContext?.http ?? {};
+  const stage = event.requestContext?.stage ?? "";
+  const headers = { ...(event.headers ?? {}) };
+
+  if (Array.isArray(event.cookies) && event.cookies.length > 0) {
+    headers.cookie = event.cookies.join("; ");
+  }
+
+  return {
+    method: http.method ?? "UNKNOWN",
+    path: stripStage(event.rawPath ?? http.path ?? "/", stage),
+    domain: event.requestContext?.domainName ?? "unknown-domain",
+    stage: stage === "$default" ? "" : stage,
+    headers,
+    queryStringParameters: event.queryStringParameters ?? {},
+    sourceIp: http.sourceIp ?? "unknown",
+    body: event.body ?? null,
+    isBase64Encoded: event.isBase64Encoded ?? false,
+  };
+}
+
+/**
+ * Decode an ALB query string value, which ALB forwards still URL-encoded
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value, or the original if it is not valid encoding
+ */
+function decodeQueryValue(value) {
+  try {
+    return decodeURIComponent(String(value).replace(/\+/g, " "));
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Normalize an Application Load Balancer target event
+ * Multi-value headers and query parameters (when enabled on the target group)
+ * are comma-joined to match HTTP API events
+ * @param {Object} event - ALB event
+ * @returns {Object} Normalized request
+ */
+function normalizeAlbEvent(event) {
+  const headers = {};
+  if (event.multiValueHeaders) {
+    for (const [key, values] of Object.entries(event.multiValueHeaders)) {
+      headers[key] = [].concat(values).join(", ");
+    }
+  } else {
+    Object.assign(headers, event.headers ?? {});
+  }
+
+  const queryStringParameters = {};
+  const rawQuery = event.multiValueQueryStringParameters ?? event.queryStringParameters ?? {};
+  for (const [key, values] of Object.entries(rawQuery)) {
+    queryStringParameters[decodeQueryValue(key)] = [].concat(values).map(decodeQueryValue).join(",");
+  }
+
+  // The load balancer appends the address it saw to whatever the client sent,
+  // so only the last entry can be trusted
+  const forwardedFor = headers["x-forwarded-for"] ?? "";
+
+  return {
+    method: event.httpMethod ?? "UNKNOWN",
+    path: event.path ?? "/",
+    domain: headers.host ?? "unknown-domain",
+    stage: "",
+    headers,
+    queryStringParameters,
+    sourceIp: forwardedFor.split(",").pop().trim() || "unknown",
+    body: event.body ?? null,
+    isBase64Encoded: event.isBase64Encoded ?? false,
+  };
+}
+
+const normalizers = {
+  [EventSource.REST_API]: normalizeRestApiEvent,
+  [EventSource.HTTP_API]: normalizeHttpApiEvent,
+  [EventSource.FUNCTION_URL]: normalizeHttpApiEvent,
+  [EventSource.ALB]: normalizeAlbEvent,
+};
+
+/**
+ * Lambda event utilities
+ */
+class EventUtil {
+  /**
+   * Detect which service produced a Lambda event
+   * @param {Object} event - Lambda event
+   * @returns {string} One of the EventSource values
+   */
+  static detectSource(event) {
+    if (event?.requestContext?.elb) {
+      return EventSource.ALB;
+    }
+    if (event?.version === "2.0" && event.requestContext?.http) {
+      const domain = event.requestContext.domainName ?? "";
+      return domain.includes(".lambda-url.") ? EventSource.FUNCTION_URL : EventSource.HTTP_API;
+    }
+    return EventSource.REST_API;
+  }
+
+  /**
+   * Normalize any supported Lambda event into a common request shape
+   * @param {Object} event - Lambda event
+   * @returns {Object} Normalized request with method, path, domain, stage, headers,
+   *   queryStringParameters, sourceIp, body, isBase64Encoded and eventSource
+   *
+   * @example
+   * EventUtil.normalize({ version: "2.0", rawPath: "/telegram", requestContext: { http: { method: "POST" } } });
+   * // Returns: { method: "POST", path: "/telegram", ..., eventSource: "http-api" }
+   */
+  static normalize(event) {
+    const eventSource = this.detectSource(event);
+    return { ...normalizers[eventSource](event), eventSource };
+  }
+
+  /**
+   * Adapt a handler response to what the invoking event source expects
+   * ALB targets need statusDescription and isBase64Encoded, and must answer with
+   * multiValueHeaders when multi-value headers are enabled on the target group
+   * @param {Object} event - Lambda event that produced the response
+   * @param {Object} response - Response with statusCode, headers and body
+   * @returns {Object} Response valid for the event source
+   */
+  static formatResponse(event, response) {
+    if (this.detectSource(event) !== EventSource.ALB) {
+      return response;
+    }
+
+    const { headers = {}, ...rest } = response;
+    const albResponse = {
+      ...rest,
+      statusDescription: `${response.statusCode} ${STATUS_CODES[response.statusCode] || "Unknown"}`,
+      isBase64Encoded: response.isBase64Encoded ?? false,
+    };
+
+    if (event.multiValueHeaders) {
+      albResponse.multiValueHeaders = {};
+      for (const [key, value] of Object.entries(headers)) {
+        albResponse.multiValueHeaders[key] = [].concat(value);
+      }
+    } else {
+      albResponse.headers = headers;
+    }
+
+    return albResponse;
+  }
+}
+
+EventUtil.EventSource = EventSource;
+
+module.exports = EventUtil;
@@ -0,0 +1,139 @@
+/**
+ * SNS FIFO utilities
+ * Derives message group and deduplication IDs for ordered publishing to .fifo topics
+ *
+ * @module FifoUtil
+ */
+
+const crypto = require("crypto");
+const HeadersUtil = require("./headers.util");
+const JsonPointerUtil = require("./json-pointer.util");
+
+// Printable ASCII, up to 128 characters, as SNS accepts for group and deduplication IDs
+const FIFO_ID = /^[\x21-\x7E]{1,128}$/;
+
+/**
+ * Hash a value into a FIFO-safe ID
+ * @param {string|Buffer} value - Value to hash
+ * @returns {string} SHA-256 hex digest
+ */
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * SNS FIFO utilities
+ */
+class FifoUtil {
+  /**
+   * Check whether a topic is a FIFO topic
+   * @param {string} topicArn - SNS topic ARN
+   * @returns {boolean} True for ARNs ending in ".fifo"
+   */
+  static isFifoTopic(topicArn) {
+    return typeof topicArn === "string" && topicArn.endsWith(".fifo");
+  }
+
+  /**
+   * Check whether a queue is a FIFO queue
+   * @param {string} queueUrl - SQS queue URL
+   * @returns {boolean} True for URLs ending in ".fifo"
+   */
+  static isFifoQueue(queueUrl) {
+    return typeof queueUrl === "string" && queueUrl.endsWith(".fifo");
+  }
+
+  /**
+   * Check message group rules, or a Kinesis target's partitionKey rules, which work the same way
+   * @param {Object|Array<Object>} rules - Rule or list of rules
+   * @param {string} owner - Where the rules are declared, for error messages
+   * @param {string} [field] - Field holding the rules, for error messages
+   * @throws {Error} If a rule does not have exactly one value source
+   */
+  static validateRules(rules, owner, field = "messageGroup") {
+    for (const rule of [].concat(rules)) {
+      const sources = ["pointer", "header", "param"].filter(source => rule?.[source] !== undefined);
+      if (sources.length !== 1) {
+        throw new Error(`${owner} ${field} rules need exactly one of pointer, header or param`);
+      }
+      if (rule.pointer !== undefined) {
+        JsonPointerUtil.assertValid(rule.pointer, `${owner} ${field}`);
+      }
+    }
+  }
+
+  /**
+   * Derive the message group ID from a route's message group rules
+   * Rules are tried in order and the first present scalar value wins; without one
+   * the fallback is used, which puts all of the route's messages in one group.
+   * Values SNS would reject are replaced by their SHA-256 hash.
+   * @param {Object|Array<Object>} [rules] - Rule or rules ({ pointer }, { header } or { param })
+   * @param {Object} eventData - Structured webhook event data
+   * @param {Object} params - Route path parameters
+   * @param {string} fallback - Group ID used when no rule yields a value
+   * @returns {string} Message group ID
+   *
+   * @example
+   * FifoUtil.getMessageGroupId({ pointer: "/message/chat/id" }, eventData, {}, "telegram");
+   * // Returns: "-1001234567890"
+   */
+  static getMessageGroupId(rules, eventData, params, fallback) {
+    let groupId = fallback;
+
+    for (const rule of [].concat(rules ?? [])) {
+      let value;
+      if (rule.pointer !== undefined && !Buffer.isBuffer(eventData.payload)) {
+        value = JsonPointerUtil.get(eventData.payload, rule.pointer);
+      } else if (rule.header !== undefined) {
+        value = HeadersUtil.getHeaderValue(eventData.transport.headers, rule.header);
+      } else if (rule.param !== undefined) {
+        value = params[rule.param];
+      }
+
+      if (value !== undefined && value !== null && value !== "" && typeof value !== "object") {
+        groupId = String(value);
+        break;
+      }
+    }
+
+    return FIFO_ID.test(groupId) ? groupId : hash(groupId);
+  }
+
+  /**
+   * Derive the ordering of an event for the FIFO topics and queues among its targets
+   * @param {Object} route - Resolved route with messageGroup rules, params and name
+   * @param {Array<Object>} targets - Targets the event matched
+   * @param {Object} eventData - Structured webhook event data
+   * @param {string} scope - Deduplication scope (request path, with the batch position for split events)
+   * @param {string|null} key - Idempotency key of the delivery
+   * @param {Buffer|string} rawBody - Raw request body
+   * @returns {Object|null} { messageGroupId, deduplicationId }, or null if no target is FIFO
+   */
+  static getOrdering(route, targets, eventData, scope, key, rawBody) {
+    if (!targets.some(target => this.isFifoTopic(target.topicArn) || this.isFifoQueue(target.queueUrl))) {
+      return null;
+    }
+    return {
+      messageGroupId: this.getMessageGroupId(route.messageGroup, eventData, route.params, route.name),
+      deduplicationId: this.getDeduplicationId(scope, key, rawBody),
+    };
+  }
+
+  /**
+   * Derive the message deduplication ID for a delivery
+   * Uses the idempotency key when the route has one, otherwise the raw body,
+   * scoped to the request path so equal bodies on different routes stay distinct
+   * @param {string} scope - Deduplication scope (request path)
+   * @param {string|null} key - Idempotency key of the delivery
+   * @param {Buffer|string} rawBody - Raw request body
+   * @returns {string} SHA-256 hex digest
+   */
+  static getDeduplicationId(scope, key, rawBody) {
+    return hash(Buffer.concat([
+      Buffer.from(`${scope}|${key ? `key:${key}` : "body:"}`),
+      key ? Buffer.alloc(0) : Buffer.from(rawBody ?? ""),
+    ]));
+  }
+}
+
+module.exports = FifoUtil;
@@ -0,0 +1,154 @@
+/**
+ * Provider handshake utilities
+ * Recognizes subscription verification requests and builds the echo each provider expects
+ *
+ * @module HandshakeUtil
+ */
+
+/**
+ * Supported handshake providers
+ */
+const HandshakeProvider = Object.freeze({
+  META: "meta",
+  GRAPH: "graph",
+  SLACK: "slack",
+});
+
+/**
+ * Providers that sign their handshakes like any other delivery, so a route's
+ * signature scheme applies to them
+ */
+const SIGNED_PROVIDERS = new Set([HandshakeProvider.SLACK]);
+
+/**
+ * Methods Microsoft Graph sends validation requests with
+ */
+const GRAPH_METHODS = ["POST", "GET"];
+
+/**
+ * Plain-text challenge echo
+ * @param {string} challenge - Challenge value
+ * @returns {Object} Lambda proxy response
+ */
+function echo(challenge) {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "text/plain",
+    },
+    body: String(challenge),
+  };
+}
+
+/**
+ * Challenge detectors, one per provider
+ * Each returns the challenge (and verify token, if the provider sends one) or null
+ */
+const detectors = {
+  // Meta / WhatsApp: GET ?hub.mode=subscribe&hub.challenge=...&hub.verify_token=...
+  [HandshakeProvider.META]: ({ method, queryStringParameters: query }) => {
+    if (method !== "GET" || query["hub.mode"] !== "subscribe" || !query["hub.challenge"]) {
+      return null;
+    }
+    return { challenge: query["hub.challenge"], token: query["hub.verify_token"] ?? "" };
+  },
+
+  // Microsoft Graph: POST (or GET) ?validationToken=... with an empty body
+  [HandshakeProvider.GRAPH]: ({ method, queryStringParameters: query }) => {
+    if (!GRAPH_METHODS.includes(method) || !query.validationToken) {
+      return null;
+    }
+    return { challenge: query.validationToken };
+  },
+
+  // Slack Events API: POST {"type": "url_verification", "challenge": "..."}
+  [HandshakeProvider.SLACK]: ({ method }, payload) => {
+    if (method !== "POST" || payload?.type !== "url_verification" || !payload.challenge) {
+      return null;
+    }
+    return { challenge: payload.challenge };
+  },
+};
+
+/**
+ * Provider handshake utilities
+ */
+class HandshakeUtil {
+  /**
+   * Normalize a route's handshake setting
+   * @param {string|Object} handshake - Provider name or { provider, verifyTokenParameter }
+   * @returns {Object} Handshake settings with a provider name
+   */
+  static getSettings(handshake) {
+    return typeof handshake === "string" ? { provider: handshake } : { ...handshake };
+  }
+
+  /**
+   * Check whether a provider name is supported
+   * @param {string} provider - Provider name
+   * @returns {boolean} True if the provider is supported
+   */
+  static isSupported(provider) {
+    return Object.prototype.hasOwnProperty.call(detectors, provider);
+  }
+
+  /**
+   * Check whether a provider signs its handshakes
+   * @param {string} provider - Provider name
+   * @returns {boolean} True if handshakes must pass the route's signature check
+   */
+  static isSigned(provider) {
+    return SIGNED_PROVIDERS.has(provider);
+  }
+
+  /**
+   * Check a route's handshake setting
+   * @param {string|Object} handshake - Route handshake setting
+   * @param {string} owner - Where the setting is declared, for error messages
+   * @throws {Error} If the provider is unknown or a required verify token is missing
+   */
+  static validateSettings(handshake, owner) {
+    const { provider, verifyTokenParameter } = this.getSettings(handshake);
+    if (!this.isSupported(provider)) {
+      throw new Error(`${owner} has unknown handshake provider "${provider}"`);
+    }
+    if (provider === HandshakeProvider.META && !verifyTokenParameter) {
+      throw new Error(`${owner} meta handshake requires verifyTokenParameter`);
+    }
+  }
+
+  /**
+   * Detect a handshake request for the route's provider
+   * @param {string|Object} handshake - Route handshake setting
+   * @param {Object} eventData - Structured webhook event data
+   * @returns {Object|null} { provider, challenge, token? } or null if this is not a handshake
+   *
+   * @example
+   * HandshakeUtil.detect("graph", { transport: { method: "POST", queryStringParameters: { validationToken: "abc" } } });
+   * // Returns: { provider: "graph", challenge: "abc" }
+   */
+  static detect(handshake, eventData) {
+    const { provider } = this.getSettings(handshake);
+    if (!this.isSupported(provider)) return null;
+
+    const transport = {
+      ...eventData.transport,
+      queryStringParameters: eventData.transport.queryStringParameters ?? {},
+    };
+    const match = detectors[provider](transport, eventData.payload);
+    return match ? { provider, ...match } : null;
+  }
+
+  /**
+   * Build the response the provider expects for an accepted handshake
+   * @param {Object} handshake - Detected handshake
+   * @returns {Object} Lambda proxy response
+   */
+  static respond(handshake) {
+    return echo(handshake.challenge);
+  }
+}
+
+HandshakeUtil.HandshakeProvider = HandshakeProvider;
+
+module.exports = HandshakeUtil;
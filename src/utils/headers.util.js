@@ -5,6 +5,47 @@
  * @module HeadersUtil
  */
 
+const zlib = require("zlib");
+
+/**
+ * Header priority tiers used when headers must be truncated; lower tiers are kept first
+ */
+const HEADER_PRIORITIES = [
+  // Tracing
+  /^(x-correlation-id|correlation-id|x-request-id|request-id|x-amzn-trace-id|traceparent|tracestate|b3)$/i,
+  /^x-(b3|datadog)-/i,
+  // Authentication, signatures and delivery identifiers
+  /^(authorization|idempotency-key|x-github-delivery|x-github-event)$/i,
+  /signature|-timestamp$/i,
+  // Content description
+  /^(content-type|user-agent)$/i,
+];
+
+/**
+ * Headers not stored or published unless a route's filter lets them through:
+ * credentials, session state and Cloudflare's edge headers
+ */
+const DEFAULT_DENYLIST = ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key", "cf-*", "cdn-loop"];
+
+/**
+ * Get the truncation priority tier of a header
+ * @param {string} key - Header name
+ * @returns {number} Tier index; headers matching no pattern get the lowest priority
+ */
+function getHeaderPriority(key) {
+  const tier = HEADER_PRIORITIES.findIndex(pattern => pattern.test(key));
+  return tier === -1 ? HEADER_PRIORITIES.length : tier;
+}
+
+/**
+ * Size in bytes of a value once JSON-serialized
+ * @param {*} value - Value to measure
+ * @returns {number} Serialized size in bytes
+ */
+function jsonBytes(value) {
+  return Buffer.byteLength(JSON.stringify(value));
+}
+
 /**
  * Header processing utilities
  */
@@ -32,6 +73,71 @@ class HeadersUtil {
     return constructedHeaders;
   }
 
+  /**
+   * Check whether a header name matches a glob pattern
+   * "*" matches any run of characters and "?" a single character; case-insensitive
+   * @param {string} name - Header name
+   * @param {string} pattern - Glob pattern (e.g. "x-line-*")
+   * @returns {boolean} True if the name matches
+   */
+  static matchesGlob(name, pattern) {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    return new RegExp(`^${source}$`, "i").test(name);
+  }
+
+  /**
+   * Keep the headers an allowlist and denylist of glob patterns let through
+   * A header is kept when it matches the allowlist, or there is none, and matches
+   * nothing in the denylist
+   * @param {Object} headers - HTTP headers
+   * @param {Object} [filter] - Header filter
+   * @param {Array<string>|null} [filter.allow] - Patterns of headers to keep; null keeps every header
+   * @param {Array<string>} [filter.deny] - Patterns of headers to drop, even when allowed
+   * @returns {Object} Sanitized and filtered headers
+   *
+   * @example
+   * HeadersUtil.filterHeaders({ "X-Line-Signature": "abc", Cookie: "session=1" }, { allow: ["x-line-*", "cookie"], deny: ["cookie"] });
+   * // Returns: { "X-Line-Signature": "abc" }
+   */
+  static filterHeaders(headers, filter = {}) {
+    const { allow = null, deny = [] } = filter ?? {};
+    const matches = (name, patterns) => patterns.some(pattern => this.matchesGlob(name, pattern));
+
+    return Object.fromEntries(
+      Object.entries(this.sanitizeHeaders(headers))
+        .filter(([name]) => (allow === null || matches(name, allow)) && !matches(name, deny))
+    );
+  }
+
+  /**
+   * Check a route's header filters
+   * @param {Object} settings - Destination ("store" or "publish") to { allow, deny }
+   * @param {string} owner - Where the filters are declared, for error messages
+   * @throws {Error} If a destination is unknown or a pattern list is not a list of strings
+   */
+  static validateFilter(settings, owner) {
+    const isPatternList = (patterns) => Array.isArray(patterns) && patterns.every(pattern => typeof pattern === "string" && pattern);
+
+    for (const [destination, filter] of Object.entries(settings ?? {})) {
+      const context = `${owner} headerFilter ${destination}`;
+      if (!["store", "publish"].includes(destination)) {
+        throw new Error(`${owner} headerFilter destination must be store or publish`);
+      }
+      if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+        throw new Error(`${context} must be an object with allow and deny lists`);
+      }
+      if (filter.allow !== undefined && filter.allow !== null && !isPatternList(filter.allow)) {
+        throw new Error(`${context} allow must be an array of header patterns or null`);
+      }
+      if (filter.deny !== undefined && !isPatternList(filter.deny)) {
+        throw new Error(`${context} deny must be an array of header patterns`);
+      }
+    }
+  }
+
   /**
    * Create SNS message attribute for headers
    * @param {Object} headers - HTTP headers to process
@@ -62,15 +168,15 @@ class HeadersUtil {
       const headersJson = JSON.stringify(sanitizedHeaders);
       
       // Check size constraints
-      if (headersJson.length <= maxSize) {
+      if (Buffer.byteLength(headersJson) <= maxSize) {
         return {
           DataType: "String",
           StringValue: headersJson,
         };
       } else {
-        // Truncate headers if too large and add truncation indicator
-        const truncated = headersJson.substring(0, maxSize - 20) + ',"_truncated":true}';
-        console.warn(`Headers truncated from ${headersJson.length} to ${truncated.length} bytes`);
+        // Drop whole header entries so the attribute stays valid JSON
+        const truncated = JSON.stringify(this.truncateHeaders(sanitizedHeaders, maxSize));
+        console.warn(`Headers truncated from ${Buffer.byteLength(headersJson)} to ${Buffer.byteLength(truncated)} bytes`);
         
         return {
           DataType: "String",
@@ -83,6 +189,95 @@ class HeadersUtil {
     }
   }
 
+  /**
+   * Drop whole header entries until the serialized headers fit in maxSize
+   * Tracing headers are kept first, then authentication and signature headers,
+   * then content description; remaining headers are kept smallest first.
+   * Dropped header names are listed under "_truncated". If even the list of
+   * names does not fit, only part of it is listed and "_truncatedCount" holds the total.
+   * @param {Object} headers - Sanitized headers
+   * @param {number} maxSize - Maximum serialized size in bytes
+   * @returns {Object} Headers object with a "_truncated" array of dropped names
+   *
+   * @example
+   * HeadersUtil.truncateHeaders({ "X-Correlation-ID": "abc", "Cookie": "x".repeat(500) }, 100);
+   * // Returns: { "X-Correlation-ID": "abc", _truncated: ["Cookie"] }
+   */
+  static truncateHeaders(headers, maxSize) {
+    const lowest = HEADER_PRIORITIES.length;
+    const entries = Object.entries(headers)
+      .map(([key, value]) => ({
+        key,
+        value,
+        priority: getHeaderPriority(key),
+        keyBytes: jsonBytes(key),
+        entryBytes: jsonBytes(key) + jsonBytes(value) + 2, // colon and trailing comma
+      }))
+      .sort((a, b) => a.priority - b.priority || (a.priority === lowest ? a.entryBytes - b.entryBytes : 0));
+
+    // Start with every header dropped, then keep entries in priority order while
+    // the object, including the names still listed as dropped, fits
+    const listBytes = (count, keyBytes) => 2 + keyBytes + Math.max(count - 1, 0);
+    let droppedCount = entries.length;
+    let droppedKeyBytes = entries.reduce((total, entry) => total + entry.keyBytes, 0);
+    let keptBytes = 2 + jsonBytes("_truncated") + 1;
+    const kept = new Set();
+
+    for (const entry of entries) {
+      const size = keptBytes + entry.entryBytes + listBytes(droppedCount - 1, droppedKeyBytes - entry.keyBytes);
+      if (size <= maxSize) {
+        kept.add(entry);
+        keptBytes += entry.entryBytes;
+        droppedCount--;
+        droppedKeyBytes -= entry.keyBytes;
+      }
+    }
+
+    if (keptBytes + listBytes(droppedCount, droppedKeyBytes) <= maxSize) {
+      return {
+        ...Object.fromEntries([...kept].map(entry => [entry.key, entry.value])),
+        _truncated: entries.filter(entry => !kept.has(entry)).map(entry => entry.key),
+      };
+    }
+
+    return this._truncateHeaderNames(entries, maxSize);
+  }
+
+  /**
+   * Fallback for header sets whose names alone exceed maxSize: keep prioritized
+   * headers within half the budget and list as many dropped names as fit
+   * @private
+   * @param {Array<Object>} entries - Prioritized header entries
+   * @param {number} maxSize - Maximum serialized size in bytes
+   * @returns {Object} Headers object with "_truncated" and "_truncatedCount"
+   */
+  static _truncateHeaderNames(entries, maxSize) {
+    const kept = new Set();
+    // Braces, both marker names with colons, the list brackets, a comma and the count
+    let size = jsonBytes("_truncated") + jsonBytes("_truncatedCount") + jsonBytes(entries.length) + 7;
+
+    for (const entry of entries) {
+      if (entry.priority < HEADER_PRIORITIES.length && size + entry.entryBytes <= maxSize / 2) {
+        kept.add(entry);
+        size += entry.entryBytes;
+      }
+    }
+
+    const dropped = entries.filter(entry => !kept.has(entry));
+    const listed = [];
+    for (const entry of dropped) {
+      if (size + entry.keyBytes + 1 > maxSize) break;
+      listed.push(entry.key);
+      size += entry.keyBytes + 1;
+    }
+
+    return {
+      ...Object.fromEntries([...kept].map(entry => [entry.key, entry.value])),
+      _truncated: listed,
+      _truncatedCount: dropped.length,
+    };
+  }
+
   /**
    * Parse headers from SNS message attribute
    * @param {Object} messageAttribute - SNS message attribute containing headers
@@ -100,8 +295,11 @@ class HeadersUtil {
       
       // Check if headers were truncated
       if (headers._truncated) {
-        console.warn('Headers were truncated in the original message');
-        delete headers._truncated; // Remove the truncation marker
+        const dropped = Array.isArray(headers._truncated) ? headers._truncated : [];
+        const count = headers._truncatedCount ?? dropped.length;
+        console.warn(`Headers were truncated in the original message, ${count} dropped: ${dropped.join(', ')}`);
+        delete headers._truncated; // Remove the truncation markers
+        delete headers._truncatedCount;
       }
       
       return headers;
@@ -111,6 +309,63 @@ class HeadersUtil {
     }
   }
 
+  /**
+   * Decode an SNS message body, inflating messages published gzip-compressed
+   * Compressed messages carry a content-encoding attribute of "gzip" and a base64 body
+   * @param {string|Object} message - SNS Message body (string or already parsed)
+   * @param {Object} [messageAttributes] - Received message attributes, in the publish/SQS
+   *   shape ({ DataType, StringValue }) or the shape SNS delivers to Lambda ({ Type, Value })
+   * @returns {Object} Parsed message envelope
+   * @throws {Error} If the body is not valid JSON or cannot be inflated
+   *
+   * @example
+   * const envelope = HeadersUtil.decodeMessage(record.Sns.Message, record.Sns.MessageAttributes);
+   * const headers = HeadersUtil.parseHeadersAttribute(record.Sns.MessageAttributes.headers);
+   */
+  static decodeMessage(message, messageAttributes) {
+    const attribute = messageAttributes?.["content-encoding"];
+    const encoding = attribute?.StringValue ?? attribute?.Value ?? attribute?.stringValue;
+
+    if (typeof message !== "string") return message;
+    if (encoding !== "gzip") return JSON.parse(message);
+    return JSON.parse(zlib.gunzipSync(Buffer.from(message, "base64")).toString("utf8"));
+  }
+
+  /**
+   * Encode a message envelope for publishing, the reverse of decodeMessage
+   * @param {Object} envelope - Message envelope
+   * @param {string|null} [encoding] - Content encoding to apply; "gzip" compresses and base64-encodes
+   * @returns {string} SNS Message body
+   *
+   * @example
+   * const message = HeadersUtil.encodeMessage(envelope, "gzip");
+   * // Returns: base64 gzip of the envelope's JSON, to send with content-encoding: gzip
+   */
+  static encodeMessage(envelope, encoding) {
+    const json = JSON.stringify(envelope);
+    return encoding === "gzip" ? zlib.gzipSync(json).toString("base64") : json;
+  }
+
+  /**
+   * Get a header value using case-insensitive name matching
+   * @param {Object} headers - HTTP headers
+   * @param {string} headerName - Header name to look up
+   * @returns {string|null} Header value or null if not present
+   */
+  static getHeaderValue(headers, headerName) {
+    if (!headers || typeof headers !== 'object') {
+      return null;
+    }
+
+    const wanted = headerName.toLowerCase();
+    for (const [key, value] of Object.entries(headers)) {
+      if (key.toLowerCase() === wanted) {
+        return value;
+      }
+    }
+    return null;
+  }
+
   /**
    * Extract correlation and request IDs from headers (case-insensitive)
    * @param {Object} headers - HTTP headers
@@ -124,15 +379,7 @@ class HeadersUtil {
       };
     }
 
-    // Case-insensitive header lookup
-    const getHeaderValue = (headerName) => {
-      for (const [key, value] of Object.entries(headers)) {
-        if (key.toLowerCase() === headerName.toLowerCase()) {
-          return value;
-        }
-      }
-      return null;
-    };
+    const getHeaderValue = (headerName) => this.getHeaderValue(headers, headerName);
 
     const correlationId = 
       getHeaderValue("x-correlation-id") ||
@@ -211,4 +458,6 @@ class HeadersUtil {
   }
 }
 
+HeadersUtil.DEFAULT_DENYLIST = DEFAULT_DENYLIST;
+
 module.exports = HeadersUtil;
\ No newline at end of file
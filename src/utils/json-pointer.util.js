@@ -0,0 +1,112 @@
+/**
+ * JSON Pointer utilities (RFC 6901)
+ * Resolves values inside parsed webhook payloads
+ *
+ * @module JsonPointerUtil
+ */
+
+/**
+ * JSON Pointer utilities
+ */
+class JsonPointerUtil {
+  /**
+   * Split a JSON pointer into unescaped reference tokens
+   * @param {string} pointer - JSON pointer (e.g. "/message/chat/id")
+   * @returns {Array<string>} Reference tokens
+   * @throws {Error} If the pointer is not a valid JSON pointer
+   */
+  static parse(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+      throw new Error(`Invalid JSON pointer: ${pointer}`);
+    }
+
+    return pointer
+      .slice(1)
+      .split('/')
+      .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  /**
+   * Check that a pointer from configuration is a valid JSON pointer
+   * @param {string} pointer - JSON pointer
+   * @param {string} context - Where the pointer is declared, prefixed to the error message
+   * @throws {Error} If the pointer is not a valid JSON pointer
+   *
+   * @example
+   * JsonPointerUtil.assertValid("message/text", "route /telegram split");
+   * // Throws: "route /telegram split: Invalid JSON pointer: message/text"
+   */
+  static assertValid(pointer, context) {
+    try {
+      this.parse(pointer);
+    } catch (error) {
+      throw new Error(`${context}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a JSON pointer against a document
+   * @param {*} document - Parsed JSON document
+   * @param {string} pointer - JSON pointer
+   * @returns {*} Resolved value or undefined if the path does not exist
+   *
+   * @example
+   * JsonPointerUtil.get({ update_id: 42 }, "/update_id");
+   * // Returns: 42
+   */
+  static get(document, pointer) {
+    let current = document;
+
+    for (const token of this.parse(pointer)) {
+      if (current === null || typeof current !== 'object') {
+        return undefined;
+      }
+      if (Array.isArray(current) && !/^(0|[1-9][0-9]*)$/.test(token)) {
+        return undefined;
+      }
+      if (!Object.prototype.hasOwnProperty.call(current, token)) {
+        return undefined;
+      }
+      current = current[token];
+    }
+
+    return current;
+  }
+
+  /**
+   * Call a function for every value a pointer selects
+   * A "*" token selects every item of an array or every property of an object;
+   * values that do not exist are skipped
+   * @param {*} document - Parsed JSON document
+   * @param {string} pointer - JSON pointer, possibly with "*" tokens
+   * @param {Function} fn - Called with the parent and key of each selected value
+   *
+   * @example
+   * JsonPointerUtil.visit({ emails: ["a@example.com"] }, "/emails/*", (parent, key) => { parent[key] = null; });
+   * // Sets every item of emails to null
+   */
+  static visit(document, pointer, fn) {
+    const walk = (node, tokens) => {
+      if (node === null || typeof node !== 'object') return;
+
+      const [token, ...rest] = tokens;
+      const keys = token === '*'
+        ? Object.keys(node)
+        : Object.prototype.hasOwnProperty.call(node, token) ? [token] : [];
+
+      for (const key of keys) {
+        if (rest.length === 0) {
+          fn(node, key);
+        } else {
+          walk(node[key], rest);
+        }
+      }
+    };
+
+    const tokens = this.parse(pointer);
+    if (tokens.length > 0) walk(document, tokens);
+  }
+}
+
+module.exports = JsonPointerUtil;
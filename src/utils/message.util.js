@@ -0,0 +1,98 @@
+/**
+ * Webhook message envelope utilities
+ * Builds the envelope published to every sink, and turns a received message back
+ * into that envelope for subscribers, alongside HeadersUtil.parseHeadersAttribute
+ * for the headers attribute
+ *
+ * @module MessageUtil
+ */
+
+const zlib = require("zlib");
+const HeadersUtil = require("./headers.util");
+
+/**
+ * Webhook message envelope utilities
+ */
+class MessageUtil {
+  /**
+   * Build the message envelope for a webhook event
+   * Binary payloads are base64-encoded; events split from a batch request carry their batch position
+   * @param {Object} eventData - Webhook event data
+   * @param {string} environment - Environment name
+   * @returns {Object} Message envelope
+   */
+  static buildMessage(eventData, environment) {
+    const payload = Buffer.isBuffer(eventData.payload)
+      ? eventData.payload.toString("base64")
+      : eventData.payload;
+
+    return {
+      environment: environment,
+      timestamp: eventData.timestamp,
+      source: eventData.source,
+      transport: eventData.transport,
+      route: eventData.route,
+      validation: eventData.validation,
+      batch: eventData.batch,
+      payload: payload,
+      type: eventData.type,
+      isBase64Encoded: eventData.isBase64Encoded,
+    };
+  }
+
+  /**
+   * Gzip-compress and base64-encode an envelope over a size threshold
+   * @param {Object} envelope - Message envelope
+   * @param {number|null} thresholdBytes - Serialized size above which the envelope is compressed; null disables compression
+   * @returns {Object|string} The envelope, or its compressed base64 form when that is smaller
+   */
+  static compress(envelope, thresholdBytes) {
+    if (!thresholdBytes) return envelope;
+
+    const json = JSON.stringify(envelope);
+    if (Buffer.byteLength(json) <= thresholdBytes) return envelope;
+
+    const compressed = zlib.gzipSync(json).toString("base64");
+    return compressed.length < Buffer.byteLength(json) ? compressed : envelope;
+  }
+
+  /**
+   * Check whether a published envelope is a claim-check pointer
+   * @param {Object} envelope - Parsed SNS message
+   * @returns {boolean} True if the full envelope was offloaded to S3
+   */
+  static isClaimCheck(envelope) {
+    return Boolean(envelope?.claimCheck?.bucket && envelope.claimCheck.key);
+  }
+
+  /**
+   * Parse an SNS message, inflating compressed messages and resolving claim-check
+   * pointers to the original envelope
+   * @param {string|Object} message - SNS Message body (string or already parsed)
+   * @param {Object} [options] - Options
+   * @param {ClaimCheckService} [options.claimCheck] - Service used to fetch offloaded envelopes
+   * @param {Object} [options.messageAttributes] - Received message attributes, whose content-encoding marks compressed messages
+   * @returns {Promise<Object>} Webhook envelope with payload
+   * @throws {Error} If the message is a pointer and no claim-check service was given
+   *
+   * @example
+   * const claimCheck = new ClaimCheckService({ region: "ap-southeast-3", endpoint: "http://localhost:9000", forcePathStyle: true });
+   * const envelope = await MessageUtil.parseMessage(record.Sns.Message, { claimCheck, messageAttributes: record.Sns.MessageAttributes });
+   * // Returns: { environment, timestamp, source, transport, payload, ... }
+   */
+  static async parseMessage(message, options = {}) {
+    const envelope = HeadersUtil.decodeMessage(message, options.messageAttributes);
+    if (!this.isClaimCheck(envelope)) {
+      return envelope;
+    }
+
+    if (!options.claimCheck) {
+      throw new Error(
+        `Message was offloaded to s3://${envelope.claimCheck.bucket}/${envelope.claimCheck.key}; a claim-check service is required to resolve it`
+      );
+    }
+    return JSON.parse(await options.claimCheck.fetch(envelope.claimCheck));
+  }
+}
+
+module.exports = MessageUtil;
@@ -0,0 +1,114 @@
+/**
+ * Multipart form-data utilities
+ * Parses buffered multipart/form-data bodies into fields and files
+ *
+ * @module MultipartUtil
+ */
+
+const CRLF = Buffer.from("\r\n");
+const HEADER_SEPARATOR = Buffer.from("\r\n\r\n");
+
+/**
+ * Multipart form-data utilities
+ */
+class MultipartUtil {
+  /**
+   * Extract the boundary parameter from a Content-Type header value
+   * @param {string} contentType - Content-Type header value
+   * @returns {string|null} Boundary or null if missing
+   */
+  static getBoundary(contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || "");
+    return match ? match[1] || match[2] : null;
+  }
+
+  /**
+   * Parse a multipart/form-data body
+   * @param {Buffer} rawBody - Raw body bytes
+   * @param {string} boundary - Multipart boundary
+   * @returns {Object} Parsed form with fields and files
+   * @throws {Error} If the body is not valid multipart data
+   *
+   * @example
+   * MultipartUtil.parse(rawBody, "----abc");
+   * // Returns: { fields: { caption: "hi" }, files: [{ name: "photo", filename: "a.png", contentType: "image/png", size: 1024, data: "<base64>" }] }
+   */
+  static parse(rawBody, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const form = { fields: {}, files: [] };
+
+    let position = rawBody.indexOf(delimiter);
+    if (position === -1) {
+      throw new Error("Multipart boundary not found in body");
+    }
+
+    // Subsequent delimiters are always preceded by CRLF
+    const innerDelimiter = Buffer.concat([CRLF, delimiter]);
+
+    while (true) {
+      position += delimiter.length;
+
+      // Closing delimiter "--boundary--"
+      if (rawBody[position] === 0x2d && rawBody[position + 1] === 0x2d) break;
+      if (rawBody.subarray(position, position + 2).equals(CRLF)) position += 2;
+
+      const next = rawBody.indexOf(innerDelimiter, position);
+      if (next === -1) {
+        throw new Error("Unterminated multipart body");
+      }
+
+      this._addPart(form, rawBody.subarray(position, next));
+      position = next + CRLF.length;
+    }
+
+    return form;
+  }
+
+  /**
+   * Parse a single part and add it to the form
+   * @private
+   * @param {Object} form - Form being built
+   * @param {Buffer} part - Part bytes including headers
+   */
+  static _addPart(form, part) {
+    const headerEnd = part.indexOf(HEADER_SEPARATOR);
+    if (headerEnd === -1) {
+      throw new Error("Multipart part is missing headers");
+    }
+
+    const headers = {};
+    for (const line of part.subarray(0, headerEnd).toString("utf8").split("\r\n")) {
+      const separator = line.indexOf(":");
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    const disposition = headers["content-disposition"] || "";
+    const name = /\bname="([^"]*)"/i.exec(disposition)?.[1];
+    const filename = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+    const content = part.subarray(headerEnd + HEADER_SEPARATOR.length);
+
+    if (!name || name === "__proto__") return;
+
+    if (filename !== undefined) {
+      form.files.push({
+        name,
+        filename,
+        contentType: headers["content-type"] || "application/octet-stream",
+        size: content.length,
+        data: content.toString("base64"),
+      });
+      return;
+    }
+
+    const value = content.toString("utf8");
+    if (Object.prototype.hasOwnProperty.call(form.fields, name)) {
+      form.fields[name] = [].concat(form.fields[name], value);
+    } else {
+      form.fields[name] = value;
+    }
+  }
+}
+
+module.exports = MultipartUtil;
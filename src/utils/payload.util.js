@@ -0,0 +1,239 @@
+/**
+ * Payload processing utilities
+ * Handles request body decoding, binary detection and content-type aware parsing
+ *
+ * @module PayloadUtil
+ */
+
+const { XMLParser, XMLValidator } = require("fast-xml-parser");
+const MultipartUtil = require("./multipart.util");
+
+// Content types that are always text regardless of their bytes
+const TEXT_CONTENT_TYPES = [
+  /^text\//,
+  /^application\/(.+\+)?json$/,
+  /^application\/(.+\+)?xml$/,
+  /^application\/x-www-form-urlencoded$/,
+  /^application\/javascript$/,
+];
+
+// Content types that are always binary regardless of their bytes
+const BINARY_CONTENT_TYPES = [
+  /^application\/octet-stream$/,
+  /^application\/(pdf|zip|gzip|protobuf|x-protobuf)$/,
+  /^(image|audio|video|font)\//,
+];
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  parseTagValue: false, // Keep values as strings so large IDs are not rounded
+});
+
+/**
+ * Parse a form-urlencoded body, collecting repeated keys into arrays
+ * @param {Buffer} rawBody - Raw body bytes
+ * @returns {Object} Parsed form fields
+ */
+function parseFormUrlEncoded(rawBody) {
+  const fields = {};
+  for (const [key, value] of new URLSearchParams(rawBody.toString("utf8"))) {
+    if (key === "__proto__") continue;
+    if (Object.prototype.hasOwnProperty.call(fields, key)) {
+      fields[key] = [].concat(fields[key], value);
+    } else {
+      fields[key] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Parse an XML body
+ * @param {Buffer} rawBody - Raw body bytes
+ * @returns {Object} Parsed XML document
+ * @throws {Error} If the body is not well-formed XML
+ */
+function parseXml(rawBody) {
+  const text = rawBody.toString("utf8");
+  const validation = XMLValidator.validate(text);
+  if (validation !== true) {
+    throw new Error(`Invalid XML: ${validation.err.msg}`);
+  }
+  return xmlParser.parse(text);
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} rawBody - Raw body bytes
+ * @param {string} contentType - Content-Type header value carrying the boundary
+ * @returns {Object} Parsed form with fields and files
+ * @throws {Error} If the boundary is missing or the body is malformed
+ */
+function parseMultipart(rawBody, contentType) {
+  const boundary = MultipartUtil.getBoundary(contentType);
+  if (!boundary) {
+    throw new Error("Multipart boundary missing from Content-Type");
+  }
+  return MultipartUtil.parse(rawBody, boundary);
+}
+
+// Parser registry keyed on media type; "type" is what gets recorded on the event
+const parsers = new Map([
+  ["application/json", { type: "application/json", parse: (rawBody) => JSON.parse(rawBody.toString("utf8")) }],
+  ["application/x-www-form-urlencoded", { type: "application/x-www-form-urlencoded", parse: parseFormUrlEncoded }],
+  ["application/xml", { type: "application/xml", parse: parseXml }],
+  ["text/xml", { type: "application/xml", parse: parseXml }],
+  ["multipart/form-data", { type: "multipart/form-data", parse: parseMultipart }],
+]);
+
+/**
+ * Payload processing utilities
+ */
+class PayloadUtil {
+  /**
+   * Register a payload parser for a media type
+   * @param {string} mediaType - Media type without parameters (e.g. "application/x-ndjson")
+   * @param {Object} parser - Parser definition
+   * @param {string} parser.type - Type recorded on events parsed by this parser
+   * @param {Function} parser.parse - Function (rawBody, contentType) returning the payload; throws on invalid input
+   */
+  static registerParser(mediaType, parser) {
+    parsers.set(mediaType.toLowerCase(), parser);
+  }
+
+  /**
+   * Find the parser for a media type, honoring +json and +xml structured suffixes
+   * @param {string|null} mediaType - Media type without parameters
+   * @returns {Object|null} Parser definition or null if none is registered
+   */
+  static getParser(mediaType) {
+    if (!mediaType) return null;
+    if (parsers.has(mediaType)) return parsers.get(mediaType);
+    if (mediaType.endsWith("+json")) return parsers.get("application/json");
+    if (mediaType.endsWith("+xml")) return parsers.get("application/xml");
+    return null;
+  }
+
+  /**
+   * Decode a Lambda event body into raw bytes
+   * @param {string|null} body - Event body
+   * @param {boolean} isBase64Encoded - Whether API Gateway base64-encoded the body
+   * @returns {Buffer} Raw body bytes exactly as sent by the client
+   */
+  static decodeBody(body, isBase64Encoded) {
+    if (!body) return Buffer.alloc(0);
+    return Buffer.from(body, isBase64Encoded ? "base64" : "utf8");
+  }
+
+  /**
+   * Extract the media type from a Content-Type header value
+   * @param {string|null} contentType - Content-Type header value
+   * @returns {string|null} Lowercase media type without parameters
+   */
+  static getMediaType(contentType) {
+    if (!contentType) return null;
+    const mediaType = String(contentType).split(";")[0].trim().toLowerCase();
+    return mediaType || null;
+  }
+
+  /**
+   * Determine whether raw bytes should be treated as binary
+   * Declared content types win; otherwise the bytes must be valid UTF-8 without NUL characters
+   * @param {Buffer} rawBody - Raw body bytes
+   * @param {string|null} contentType - Content-Type header value
+   * @returns {boolean} True if the body is binary
+   */
+  static isBinary(rawBody, contentType) {
+    const mediaType = this.getMediaType(contentType);
+    if (mediaType && TEXT_CONTENT_TYPES.some(pattern => pattern.test(mediaType))) return false;
+    if (mediaType && BINARY_CONTENT_TYPES.some(pattern => pattern.test(mediaType))) return true;
+
+    return rawBody.includes(0) || !this.isUtf8(rawBody);
+  }
+
+  /**
+   * Check whether bytes are valid UTF-8
+   * @param {Buffer} bytes - Bytes to check
+   * @returns {boolean} True if the bytes decode as UTF-8 without loss
+   */
+  static isUtf8(bytes) {
+    try {
+      new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse raw body bytes into a payload using the parser registered for its Content-Type
+   * Binary bodies are kept as a Buffer so MongoDB stores them as BinData;
+   * parsed bodies keep the original text (or bytes, if not UTF-8) as rawBody for signature checks
+   * @param {Buffer} rawBody - Raw body bytes
+   * @param {string|null} contentType - Content-Type header value
+   * @returns {Object} Parsed result with payload, type and rawBody
+   */
+  static parse(rawBody, contentType) {
+    if (rawBody.length === 0) {
+      return { payload: "", type: "text/plain", rawBody: "" };
+    }
+
+    const mediaType = this.getMediaType(contentType);
+    const parser = this.getParser(mediaType);
+    if (parser) {
+      try {
+        const payload = parser.parse(rawBody, contentType);
+        const original = this.isUtf8(rawBody) ? rawBody.toString("utf8") : rawBody;
+        return { payload, type: parser.type, rawBody: original };
+      } catch (error) {
+        console.warn(`Failed to parse ${mediaType} payload, falling back: ${error.message}`);
+      }
+    }
+
+    if (this.isBinary(rawBody, contentType)) {
+      return {
+        payload: rawBody,
+        type: mediaType || "application/octet-stream",
+        rawBody: null,
+      };
+    }
+
+    // Unknown or mislabelled text: keep the existing JSON sniffing behavior
+    const text = rawBody.toString("utf8");
+    try {
+      return { payload: JSON.parse(text), type: "application/json", rawBody: text };
+    } catch (e) {
+      return { payload: text, type: "text/plain", rawBody: text };
+    }
+  }
+
+  /**
+   * Get the raw body bytes of structured event data
+   * @param {Object} eventData - Structured webhook event data
+   * @returns {Buffer} Raw body bytes exactly as sent by the client
+   */
+  static getRawBytes(eventData) {
+    if (Buffer.isBuffer(eventData.payload)) return eventData.payload;
+    if (Buffer.isBuffer(eventData.rawBody)) return eventData.rawBody;
+    return Buffer.from(eventData.rawBody ?? "", "utf8");
+  }
+
+  /**
+   * JSON.stringify replacer that summarizes binary payloads and raw bodies for logging
+   * @param {string} key - Property key
+   * @param {*} value - Property value
+   * @returns {*} Value to serialize
+   */
+  static logReplacer(key, value) {
+    if (key === "rawBody" && typeof value === "string") {
+      return `<raw ${value.length} characters>`;
+    }
+    if (value && value.type === "Buffer" && Array.isArray(value.data)) {
+      return `<binary ${value.data.length} bytes>`;
+    }
+    return value;
+  }
+}
+
+module.exports = PayloadUtil;
@@ -0,0 +1,215 @@
+/**
+ * Redaction utilities
+ * Removes personal data and credentials from webhook events before they are
+ * logged, stored or published, with a separate policy for each destination
+ *
+ * @module RedactionUtil
+ */
+
+const JsonPointerUtil = require("./json-pointer.util");
+const EncryptionUtil = require("./encryption.util");
+
+// Replacement for header values and path rules
+const REDACTED = "[REDACTED]";
+
+/**
+ * Get the digits of a matched value
+ * @param {string} match - Matched text
+ * @returns {string} Digits only
+ */
+function digitsOf(match) {
+  return match.replace(/\D/g, "");
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} digits - Card number digits
+ * @returns {boolean} True if the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Built-in detectors, applied to string values in this order. A detector may
+// check each match further, so IDs and timestamps are not mistaken for personal data
+const DETECTORS = {
+  bearer: { pattern: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi },
+  // Local part and domain labels are bounded and matches only start where a local
+  // part does, so long runs of address characters are scanned in linear time
+  email: { pattern: /(?<![A-Za-z0-9._%+-])[A-Za-z0-9._%+-]{1,64}@(?:[A-Za-z0-9-]{1,63}\.){1,8}[A-Za-z]{2,63}/g },
+  card: {
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    test: (match) => passesLuhn(digitsOf(match)),
+  },
+  // International ("+62 812-3456-7890") and trunk-prefixed ("0812 3456 7890") numbers
+  phone: {
+    pattern: /(?<![\w+])(?:\+|\b0)\d[\d\s().-]{6,18}\d(?!\w)/g,
+    test: (match) => digitsOf(match).length >= 9 && digitsOf(match).length <= 15,
+  },
+};
+
+// Headers that carry credentials or session state
+const SENSITIVE_HEADERS = ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key"];
+
+/**
+ * Redaction utilities
+ */
+class RedactionUtil {
+  /**
+   * Replace the personal data the given detectors find in a string
+   * @param {string} text - Text to redact
+   * @param {Array<string>} detectors - Detector names
+   * @returns {string} Text with each finding replaced by [REDACTED:<detector>]
+   *
+   * @example
+   * RedactionUtil.redactText("Call me at +62 812-3456-7890", ["phone"]);
+   * // Returns: "Call me at [REDACTED:phone]"
+   */
+  static redactText(text, detectors) {
+    let redacted = text;
+    for (const [name, detector] of Object.entries(DETECTORS)) {
+      if (!detectors.includes(name)) continue;
+      redacted = redacted.replace(detector.pattern, (match) =>
+        !detector.test || detector.test(match) ? `[REDACTED:${name}]` : match
+      );
+    }
+    return redacted;
+  }
+
+  /**
+   * Redact every string in a value with the given detectors
+   * Encrypted fields are left as they are
+   * @param {*} value - Value to redact
+   * @param {Array<string>} detectors - Detector names
+   * @returns {*} Redacted copy of the value
+   */
+  static scrub(value, detectors) {
+    if (typeof value === "string") {
+      return detectors.length > 0 ? this.redactText(value, detectors) : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.scrub(item, detectors));
+    }
+    if (value && typeof value === "object" && !Buffer.isBuffer(value) && !EncryptionUtil.isEncrypted(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.scrub(item, detectors)]));
+    }
+    return value;
+  }
+
+  /**
+   * Check a route's redaction settings
+   * @param {Object} settings - Destination to policy (or null)
+   * @param {string} owner - Where the settings are declared, for error messages
+   * @throws {Error} If a destination is unknown or a policy names an unknown detector or an invalid path
+   */
+  static validateSettings(settings, owner) {
+    for (const [destination, policy] of Object.entries(settings ?? {})) {
+      const context = `${owner} redaction ${destination}`;
+      if (!["log", "store", "publish"].includes(destination)) {
+        throw new Error(`${owner} redaction destination must be log, store or publish`);
+      }
+      if (policy === null) continue;
+      if (typeof policy !== "object" || Array.isArray(policy)) {
+        throw new Error(`${context} must be a policy object or null`);
+      }
+
+      const { detectors = [], headers = [], paths = [] } = policy;
+      const unknown = [].concat(detectors).filter(name => !Object.hasOwn(DETECTORS, name));
+      if (!Array.isArray(detectors) || unknown.length > 0) {
+        throw new Error(`${context} detectors must be a list of ${Object.keys(DETECTORS).join(", ")}`);
+      }
+      if (!Array.isArray(headers) || !headers.every(name => typeof name === "string")) {
+        throw new Error(`${context} headers must be an array of header names`);
+      }
+      if (!Array.isArray(paths)) {
+        throw new Error(`${context} paths must be an array`);
+      }
+      for (const pointer of paths) {
+        JsonPointerUtil.assertValid(pointer, context);
+      }
+    }
+  }
+
+  /**
+   * Get the policy for one destination of a route
+   * Logs are redacted by default; storage and publishing only when the route asks for it
+   * @param {Object} [settings] - Route redaction settings
+   * @param {string} destination - "log", "store" or "publish"
+   * @returns {Object|null} Redaction policy, or null for none
+   */
+  static getPolicy(settings, destination) {
+    if (settings?.[destination] !== undefined) return settings[destination];
+    return destination === "log" ? this.DEFAULT_LOG_POLICY : null;
+  }
+
+  /**
+   * Apply a redaction policy to webhook event data
+   * Detectors run over the payload, header and query string values, the batch
+   * context and extracted attributes; listed headers and payload paths are replaced
+   * outright. The raw body is left out, since it holds the same data unredacted.
+   * @param {Object|null} policy - Redaction policy
+   * @param {Array<string>} [policy.detectors] - Built-in detectors to run
+   * @param {Array<string>} [policy.headers] - Header names whose values are replaced (case-insensitive)
+   * @param {Array<string>} [policy.paths] - JSON pointers into the payload whose values are replaced; "*" matches every array item
+   * @param {Object} eventData - Webhook event data
+   * @returns {Object} Redacted copy of the event data, or the event data itself without a policy
+   *
+   * @example
+   * RedactionUtil.apply({ detectors: ["email"], headers: ["authorization"], paths: ["/message/text"] }, eventData);
+   */
+  static apply(policy, eventData) {
+    if (!policy) return eventData;
+
+    const { rawBody, ...redacted } = eventData;
+    const detectors = policy.detectors ?? [];
+    const headers = new Set((policy.headers ?? []).map(name => name.toLowerCase()));
+
+    if (eventData.transport) {
+      redacted.transport = {
+        ...eventData.transport,
+        headers: Object.fromEntries(
+          Object.entries(eventData.transport.headers ?? {}).map(([name, value]) =>
+            [name, headers.has(name.toLowerCase()) ? REDACTED : this.scrub(value, detectors)]
+          )
+        ),
+        queryStringParameters: this.scrub(eventData.transport.queryStringParameters, detectors),
+      };
+    }
+
+    if (eventData.attributes) {
+      redacted.attributes = this.scrub(eventData.attributes, detectors);
+    }
+
+    if (eventData.batch?.context) {
+      redacted.batch = { ...eventData.batch, context: this.scrub(eventData.batch.context, detectors) };
+    }
+
+    if (!Buffer.isBuffer(eventData.payload)) {
+      redacted.payload = this.scrub(eventData.payload, detectors);
+      for (const pointer of policy.paths ?? []) {
+        if (pointer === "") {
+          redacted.payload = REDACTED;
+        } else {
+          JsonPointerUtil.visit(redacted.payload, pointer, (parent, key) => { parent[key] = REDACTED; });
+        }
+      }
+    }
+
+    return redacted;
+  }
+}
+
+RedactionUtil.DETECTORS = Object.keys(DETECTORS);
+RedactionUtil.SENSITIVE_HEADERS = SENSITIVE_HEADERS;
+RedactionUtil.DEFAULT_LOG_POLICY = Object.freeze({ detectors: Object.keys(DETECTORS), headers: SENSITIVE_HEADERS });
+
+module.exports = RedactionUtil;
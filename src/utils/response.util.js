@@ -0,0 +1,99 @@
+/**
+ * HTTP response utilities
+ * Builds Lambda proxy responses and renders per-route response templates
+ *
+ * @module ResponseUtil
+ */
+
+/**
+ * Replace {{name}} placeholders in a string
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text; unknown placeholders render as empty strings
+ */
+function renderString(text, values) {
+  return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+    const value = values[name];
+    return value === undefined || value === null ? "" : String(value);
+  });
+}
+
+/**
+ * Render placeholders in every string of a JSON-compatible value
+ * @param {*} value - Template value
+ * @param {Object} values - Placeholder values
+ * @returns {*} Rendered value
+ */
+function renderValue(value, values) {
+  if (typeof value === "string") return renderString(value, values);
+  if (Array.isArray(value)) return value.map(item => renderValue(item, values));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderValue(item, values)])
+    );
+  }
+  return value;
+}
+
+/**
+ * HTTP response utilities
+ */
+class ResponseUtil {
+  /**
+   * Build a JSON response
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} body - Response body to serialize
+   * @param {Object} [headers] - Additional response headers
+   * @returns {Object} Lambda proxy response
+   */
+  static json(statusCode, body, headers = {}) {
+    return {
+      statusCode,
+      headers: {
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    };
+  }
+
+  /**
+   * Render a route response template
+   * Strings may reference {{placeholders}}; object bodies are serialized as JSON
+   * @param {Object} template - Response template
+   * @param {number} [template.statusCode=200] - HTTP status code
+   * @param {Object} [template.headers] - Response headers
+   * @param {Object|string} [template.body] - Response body
+   * @param {Object} values - Placeholder values
+   * @returns {Object} Lambda proxy response
+   *
+   * @example
+   * ResponseUtil.render({ body: { ok: true, id: "{{documentId}}" } }, { documentId: "abc" });
+   * // Returns: { statusCode: 200, headers: { "Content-Type": "application/json" }, body: '{"ok":true,"id":"abc"}' }
+   */
+  static render(template, values) {
+    const body = renderValue(template.body ?? "", values);
+    const isJson = typeof body !== "string";
+
+    return {
+      statusCode: template.statusCode ?? 200,
+      headers: {
+        "Content-Type": isJson ? "application/json" : "text/plain",
+        ...renderValue(template.headers ?? {}, values),
+      },
+      body: isJson ? JSON.stringify(body) : body,
+    };
+  }
+
+  /**
+   * Render {{placeholders}} in a single string
+   * @param {string} text - Template text
+   * @param {Object} values - Placeholder values
+   * @returns {string} Rendered text
+   */
+  static renderString(text, values) {
+    return renderString(text, values);
+  }
+}
+
+module.exports = ResponseUtil;
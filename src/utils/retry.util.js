@@ -0,0 +1,123 @@
+/**
+ * Retry utilities
+ * Bounded retries with exponential backoff and full jitter for transient AWS errors
+ *
+ * @module RetryUtil
+ */
+
+/**
+ * AWS error names that indicate throttling or a transient service fault
+ */
+const RETRYABLE_ERRORS = new Set([
+  "Throttling",
+  "ThrottlingException",
+  "ThrottledException",
+  "TooManyRequestsException",
+  "RequestLimitExceeded",
+  "KMSThrottlingException",
+  "InternalError",
+  "InternalErrorException",
+  "InternalFailure",
+  "ServiceUnavailable",
+  "ServiceUnavailableException",
+  "RequestTimeout",
+  "RequestTimeoutException",
+  "TimeoutError",
+]);
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"]);
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry utilities
+ */
+class RetryUtil {
+  /**
+   * Classify an error as retryable or fatal
+   * Throttling, 5xx responses and connection failures are retryable; anything else,
+   * such as authorization or validation errors, is fatal
+   * @param {Error} error - Error thrown by an AWS SDK call
+   * @returns {boolean} True if the call may succeed when retried
+   */
+  static isRetryable(error) {
+    if (!error) return false;
+    if (error.$retryable) return true;
+    if (RETRYABLE_ERRORS.has(error.name) || RETRYABLE_CODES.has(error.code)) return true;
+
+    const status = error.$metadata?.httpStatusCode;
+    return status === 429 || (status >= 500 && status <= 599);
+  }
+
+  /**
+   * Get the delay before a retry, with full jitter
+   * @param {number} attempt - Attempt that just failed, starting at 1
+   * @param {Object} policy - Retry policy with baseDelayMs and maxDelayMs
+   * @param {Function} [random] - Random number source in [0, 1)
+   * @returns {number} Delay in milliseconds
+   */
+  static getDelay(attempt, policy, random = Math.random) {
+    const ceiling = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+    return Math.floor(random() * ceiling);
+  }
+
+  /**
+   * Get the time by which retries must stop for a Lambda invocation
+   * @param {Object} context - Lambda context
+   * @param {number} [reserveMs] - Time kept back to finish the invocation
+   * @returns {number|undefined} Epoch milliseconds, or undefined without a Lambda context
+   */
+  static getDeadline(context, reserveMs = 0) {
+    if (typeof context?.getRemainingTimeInMillis !== "function") return undefined;
+    return Date.now() + context.getRemainingTimeInMillis() - reserveMs;
+  }
+
+  /**
+   * Run an operation, retrying retryable errors with backoff
+   * Stops after maxAttempts, on a fatal error, or when the next attempt would
+   * start after the deadline. The error that ends the retries carries the
+   * number of attempts made in error.attempts.
+   * @param {Function} operation - Async operation, called with the attempt number
+   * @param {Object} policy - Retry policy
+   * @param {number} policy.maxAttempts - Maximum number of attempts, including the first
+   * @param {number} policy.baseDelayMs - Delay ceiling before the first retry; doubled on each retry
+   * @param {number} policy.maxDelayMs - Largest delay ceiling
+   * @param {number} [policy.deadline] - Epoch milliseconds after which no attempt is started
+   * @param {string} [label] - Operation name used in retry logs
+   * @returns {Promise<Object>} Result of the operation and the number of attempts
+   * @throws {Error} The last error, with an attempts property
+   *
+   * @example
+   * const { result, attempts } = await RetryUtil.run(() => client.send(command), { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 2000 });
+   */
+  static async run(operation, policy, label = "Operation") {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return { result: await operation(attempt), attempts: attempt };
+      } catch (error) {
+        const delay = this.getDelay(attempt, policy);
+        const outOfTime = policy.deadline !== undefined && Date.now() + delay >= policy.deadline;
+
+        if (attempt >= policy.maxAttempts || !this.isRetryable(error) || outOfTime) {
+          error.attempts = attempt;
+          throw error;
+        }
+
+        console.warn(`${label} attempt ${attempt} failed with ${error.name}: ${error.message}; retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = RetryUtil;
@@ -0,0 +1,261 @@
+/**
+ * Routing utilities
+ * Path pattern matching and predicate-based selection of publish targets
+ *
+ * @module RoutingUtil
+ */
+
+const HeadersUtil = require("./headers.util");
+const JsonPointerUtil = require("./json-pointer.util");
+const AttributesUtil = require("./attributes.util");
+const FifoUtil = require("./fifo.util");
+
+/**
+ * Sink types and the target field(s) naming their destination; one is required
+ */
+const SINK_DESTINATIONS = {
+  sns: ["topicArn"],
+  sqs: ["queueUrl"],
+  eventbridge: ["eventBusName"],
+  kinesis: ["streamName", "streamArn"],
+  http: ["url"],
+};
+
+/**
+ * Compile a path pattern such as "/webhook/telegram/:botId" or "/legacy/*"
+ * @param {string} pattern - Path pattern
+ * @returns {Object} Compiled pattern with regex and parameter keys
+ */
+function compilePattern(pattern) {
+  const keys = [];
+  const source = pattern
+    .replace(/\/+$/, "")
+    .split("/")
+    .map((segment) => {
+      if (segment === "*") {
+        keys.push("wildcard");
+        return "(.*)";
+      }
+      if (segment.startsWith(":")) {
+        keys.push(segment.slice(1));
+        return "([^/]+)";
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Resolve the value a predicate tests
+ * @param {Object} predicate - Predicate with one of pointer, header or param
+ * @param {Object} eventData - Structured webhook event data
+ * @param {Object} params - Route path parameters
+ * @returns {*} Value, or undefined if absent
+ */
+function resolveValue(predicate, eventData, params) {
+  if (predicate.pointer !== undefined) {
+    return Buffer.isBuffer(eventData.payload)
+      ? undefined
+      : JsonPointerUtil.get(eventData.payload, predicate.pointer);
+  }
+  if (predicate.header !== undefined) {
+    return HeadersUtil.getHeaderValue(eventData.transport.headers, predicate.header) ?? undefined;
+  }
+  return params[predicate.param];
+}
+
+/**
+ * Check a target's "when" predicates
+ * @param {Object|Array<Object>} when - Predicate or list of predicates
+ * @param {string} owner - Where the predicates are declared, for error messages
+ * @throws {Error} If a predicate has no single value source or an invalid operator
+ */
+function validatePredicates(when, owner) {
+  for (const predicate of [].concat(when)) {
+    const sources = ["path", "pointer", "header", "param"].filter(source => predicate?.[source] !== undefined);
+    if (sources.length !== 1) {
+      throw new Error(`${owner} predicates need exactly one of path, pointer, header or param`);
+    }
+    if (predicate.pointer !== undefined) {
+      JsonPointerUtil.assertValid(predicate.pointer, `${owner} predicate`);
+    }
+    if (predicate.in !== undefined && !Array.isArray(predicate.in)) {
+      throw new Error(`${owner} predicate "in" must be an array`);
+    }
+    if (predicate.exists !== undefined && typeof predicate.exists !== "boolean") {
+      throw new Error(`${owner} predicate "exists" must be a boolean`);
+    }
+    if (predicate.matches !== undefined) {
+      try {
+        new RegExp(predicate.matches);
+      } catch (error) {
+        throw new Error(`${owner} predicate: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Check an HTTP target's endpoint and request settings
+ * @param {Object} target - HTTP target
+ * @param {string} owner - Where the target is declared, for error messages
+ * @throws {Error} If the URL, headers or timeout are invalid
+ */
+function validateHttpTarget(target, owner) {
+  let url;
+  try {
+    url = new URL(target.url);
+  } catch (error) {
+    throw new Error(`${owner} url is invalid`);
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new Error(`${owner} url must use http or https`);
+  }
+  if (target.headers !== undefined && (typeof target.headers !== "object" || Array.isArray(target.headers))) {
+    throw new Error(`${owner} headers must be an object`);
+  }
+  if (target.timeoutMs !== undefined && !(Number.isInteger(target.timeoutMs) && target.timeoutMs > 0)) {
+    throw new Error(`${owner} timeoutMs must be a positive integer`);
+  }
+}
+
+/**
+ * Routing utilities
+ */
+class RoutingUtil {
+  /**
+   * Compile a path pattern
+   * @param {string} pattern - Path pattern with optional :param and * segments
+   * @returns {Object} Compiled pattern with regex and parameter keys
+   */
+  static compilePattern(pattern) {
+    return compilePattern(pattern);
+  }
+
+  /**
+   * Evaluate a target's "when" predicates; all predicates must match
+   * A predicate selects a value with path (a path pattern), pointer, header or param,
+   * and tests it with equals, in, matches (regular expression) or exists. Without an
+   * operator the value only has to be present.
+   * @param {Object|Array<Object>} [when] - Predicate or list of predicates
+   * @param {Object} eventData - Structured webhook event data
+   * @param {Object} [params] - Route path parameters
+   * @returns {boolean} True if every predicate matches
+   *
+   * @example
+   * RoutingUtil.matches({ pointer: "/message/chat/type", in: ["group", "supergroup"] }, eventData);
+   * // Returns: true for group chats
+   */
+  static matches(when, eventData, params = {}) {
+    return [].concat(when ?? []).every((predicate) => {
+      if (predicate.path !== undefined) {
+        return compilePattern(predicate.path).regex.test(eventData.transport.path);
+      }
+
+      const value = resolveValue(predicate, eventData, params);
+      const present = value !== undefined && value !== null;
+
+      if (predicate.exists !== undefined) return present === predicate.exists;
+      if (!present) return false;
+      if (predicate.equals !== undefined) return String(value) === String(predicate.equals);
+      if (predicate.in !== undefined) return predicate.in.some(candidate => String(candidate) === String(value));
+      if (predicate.matches !== undefined) return new RegExp(predicate.matches).test(String(value));
+      return true;
+    });
+  }
+
+  /**
+   * Check a route's publish targets
+   * @param {Array<Object>} targets - Publish targets
+   * @param {string} owner - Where the targets are declared, for error messages
+   * @throws {Error} If a target has an unknown type, no destination, a duplicate name,
+   *   or invalid predicates, attributes or HTTP settings
+   */
+  static validateTargets(targets, owner) {
+    if (!Array.isArray(targets)) {
+      throw new Error(`${owner} targets must be an array`);
+    }
+
+    const names = new Set();
+    targets.forEach((target, index) => {
+      const fields = SINK_DESTINATIONS[target?.type ?? "sns"];
+      if (!fields) {
+        throw new Error(`${owner} target ${index} has unknown type "${target?.type}"`);
+      }
+      const destination = this.getDestination(target);
+      if (typeof destination !== "string" || !destination) {
+        throw new Error(`${owner} target ${index} requires a ${fields.join(" or ")}`);
+      }
+      if (target.type === "http") {
+        validateHttpTarget(target, `${owner} target ${index}`);
+      }
+      const name = this.getTargetName(target);
+      if (names.has(name)) {
+        throw new Error(`${owner} has more than one target named "${name}"`);
+      }
+      names.add(name);
+
+      const targetOwner = `${owner} target "${name}"`;
+      if (target.when !== undefined) {
+        validatePredicates(target.when, targetOwner);
+      }
+      if (target.attributes !== undefined) {
+        AttributesUtil.validateRules(target.attributes, targetOwner);
+      }
+      if (target.partitionKey !== undefined) {
+        FifoUtil.validateRules(target.partitionKey, targetOwner, "partitionKey");
+      }
+    });
+  }
+
+  /**
+   * Get the destination of a target
+   * @param {Object} target - Publish target
+   * @returns {string|undefined} Topic ARN, queue URL, event bus, stream or URL
+   */
+  static getDestination(target) {
+    const fields = SINK_DESTINATIONS[target.type ?? "sns"] ?? [];
+    return fields.map(field => target[field]).find(value => value !== undefined);
+  }
+
+  /**
+   * Get the name a target is reported under
+   * @param {Object} target - Publish target
+   * @returns {string} Target name, defaulting to the last segment of its destination
+   *   (the host for HTTP targets)
+   */
+  static getTargetName(target) {
+    if (target.name !== undefined) return target.name;
+
+    const destination = String(this.getDestination(target));
+    if (target.type === "http") {
+      try {
+        return new URL(destination).host;
+      } catch (error) {
+        return destination;
+      }
+    }
+    return destination.split(/[:/]/).filter(Boolean).pop() ?? destination;
+  }
+
+  /**
+   * Select the publish targets for an event
+   * Routes without a targets list publish to their single topicArn, if any
+   * @param {Object} route - Resolved route
+   * @param {Object} eventData - Structured webhook event data
+   * @returns {Array<Object>} Matching targets with a type and name
+   */
+  static resolveTargets(route, eventData) {
+    const targets = route.targets ?? (route.topicArn ? [{ topicArn: route.topicArn }] : []);
+
+    return targets
+      .filter(target => this.matches(target.when, eventData, route.params))
+      .map(target => ({ ...target, type: target.type ?? "sns", name: this.getTargetName(target) }));
+  }
+}
+
+RoutingUtil.SINK_DESTINATIONS = SINK_DESTINATIONS;
+
+module.exports = RoutingUtil;
@@ -0,0 +1,104 @@
+/**
+ * JSON Schema utilities
+ * Validates parsed webhook payloads against per-route JSON Schemas
+ *
+ * @module SchemaUtil
+ */
+
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+
+// Report at most this many errors so a badly malformed payload cannot blow up responses
+const MAX_ERRORS = 20;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Compiled validators, keyed by the schema object of the loaded route table
+const validators = new WeakMap();
+
+/**
+ * Validation modes
+ */
+const ValidationMode = Object.freeze({
+  REJECT: "reject",
+  FLAG: "flag",
+});
+
+/**
+ * JSON Schema utilities
+ */
+class SchemaUtil {
+  /**
+   * Compile a schema, reusing the compiled validator for the same schema object
+   * @param {Object} schema - JSON Schema
+   * @returns {Function} Ajv validate function
+   * @throws {Error} If the schema itself is invalid
+   */
+  static compile(schema) {
+    let validate = validators.get(schema);
+    if (!validate) {
+      try {
+        validate = ajv.compile(schema);
+      } catch (error) {
+        throw new Error(`Invalid JSON Schema: ${error.message}`);
+      }
+      validators.set(schema, validate);
+    }
+    return validate;
+  }
+
+  /**
+   * Check a route's schema validation settings, compiling the schema up front
+   * @param {Object} settings - Route validation settings ({ schema, mode })
+   * @param {string} owner - Where the settings are declared, for error messages
+   * @throws {Error} If the mode is unknown or the schema does not compile
+   */
+  static validateSettings(settings, owner) {
+    const { schema, mode = ValidationMode.REJECT } = settings ?? {};
+    if (!Object.values(ValidationMode).includes(mode)) {
+      throw new Error(`${owner} has unknown validation mode "${mode}"`);
+    }
+    if (!schema || typeof schema !== "object") {
+      throw new Error(`${owner} validation requires a schema`);
+    }
+    try {
+      this.compile(schema);
+    } catch (error) {
+      throw new Error(`${owner}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a parsed payload against a JSON Schema
+   * @param {Object} schema - JSON Schema
+   * @param {*} payload - Parsed payload
+   * @returns {Object} Result with valid flag and a list of errors ({ path, message })
+   *
+   * @example
+   * SchemaUtil.validate({ type: "object", required: ["update_id"] }, {});
+   * // Returns: { valid: false, errors: [{ path: "/", message: "must have required property 'update_id'" }] }
+   */
+  static validate(schema, payload) {
+    if (Buffer.isBuffer(payload)) {
+      return { valid: false, errors: [{ path: "/", message: "binary payloads cannot be validated" }] };
+    }
+
+    const validate = this.compile(schema);
+    if (validate(payload)) {
+      return { valid: true, errors: [] };
+    }
+
+    return {
+      valid: false,
+      errors: validate.errors.slice(0, MAX_ERRORS).map(error => ({
+        path: error.instancePath || "/",
+        message: error.message,
+      })),
+    };
+  }
+}
+
+SchemaUtil.ValidationMode = ValidationMode;
+
+module.exports = SchemaUtil;
@@ -0,0 +1,159 @@
+/**
+ * Webhook signature utilities
+ * Handles HMAC signature computation and verification over raw request bodies
+ *
+ * @module SignatureUtil
+ */
+
+const crypto = require("crypto");
+const HeadersUtil = require("./headers.util");
+
+const SUPPORTED_ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+const SUPPORTED_ENCODINGS = ['hex', 'base64'];
+
+// Signed content when a scheme names no basestring: the raw body alone
+const DEFAULT_BASESTRING = '{body}';
+
+// Largest accepted distance between a signature timestamp and now, in seconds, when a scheme sets none
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+/**
+ * Build the content a scheme signs from its basestring template
+ * @param {string} basestring - Template with a {body} and optionally a {timestamp} placeholder
+ * @param {Buffer|string} rawBody - Raw request body exactly as received
+ * @param {string} timestamp - Request timestamp, if the scheme has one
+ * @returns {Buffer} Signed content
+ */
+function buildSignedContent(basestring, rawBody, timestamp) {
+  const [before, after] = basestring.replace(/\{timestamp\}/g, () => timestamp ?? '').split('{body}');
+  return Buffer.concat([Buffer.from(before), Buffer.from(rawBody ?? ''), Buffer.from(after)]);
+}
+
+/**
+ * Signature verification utilities
+ */
+class SignatureUtil {
+  /**
+   * Compute an HMAC signature for a raw body
+   * @param {Buffer|string} rawBody - Raw request body exactly as received
+   * @param {string} secret - Shared signing secret
+   * @param {string} [algorithm='sha256'] - HMAC digest algorithm
+   * @param {string} [encoding='hex'] - Digest encoding (hex or base64)
+   * @returns {string} Encoded signature
+   */
+  static computeSignature(rawBody, secret, algorithm = 'sha256', encoding = 'hex') {
+    return crypto.createHmac(algorithm, secret).update(rawBody).digest(encoding);
+  }
+
+  /**
+   * Check a route's signature scheme
+   * @param {Object} scheme - Route signature scheme
+   * @param {string} owner - Where the scheme is declared, for error messages
+   * @throws {Error} If the header is missing or the basestring, timestamp header and maximum age do not fit together
+   */
+  static validateSettings(scheme, owner) {
+    if (typeof scheme?.header !== 'string' || scheme.header === '') {
+      throw new Error(`${owner} signature requires a header`);
+    }
+    const basestring = scheme.basestring ?? DEFAULT_BASESTRING;
+    if (typeof basestring !== 'string' || basestring.split('{body}').length !== 2) {
+      throw new Error(`${owner} signature basestring must contain {body} exactly once`);
+    }
+    if (basestring.includes('{timestamp}') && !scheme.timestampHeader) {
+      throw new Error(`${owner} signature basestring uses {timestamp} but has no timestampHeader`);
+    }
+    if (scheme.maxAgeSeconds !== undefined && !(Number.isInteger(scheme.maxAgeSeconds) && scheme.maxAgeSeconds > 0)) {
+      throw new Error(`${owner} signature maxAgeSeconds must be a positive integer`);
+    }
+  }
+
+  /**
+   * Verify the signature header of a request against a route's scheme
+   * Schemes with a timestamp header also reject requests whose timestamp is further
+   * than maxAgeSeconds from now, so captured requests cannot be replayed later
+   * @param {Object} scheme - Route signature scheme
+   * @param {string} scheme.header - Header carrying the signature
+   * @param {string} [scheme.algorithm='sha256'] - HMAC digest algorithm
+   * @param {string} [scheme.prefix=''] - Prefix before the digest (e.g. "sha256=")
+   * @param {string} [scheme.encoding='hex'] - Digest encoding (hex or base64)
+   * @param {string} [scheme.basestring='{body}'] - Signed content, with {body} and {timestamp} placeholders
+   * @param {string} [scheme.timestampHeader] - Header carrying the request's Unix timestamp in seconds
+   * @param {number} [scheme.maxAgeSeconds=300] - Largest accepted timestamp skew
+   * @param {Buffer|string} rawBody - Raw request body exactly as received
+   * @param {Object} headers - HTTP headers
+   * @param {string} secret - Shared signing secret
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Object} Verification result with valid flag and reason
+   *
+   * @example
+   * SignatureUtil.verify(
+   *   { header: "X-Slack-Signature", prefix: "v0=", timestampHeader: "X-Slack-Request-Timestamp", basestring: "v0:{timestamp}:{body}" },
+   *   rawBody, headers, secret
+   * );
+   * // Returns: { valid: true, reason: null }
+   */
+  static verify(scheme, rawBody, headers, secret, now = Date.now()) {
+    const algorithm = scheme.algorithm || 'sha256';
+    const encoding = scheme.encoding || 'hex';
+    const prefix = scheme.prefix || '';
+
+    if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+      return { valid: false, reason: `Unsupported signature algorithm: ${algorithm}` };
+    }
+    if (!SUPPORTED_ENCODINGS.includes(encoding)) {
+      return { valid: false, reason: `Unsupported signature encoding: ${encoding}` };
+    }
+    if (!secret) {
+      return { valid: false, reason: 'Signature secret is not available' };
+    }
+
+    const received = HeadersUtil.getHeaderValue(headers, scheme.header);
+    if (!received) {
+      return { valid: false, reason: `Missing signature header: ${scheme.header}` };
+    }
+    if (!String(received).startsWith(prefix)) {
+      return { valid: false, reason: 'Signature prefix mismatch' };
+    }
+
+    let timestamp;
+    if (scheme.timestampHeader) {
+      timestamp = HeadersUtil.getHeaderValue(headers, scheme.timestampHeader);
+      if (!timestamp) {
+        return { valid: false, reason: `Missing signature timestamp header: ${scheme.timestampHeader}` };
+      }
+      if (!/^\d+$/.test(String(timestamp))) {
+        return { valid: false, reason: 'Invalid signature timestamp' };
+      }
+      if (Math.abs(now / 1000 - Number(timestamp)) > (scheme.maxAgeSeconds ?? DEFAULT_MAX_AGE_SECONDS)) {
+        return { valid: false, reason: 'Signature timestamp is outside the allowed window' };
+      }
+    }
+
+    const content = buildSignedContent(scheme.basestring ?? DEFAULT_BASESTRING, rawBody, timestamp);
+    const expected = this.computeSignature(content, secret, algorithm, encoding);
+    const receivedDigest = String(received).slice(prefix.length);
+
+    if (!this.safeCompare(receivedDigest, expected)) {
+      return { valid: false, reason: 'Signature mismatch' };
+    }
+
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Constant-time string comparison
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} True if both values are equal
+   */
+  static safeCompare(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    if (bufferA.length !== bufferB.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(bufferA, bufferB);
+  }
+}
+
+module.exports = SignatureUtil;
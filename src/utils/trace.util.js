@@ -0,0 +1,65 @@
+/**
+ * Datadog trace utilities
+ * Reads the active trace context so it can be propagated to subscribers
+ *
+ * @module TraceUtil
+ */
+
+const { getTraceHeaders } = require("datadog-lambda-js");
+const tracer = require("dd-trace");
+
+/**
+ * Datadog trace utilities
+ */
+class TraceUtil {
+  /**
+   * Extract Datadog trace context
+   * @returns {Object} Object containing traceId and spanId
+   */
+  static getContext() {
+    let currentTraceId = null;
+    let currentSpanId = null;
+
+    // Method 1: Try using getTraceHeaders from datadog-lambda-js
+    try {
+      const traceHeaders = getTraceHeaders();
+      console.log("Trace headers from getTraceHeaders:", JSON.stringify(traceHeaders));
+
+      if (traceHeaders) {
+        if (traceHeaders["x-datadog-trace-id"]) {
+          currentTraceId = traceHeaders["x-datadog-trace-id"];
+        }
+        if (traceHeaders["x-datadog-parent-id"]) {
+          currentSpanId = traceHeaders["x-datadog-parent-id"];
+        }
+
+        if (traceHeaders["traceparent"]) {
+          const parts = traceHeaders["traceparent"].split("-");
+          if (parts.length >= 3) {
+            console.log("W3C traceparent found:", traceHeaders["traceparent"]);
+          }
+        }
+      }
+    } catch (e) {
+      console.log("Could not get trace headers from datadog-lambda-js:", e.message);
+    }
+
+    // Method 2: Try using dd-trace tracer.scope().active() as fallback
+    if (!currentTraceId || !currentSpanId) {
+      try {
+        const span = tracer.scope().active();
+        if (span) {
+          currentTraceId = span.context().toTraceId();
+          currentSpanId = span.context().toSpanId();
+          console.log("Got trace context from dd-trace:", { traceId: currentTraceId, spanId: currentSpanId });
+        }
+      } catch (e) {
+        console.log("Could not get trace context from dd-trace:", e.message);
+      }
+    }
+
+    return { traceId: currentTraceId, spanId: currentSpanId };
+  }
+}
+
+module.exports = TraceUtil;
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Test suite for SNS message attributes
+ * Covers the 10-attribute budget and payload-derived filter attributes
+ */
+
+const assert = require('assert');
+const AttributesUtil = require('../src/utils/attributes.util');
+const SNSService = require('../src/services/sns.service');
+const RouteRegistry = require('../src/services/route-registry.service');
+const { extractEventData } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing SNS Attribute Budget...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(name, testFn) {
+  try {
+    testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const eventData = {
+  transport: {
+    method: 'POST',
+    path: '/github',
+    headers: { 'Content-Type': 'application/json', 'X-Correlation-ID': 'corr-1' }
+  },
+  type: 'application/json',
+  payload: { action: 'opened' },
+  validation: { valid: true, errors: [] }
+};
+
+function buildAttributes(filterAttributes = [], extra = {}) {
+  const snsService = new SNSService({ region: 'ap-southeast-3', snsFilterAttributes: filterAttributes });
+  const original = AttributesUtil.applyBudget;
+  // Inject extra candidate attributes ahead of budgeting, as filter attributes would be
+  AttributesUtil.applyBudget = (attributes, guaranteed) => original.call(AttributesUtil, { ...attributes, ...extra }, guaranteed);
+  try {
+    return snsService._buildMessageAttributes(
+      eventData, 'test', { correlationId: 'corr-1', requestId: 'req-1' }, 'trace-1', 'parent-1'
+    );
+  } finally {
+    AttributesUtil.applyBudget = original;
+  }
+}
+
+runTest('AttributesUtil: Attributes within the budget are unchanged', () => {
+  const attributes = { a: AttributesUtil.string('1'), b: AttributesUtil.string('2') };
+  assert.strictEqual(AttributesUtil.applyBudget(attributes), attributes);
+});
+
+runTest('SNSService: A full attribute set never exceeds 10 attributes', () => {
+  const attributes = buildAttributes();
+
+  assert.strictEqual(Object.keys(attributes).length, 10);
+  assert(attributes.validation, 'validation keeps its slot');
+  assert(attributes.headers, 'headers keep their slot');
+  assert.deepStrictEqual(JSON.parse(attributes.meta.StringValue), {
+    contentType: 'application/json',
+    'content-type': 'application/json'
+  });
+});
+
+runTest('SNSService: Configured filter attributes are guaranteed a slot', () => {
+  const extra = {
+    eventType: AttributesUtil.string('pull_request'),
+    repository: AttributesUtil.string('ashari/webhook')
+  };
+  const attributes = buildAttributes(['repository', 'eventType'], extra);
+
+  assert.strictEqual(Object.keys(attributes).length, 10);
+  assert.strictEqual(attributes.eventType.StringValue, 'pull_request');
+  assert.strictEqual(attributes.repository.StringValue, 'ashari/webhook');
+  assert(attributes.environment && attributes.path && attributes['x-correlation-id']);
+
+  const meta = JSON.parse(attributes.meta.StringValue);
+  assert.strictEqual(meta['content-type'], 'application/json');
+  assert.strictEqual(meta['x-datadog-parent-id'], 'parent-1');
+});
+
+runTest('AttributesUtil: Subscribers read folded attributes back', () => {
+  const attributes = buildAttributes(['eventType'], { eventType: AttributesUtil.string('push') });
+  const values = AttributesUtil.readAttributes(attributes);
+
+  assert.strictEqual(values.eventType, 'push');
+  assert.strictEqual(values['content-type'], 'application/json');
+  assert.strictEqual(values.meta, undefined);
+
+  // SNS delivers attributes to Lambda subscribers as { Type, Value }
+  const delivered = Object.fromEntries(
+    Object.entries(attributes).map(([name, attribute]) => [name, { Type: 'String', Value: attribute.StringValue }])
+  );
+  assert.deepStrictEqual(AttributesUtil.readAttributes(delivered), values);
+});
+
+runTest('AttributesUtil: Too many guaranteed attributes still fit the budget', () => {
+  const attributes = {};
+  for (let i = 0; i < 12; i++) {
+    attributes[`filter${i}`] = AttributesUtil.string(i);
+  }
+  const budgeted = AttributesUtil.applyBudget(attributes, Object.keys(attributes));
+
+  assert.strictEqual(Object.keys(budgeted).length, 10);
+  assert.deepStrictEqual(Object.keys(JSON.parse(budgeted.meta.StringValue)), ['filter9', 'filter10', 'filter11']);
+});
+
+const telegramEvent = extractEventData({
+  requestContext: { httpMethod: 'POST', domainName: 'webhook.ashari.cloud', stage: 'v1' },
+  path: '/webhook/telegram/8021',
+  headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': 'secret-1' },
+  body: JSON.stringify({
+    update_id: 100,
+    message: { chat: { id: 42, type: 'private' }, entities: [{ type: 'bot_command' }], text: 'hi' }
+  }),
+  isBase64Encoded: false
+});
+
+const telegramRules = {
+  chatType: { pointer: '/message/chat/type' },
+  chatId: { pointer: '/message/chat/id' },
+  botId: { param: 'botId' },
+  secretToken: { header: 'x-telegram-bot-api-secret-token' },
+  editedAt: { pointer: '/edited_message/date' },
+  chat: { pointer: '/message/chat' }
+};
+
+runTest('AttributesUtil: Filter attributes from payload, headers and path parameters', () => {
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (message) => warnings.push(message);
+  let values;
+  try {
+    values = AttributesUtil.extract(telegramRules, telegramEvent, { botId: '8021' });
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  assert.deepStrictEqual(values, { chatType: 'private', chatId: 42, botId: '8021', secretToken: 'secret-1' });
+  assert.strictEqual(warnings.length, 1, 'only the object value is warned about');
+  assert(warnings[0].includes('chat'));
+});
+
+runTest('AttributesUtil: Attribute data types follow the value', () => {
+  assert.deepStrictEqual(AttributesUtil.fromValue('private'), { DataType: 'String', StringValue: 'private' });
+  assert.deepStrictEqual(AttributesUtil.fromValue(42), { DataType: 'Number', StringValue: '42' });
+  assert.deepStrictEqual(AttributesUtil.fromValue(['a', 1]), { DataType: 'String.Array', StringValue: '["a",1]' });
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const rules = { empty: { pointer: '/text' }, list: { pointer: '/tags' } };
+    const eventData = { transport: { headers: {} }, payload: { text: '', tags: [{ a: 1 }] } };
+    assert.deepStrictEqual(AttributesUtil.extract(rules, eventData), {});
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
+runTest('SNSService: Route attributes are published and keep their slots', () => {
+  const snsService = new SNSService({ region: 'ap-southeast-3', snsFilterAttributes: [] });
+  const eventData = {
+    ...telegramEvent,
+    validation: { valid: true, errors: [] },
+    attributes: { chatType: 'private', chatId: 42, botId: '8021' }
+  };
+  const attributes = snsService._buildMessageAttributes(eventData, 'test', {}, 'trace-1', 'parent-1');
+
+  assert.strictEqual(Object.keys(attributes).length, 10);
+  assert.strictEqual(attributes.chatType.StringValue, 'private');
+  assert.deepStrictEqual(attributes.chatId, { DataType: 'Number', StringValue: '42' });
+  assert.strictEqual(attributes.botId.StringValue, '8021');
+});
+
+runTest('RouteRegistry: Attribute rules are checked on load', () => {
+  const table = (attributes) => JSON.stringify([{ path: '/webhook/telegram/:botId', attributes }]);
+
+  assert.strictEqual(RouteRegistry.parse(table(telegramRules)).length, 1);
+  assert.throws(() => RouteRegistry.parse(table({ path: { pointer: '/a' } })), /invalid or reserved/);
+  assert.throws(() => RouteRegistry.parse(table({ 'AWS.type': { pointer: '/a' } })), /invalid or reserved/);
+  assert.throws(() => RouteRegistry.parse(table({ eventType: { pointer: 'type' } })), /Invalid JSON pointer/);
+  assert.throws(() => RouteRegistry.parse(table({ eventType: { pointer: '/a', header: 'X-A' } })), /exactly one of/);
+  assert.throws(() => RouteRegistry.parse(table(['eventType'])), /attributes must be an object/);
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+if (testsFailed === 0) {
+  console.log(`\n✅ All ${testsPassed} attribute tests passed successfully!\n`);
+  process.exit(0);
+} else {
+  console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+  process.exit(1);
+}
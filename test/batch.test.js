@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Test suite for batch webhook splitting
+ * Covers split rules, per-event results and SNS PublishBatch chunking
+ */
+
+const assert = require('assert');
+const BatchUtil = require('../src/utils/batch.util');
+const RouteRegistry = require('../src/services/route-registry.service');
+const SNSService = require('../src/services/sns.service');
+const SinkRegistry = require('../src/services/sink-registry.service');
+const MongoDBService = require('../src/services/mongodb.service');
+const RoutingUtil = require('../src/utils/routing.util');
+
+console.log('🧪 Testing Batch Webhook Splitting...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const topicArn = 'arn:aws:sns:ap-southeast-3:123456789012:line-events';
+
+function lineEvent(count) {
+  const events = Array.from({ length: count }, (value, index) => ({
+    type: index % 2 === 0 ? 'message' : 'follow',
+    webhookEventId: `evt-${index}`,
+    source: { type: 'user', userId: `U${index}` }
+  }));
+  return {
+    transport: {
+      method: 'POST',
+      path: '/line',
+      headers: { 'Content-Type': 'application/json', 'X-Correlation-ID': 'corr-1' }
+    },
+    type: 'application/json',
+    rawBody: JSON.stringify({ destination: 'Ubot', events }),
+    payload: { destination: 'Ubot', events }
+  };
+}
+
+/**
+ * SNS service whose PublishBatch calls are captured; entries with the given IDs fail
+ */
+function snsServiceWithCapture(failedIds = []) {
+  const requests = [];
+  const snsService = new SNSService({ region: 'ap-southeast-3', snsRetry: { maxAttempts: 1, baseDelayMs: 1, maxDelayMs: 1 } });
+  snsService.snsClient = {
+    send: async (command) => {
+      requests.push(command.input);
+      const entries = command.input.PublishBatchRequestEntries;
+      return {
+        Successful: entries.filter(entry => !failedIds.includes(entry.Id)).map(entry => ({ Id: entry.Id, MessageId: `m-${entry.Id}` })),
+        Failed: entries.filter(entry => failedIds.includes(entry.Id)).map(entry => ({ Id: entry.Id, Code: 'InternalError', Message: 'Boom', SenderFault: false }))
+      };
+    }
+  };
+  return { snsService, requests };
+}
+
+const publishContext = { environment: 'test', params: {}, trackingIds: { correlationId: 'corr-1' } };
+
+(async () => {
+  await runTest('BatchUtil: Split events share the transport and carry their position', () => {
+    const eventData = lineEvent(3);
+    const events = BatchUtil.split({ pointer: '/events', keep: ['destination'] }, eventData);
+
+    assert.strictEqual(events.length, 3);
+    assert.deepStrictEqual(events[1].payload, eventData.payload.events[1]);
+    assert.deepStrictEqual(events[1].batch, { index: 1, count: 3, context: { destination: 'Ubot' } });
+    assert.strictEqual(events[2].transport, eventData.transport);
+    assert.strictEqual(events[0].rawBody, undefined);
+  });
+
+  await runTest('BatchUtil: The first rule with a non-empty array wins', () => {
+    const array = { ...lineEvent(0), payload: [{ id: 1 }, { id: 2 }] };
+    const rules = [{ pointer: '/events' }, { pointer: '' }];
+
+    assert.deepStrictEqual(BatchUtil.split(rules, array).map(event => event.payload.id), [1, 2]);
+    assert.deepStrictEqual(BatchUtil.split(rules, array)[0].batch, { index: 0, count: 2 });
+    assert.strictEqual(BatchUtil.split(rules, lineEvent(0)), null);
+    assert.strictEqual(BatchUtil.split(undefined, lineEvent(2)), null);
+    assert.strictEqual(BatchUtil.split(rules, { ...lineEvent(0), payload: Buffer.from('[1]') }), null);
+  });
+
+  await runTest('RouteRegistry: Split rules are validated', () => {
+    const parse = (split) => RouteRegistry.parse(JSON.stringify([{ path: '/line', split }]));
+
+    assert.doesNotThrow(() => parse({ pointer: '/events', keep: ['destination'] }));
+    assert.doesNotThrow(() => parse([{ pointer: '/events' }, { pointer: '' }]));
+    assert.throws(() => parse({ pointer: 'events' }), /route \/line split: Invalid JSON pointer/);
+    assert.throws(() => parse({}), /route \/line split: Invalid JSON pointer/);
+    assert.throws(() => parse({ pointer: '/events', keep: 'destination' }), /split keep must be an array/);
+  });
+
+  await runTest('BatchUtil: Events are grouped by the targets they matched', () => {
+    const route = {
+      targets: [
+        { name: 'messages', topicArn, when: { pointer: '/type', equals: 'message' } },
+        { name: 'all', topicArn }
+      ]
+    };
+    const events = BatchUtil.split({ pointer: '/events' }, lineEvent(3));
+    const deliveries = events.map(event => ({ eventData: event, targets: RoutingUtil.resolveTargets(route, event) }));
+    const groups = BatchUtil.groupByTarget(deliveries);
+
+    assert.deepStrictEqual(groups.map(group => [group.target.name, group.indexes]), [['messages', [0, 2]], ['all', [0, 1, 2]]]);
+
+    const targetResults = [
+      { success: false, target: 'messages', results: [{ success: true }, { success: false, error: 'Boom' }] },
+      { success: true, target: 'all', results: [{ success: true }, { success: true }, { success: true }] }
+    ];
+    assert.deepStrictEqual(BatchUtil.getEventResults(groups, targetResults, 1), [{ success: true, target: 'all' }]);
+    assert.deepStrictEqual(
+      BatchUtil.getEventResults(groups, targetResults, 2),
+      [{ success: false, error: 'Boom', target: 'messages' }, { success: true, target: 'all' }]
+    );
+  });
+
+  await runTest('SNSBatchService: Events are published ten at a time, in order', async () => {
+    const { snsService, requests } = snsServiceWithCapture();
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, snsService);
+    const items = BatchUtil.split({ pointer: '/events' }, lineEvent(23)).map(eventData => ({ eventData, fifo: null }));
+
+    const result = await sinks.deliverBatch({ type: 'sns', name: 'line-events', topicArn }, items, publishContext);
+
+    assert.deepStrictEqual(requests.map(request => request.PublishBatchRequestEntries.length), [10, 10, 3]);
+    assert.deepStrictEqual(requests[1].PublishBatchRequestEntries.map(entry => entry.Id)[0], '10');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.results.length, 23);
+
+    const entry = requests[2].PublishBatchRequestEntries[2];
+    assert.strictEqual(entry.MessageAttributes['x-correlation-id'].StringValue, 'corr-1');
+    assert.strictEqual(entry.MessageAttributes['x-batch-index'].StringValue, '22');
+    assert.deepStrictEqual(JSON.parse(entry.Message).batch, { index: 22, count: 23 });
+  });
+
+  await runTest('SNSBatchService: Failed entries are reported per event', async () => {
+    const { snsService } = snsServiceWithCapture(['1']);
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, snsService);
+    const items = BatchUtil.split({ pointer: '/events' }, lineEvent(3)).map(eventData => ({ eventData, fifo: null }));
+
+    const result = await sinks.deliverBatch({ type: 'sns', name: 'line-events', topicArn }, items, publishContext);
+
+    assert.strictEqual(result.success, false);
+    assert.deepStrictEqual(result.results.map(entry => entry.success), [true, false, true]);
+    assert.strictEqual(result.error, '1 of 3 events failed: InternalError: Boom');
+  });
+
+  await runTest('SNSBatchService: FIFO batches stop at the first failed request', async () => {
+    const { snsService, requests } = snsServiceWithCapture(['3']);
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, snsService);
+    const items = BatchUtil.split({ pointer: '/events' }, lineEvent(12))
+      .map((eventData, index) => ({ eventData, fifo: { messageGroupId: 'Ubot', deduplicationId: `d-${index}` } }));
+
+    const result = await sinks.deliverBatch({ type: 'sns', name: 'ordered', topicArn: `${topicArn}.fifo` }, items, publishContext);
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].PublishBatchRequestEntries[0].MessageGroupId, 'Ubot');
+    assert.deepStrictEqual(result.results.slice(9).map(entry => entry.error), [undefined, 'Not published', 'Not published']);
+  });
+
+  await runTest('SinkRegistry: Sinks without a batch API receive events one at a time', async () => {
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, {});
+    const published = [];
+    sinks.sinks.http = {
+      publish: async (target, eventData, context) => {
+        if (eventData.batch.index === 1) throw new Error('HTTP forward failed: endpoint answered 500');
+        published.push([eventData.batch.index, eventData.attributes, context.fifo]);
+      }
+    };
+    const items = BatchUtil.split({ pointer: '/events' }, lineEvent(3)).map(eventData => ({ eventData, fifo: null }));
+    const target = { type: 'http', name: 'partner', url: 'https://example.com/hook', attributes: { userId: { pointer: '/source/userId' } } };
+
+    const result = await sinks.deliverBatch(target, items, publishContext);
+
+    assert.deepStrictEqual(published, [[0, { userId: 'U0' }, null], [2, { userId: 'U2' }, null]]);
+    assert.deepStrictEqual(result.results.map(entry => entry.success), [true, false, true]);
+    assert.strictEqual(result.success, false);
+  });
+
+  await runTest('MongoDBService: Batches are stored with insertMany', async () => {
+    const inserted = [];
+    const mongodb = new MongoDBService({});
+    mongodb.client = {
+      db: () => ({
+        collection: () => ({
+          insertMany: async (documents) => {
+            inserted.push(...documents);
+            return { insertedCount: documents.length, insertedIds: { 0: 'a', 1: 'b' } };
+          }
+        })
+      })
+    };
+    const events = BatchUtil.split({ pointer: '/events' }, lineEvent(2));
+
+    const result = await mongodb.storeWebhookEvents('test-webhook', 'line', events);
+
+    assert.strictEqual(result.insertedCount, 2);
+    assert.deepStrictEqual(inserted.map(document => document.batch.index), [0, 1]);
+    assert.notStrictEqual(inserted[0], events[0]);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} batch tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
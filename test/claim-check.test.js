@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Test suite for claim-check offloading of oversize SNS messages
+ * Runs against a local in-process S3 stand-in (path-style, like MinIO)
+ */
+
+const assert = require('assert');
+const http = require('http');
+const ClaimCheckService = require('../src/services/claim-check.service');
+const SNSService = require('../src/services/sns.service');
+const MessageUtil = require('../src/utils/message.util');
+const { extractEventData } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing Claim-Check Offloading...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Minimal path-style S3 stand-in supporting PutObject and GetObject
+ */
+function startObjectStore() {
+  const objects = new Map();
+  const server = http.createServer((req, res) => {
+    const key = decodeURIComponent(req.url.split('?')[0]);
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.method === 'PUT') {
+        objects.set(key, Buffer.concat(chunks));
+        res.writeHead(200, { ETag: '"test"' });
+        res.end();
+      } else if (req.method === 'GET' && objects.has(key)) {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': objects.get(key).length });
+        res.end(objects.get(key));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        res.end('<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+      }
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, objects, port: server.address().port }));
+  });
+}
+
+function largeEvent(bytes) {
+  return extractEventData({
+    requestContext: { httpMethod: 'POST', domainName: 'webhook.ashari.cloud', stage: 'v1' },
+    path: '/line',
+    headers: { 'Content-Type': 'application/json', 'X-Correlation-ID': 'corr-1' },
+    body: JSON.stringify({ events: [{ type: 'message', data: 'x'.repeat(bytes) }] }),
+    isBase64Encoded: false
+  });
+}
+
+(async () => {
+  process.env.AWS_ACCESS_KEY_ID = 'minio';
+  process.env.AWS_SECRET_ACCESS_KEY = 'minio-secret';
+
+  const store = await startObjectStore();
+  const claimCheck = new ClaimCheckService({
+    region: 'ap-southeast-3',
+    bucket: 'webhook-payloads',
+    prefix: 'claim-check/',
+    endpoint: `http://127.0.0.1:${store.port}`,
+    forcePathStyle: true,
+    thresholdBytes: 256 * 1024
+  });
+
+  const published = [];
+  const snsService = new SNSService({ region: 'ap-southeast-3' }, claimCheck);
+  snsService.snsClient = {
+    send: async (command) => {
+      published.push(command.input);
+      return { MessageId: `test-message-${published.length}` };
+    }
+  };
+
+  await runTest('ClaimCheckService: Store and fetch round trip', async () => {
+    const pointer = await claimCheck.store('{"hello":"world"}');
+
+    assert.strictEqual(pointer.bucket, 'webhook-payloads');
+    assert(pointer.key.startsWith('claim-check/'));
+    assert.strictEqual(pointer.size, 17);
+    assert(store.objects.has(`/webhook-payloads/${pointer.key}`), 'object should be written path-style');
+    assert.strictEqual(await claimCheck.fetch(pointer), '{"hello":"world"}');
+  });
+
+  await runTest('ClaimCheckService: Tampered objects fail checksum verification', async () => {
+    const pointer = await claimCheck.store('{"a":1}');
+    store.objects.set(`/webhook-payloads/${pointer.key}`, Buffer.from('{"a":2}'));
+
+    await assert.rejects(() => claimCheck.fetch(pointer), /failed checksum verification/);
+  });
+
+  await runTest('SNSService: Small messages are published inline', async () => {
+    await snsService.publishWebhookEvent('arn:aws:sns:ap-southeast-3:123456789012:test', largeEvent(10), 'test');
+    const message = JSON.parse(published.at(-1).Message);
+
+    assert(!message.claimCheck);
+    assert.strictEqual(message.payload.events[0].data.length, 10);
+  });
+
+  await runTest('SNSService: Oversize messages publish a pointer', async () => {
+    const eventData = largeEvent(300 * 1024);
+    await snsService.publishWebhookEvent('arn:aws:sns:ap-southeast-3:123456789012:test', eventData, 'test');
+    const message = JSON.parse(published.at(-1).Message);
+
+    assert(MessageUtil.isClaimCheck(message));
+    assert.strictEqual(message.payload, undefined);
+    assert.deepStrictEqual(message.transport, { method: 'POST', path: '/line', eventSource: 'rest-api' });
+    assert(Buffer.byteLength(published.at(-1).Message) < 2048);
+    assert(published.at(-1).MessageAttributes.headers, 'attributes are still published');
+
+    const envelope = await MessageUtil.parseMessage(published.at(-1).Message, { claimCheck });
+    assert.strictEqual(envelope.payload.events[0].data.length, 300 * 1024);
+    assert.strictEqual(envelope.transport.headers['X-Correlation-ID'], 'corr-1');
+  });
+
+  await runTest('SNSService: Oversize messages without a bucket fail clearly', async () => {
+    const unconfigured = new SNSService(
+      { region: 'ap-southeast-3' },
+      new ClaimCheckService({ region: 'ap-southeast-3', prefix: 'claim-check/', thresholdBytes: 256 * 1024 })
+    );
+    unconfigured.snsClient = snsService.snsClient;
+
+    await assert.rejects(
+      () => unconfigured.publishWebhookEvent('arn:aws:sns:ap-southeast-3:123456789012:test', largeEvent(300 * 1024), 'test'),
+      /no claim-check bucket is configured/
+    );
+  });
+
+  await runTest('MessageUtil: Inline messages and missing resolvers', async () => {
+    assert.deepStrictEqual(await MessageUtil.parseMessage('{"payload":{"a":1}}'), { payload: { a: 1 } });
+    await assert.rejects(
+      () => MessageUtil.parseMessage({ claimCheck: { bucket: 'b', key: 'k' } }),
+      /a claim-check service is required/
+    );
+  });
+
+  store.server.close();
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} claim-check tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Test suite for compressed SNS envelopes
+ * Covers gzip compression above the threshold, the content-encoding attribute
+ * and inflating messages on the subscriber side
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const SNSService = require('../src/services/sns.service');
+const ClaimCheckService = require('../src/services/claim-check.service');
+const HeadersUtil = require('../src/utils/headers.util');
+const MessageUtil = require('../src/utils/message.util');
+
+console.log('🧪 Testing Compressed SNS Envelopes...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const topicArn = 'arn:aws:sns:ap-southeast-3:123456789012:generatives';
+
+function generativesEvent(text) {
+  return {
+    transport: { method: 'POST', path: '/generatives', headers: { 'Content-Type': 'application/json', 'X-Correlation-ID': 'corr-1' } },
+    type: 'application/json',
+    payload: { id: 'gen-1', choices: [{ index: 0, message: { role: 'assistant', content: text } }] }
+  };
+}
+
+/**
+ * SNS service with compression whose publishes are captured; the claim-check store is kept in memory
+ */
+function snsServiceWithCapture(thresholdBytes = 1024) {
+  const published = [];
+  const stored = [];
+  const claimCheck = new ClaimCheckService({ region: 'ap-southeast-3', bucket: 'webhook-payloads', thresholdBytes: 256 * 1024 });
+  claimCheck.store = async (body) => {
+    stored.push(body);
+    return { bucket: 'webhook-payloads', key: `claim-check/${stored.length}.json`, size: body.length };
+  };
+
+  const snsService = new SNSService({ region: 'ap-southeast-3', compressionThresholdBytes: thresholdBytes }, claimCheck);
+  snsService.snsClient = { send: async (command) => { published.push(command.input); return { MessageId: 'm-1' }; } };
+  return { snsService, published, stored };
+}
+
+(async () => {
+  await runTest('MessageUtil: Envelopes over the threshold are gzip-compressed', () => {
+    const envelope = { payload: { content: 'lorem ipsum '.repeat(500) } };
+    const compressed = MessageUtil.compress(envelope, 1024);
+
+    assert.strictEqual(typeof compressed, 'string');
+    assert(compressed.length < JSON.stringify(envelope).length / 10);
+    assert.deepStrictEqual(JSON.parse(zlib.gunzipSync(Buffer.from(compressed, 'base64'))), envelope);
+  });
+
+  await runTest('MessageUtil: Small, incompressible or unconfigured envelopes are left alone', () => {
+    const small = { payload: { content: 'hi' } };
+    const random = { payload: crypto.randomBytes(4096).toString('base64') };
+    const large = { payload: 'a'.repeat(4096) };
+
+    assert.strictEqual(MessageUtil.compress(small, 1024), small);
+    assert.strictEqual(MessageUtil.compress(random, 1024), random);
+    assert.strictEqual(MessageUtil.compress(large, null), large);
+  });
+
+  await runTest('SNSService: Large messages are published compressed with a content-encoding attribute', async () => {
+    const { snsService, published } = snsServiceWithCapture();
+    await snsService.publishWebhookEvent(topicArn, generativesEvent('The answer is 42. '.repeat(2000)), 'test');
+
+    const { Message, MessageAttributes } = published[0];
+    assert.strictEqual(MessageAttributes['content-encoding'].StringValue, 'gzip');
+    assert(Buffer.byteLength(Message) < 4096);
+
+    const envelope = HeadersUtil.decodeMessage(Message, MessageAttributes);
+    assert.strictEqual(envelope.payload.choices[0].message.content.length, 36000);
+    assert.strictEqual(envelope.transport.headers['X-Correlation-ID'], 'corr-1');
+  });
+
+  await runTest('SNSService: Small messages are published as plain JSON', async () => {
+    const { snsService, published } = snsServiceWithCapture();
+    await snsService.publishWebhookEvent(topicArn, generativesEvent('short'), 'test');
+
+    assert.strictEqual(published[0].MessageAttributes['content-encoding'], undefined);
+    assert.strictEqual(JSON.parse(published[0].Message).payload.id, 'gen-1');
+  });
+
+  await runTest('SNSService: The content-encoding attribute keeps its slot within the attribute budget', async () => {
+    const { snsService, published } = snsServiceWithCapture();
+    const eventData = { ...generativesEvent('x'.repeat(5000)), validation: { valid: true }, attributes: { model: 'm', tenant: 't' } };
+    await snsService.publishWebhookEvent(topicArn, eventData, 'test', {}, 'trace-1', 'parent-1');
+
+    const attributes = published[0].MessageAttributes;
+    assert.strictEqual(Object.keys(attributes).length, 10);
+    assert(attributes.meta, 'lower-priority attributes are folded');
+    assert.strictEqual(attributes['content-encoding'].StringValue, 'gzip');
+  });
+
+  await runTest('SNSService: Compressed messages still over the limit are offloaded uncompressed', async () => {
+    const { snsService, published, stored } = snsServiceWithCapture();
+    const text = crypto.randomBytes(300 * 1024).toString('hex');
+    await snsService.publishWebhookEvent(topicArn, generativesEvent(text), 'test');
+
+    const { Message, MessageAttributes } = published[0];
+    assert.strictEqual(MessageAttributes['content-encoding'], undefined);
+    assert(MessageUtil.isClaimCheck(JSON.parse(Message)));
+    assert.strictEqual(JSON.parse(stored[0]).payload.choices[0].message.content, text);
+  });
+
+  await runTest('HeadersUtil: Messages are decoded from every attribute shape', () => {
+    const envelope = { payload: { a: 1 } };
+    const compressed = zlib.gzipSync(JSON.stringify(envelope)).toString('base64');
+
+    assert.deepStrictEqual(HeadersUtil.decodeMessage(compressed, { 'content-encoding': { DataType: 'String', StringValue: 'gzip' } }), envelope);
+    assert.deepStrictEqual(HeadersUtil.decodeMessage(compressed, { 'content-encoding': { Type: 'String', Value: 'gzip' } }), envelope);
+    assert.deepStrictEqual(HeadersUtil.decodeMessage(compressed, { 'content-encoding': { dataType: 'String', stringValue: 'gzip' } }), envelope);
+    assert.deepStrictEqual(HeadersUtil.decodeMessage('{"payload":{"a":1}}', {}), envelope);
+    assert.deepStrictEqual(HeadersUtil.decodeMessage('{"payload":{"a":1}}'), envelope);
+    assert.strictEqual(HeadersUtil.decodeMessage(envelope), envelope);
+  });
+
+  await runTest('MessageUtil: parseMessage inflates compressed messages', async () => {
+    const { snsService, published } = snsServiceWithCapture();
+    await snsService.publishWebhookEvent(topicArn, generativesEvent('The answer is 42. '.repeat(2000)), 'test');
+
+    // SNS delivers attributes to Lambda subscribers as { Type, Value }
+    const messageAttributes = Object.fromEntries(
+      Object.entries(published[0].MessageAttributes).map(([name, attribute]) => [name, { Type: attribute.DataType, Value: attribute.StringValue }])
+    );
+    const envelope = await MessageUtil.parseMessage(published[0].Message, { messageAttributes });
+    assert.strictEqual(envelope.payload.id, 'gen-1');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} compression tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Test suite for the DLQ processor
+ * Feeds SNS notifications through processDLQMessage with SNS and CloudWatch stubbed
+ * and checks the PublishCommand inputs of the retries
+ */
+
+process.env.AWS_REGION = 'ap-southeast-3';
+
+const assert = require('assert');
+const zlib = require('zlib');
+const { SNSClient } = require('@aws-sdk/client-sns');
+const { CloudWatchClient } = require('@aws-sdk/client-cloudwatch');
+const HeadersUtil = require('../src/utils/headers.util');
+const { processDLQMessage } = require('../dlq-processor');
+
+console.log('🧪 Testing DLQ Processor...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const topicArn = 'arn:aws:sns:ap-southeast-3:123456789012:webhooks';
+const fifoTopicArn = 'arn:aws:sns:ap-southeast-3:123456789012:webhooks.fifo';
+
+let published = [];
+SNSClient.prototype.send = async function (command) {
+  published.push(command.input);
+  return { MessageId: 'm-1' };
+};
+CloudWatchClient.prototype.send = async function () {
+  return {};
+};
+
+const envelope = {
+  environment: 'test',
+  route: { name: 'payments', critical: true },
+  transport: { method: 'POST', path: '/payments', headers: {} },
+  payload: { id: 'pay-1', amount: 125000 }
+};
+
+/**
+ * Build a DLQ record holding an SNS notification that timed out
+ */
+function dlqRecord(message, messageAttributes, { topic = topicArn, attributes = {} } = {}) {
+  return {
+    messageId: 'dlq-1',
+    body: JSON.stringify({ Type: 'Notification', MessageId: 'sns-1', TopicArn: topic, Message: message, MessageAttributes: messageAttributes }),
+    attributes: { ApproximateReceiveCount: '1', SentTimestamp: String(Date.now()), ...attributes },
+    messageAttributes: {
+      TopicArn: { stringValue: topic },
+      FailureReason: { stringValue: 'Connection timeout' }
+    }
+  };
+}
+
+(async () => {
+  await runTest('DLQ: Compressed envelopes are decoded and retried compressed', async () => {
+    published = [];
+    const message = zlib.gzipSync(JSON.stringify(envelope)).toString('base64');
+
+    const result = await processDLQMessage(dlqRecord(message, {
+      'content-encoding': { Type: 'String', Value: 'gzip' },
+      environment: { Type: 'String', Value: 'test' },
+      amount: { Type: 'Number', Value: '125000' }
+    }));
+
+    assert.strictEqual(result.analysis.isCritical, true);
+    assert.strictEqual(published.length, 1);
+    assert.strictEqual(published[0].TopicArn, topicArn);
+    assert.deepStrictEqual(published[0].MessageAttributes, {
+      'content-encoding': { DataType: 'String', StringValue: 'gzip' },
+      environment: { DataType: 'String', StringValue: 'test' },
+      amount: { DataType: 'Number', StringValue: '125000' },
+      RetryAttempt: { DataType: 'Number', StringValue: '1' }
+    });
+
+    const retried = HeadersUtil.decodeMessage(published[0].Message, published[0].MessageAttributes);
+    assert.deepStrictEqual(retried.payload, envelope.payload);
+    assert.strictEqual(retried._retry.originalMessageId, 'dlq-1');
+  });
+
+  await runTest('DLQ: Plain envelopes are retried as JSON', async () => {
+    published = [];
+
+    await processDLQMessage(dlqRecord(JSON.stringify(envelope), { environment: { Type: 'String', Value: 'test' } }));
+
+    const retried = JSON.parse(published[0].Message);
+    assert.strictEqual(retried.route.name, 'payments');
+    assert.strictEqual(retried._retry.attempt, '1');
+    assert(!('content-encoding' in published[0].MessageAttributes));
+    assert(!('MessageGroupId' in published[0]));
+  });
+
+  await runTest('DLQ: Retries to FIFO topics keep their group and get a new deduplication ID', async () => {
+    published = [];
+    const fifo = { MessageGroupId: 'chat-42', MessageDeduplicationId: 'a1b2c3' };
+
+    await processDLQMessage(dlqRecord(JSON.stringify(envelope), {}, { topic: fifoTopicArn, attributes: fifo }));
+    await processDLQMessage(dlqRecord(JSON.stringify(envelope), {}, { topic: fifoTopicArn }));
+
+    assert.strictEqual(published[0].TopicArn, fifoTopicArn);
+    assert.strictEqual(published[0].MessageGroupId, 'chat-42');
+    assert.strictEqual(published[0].MessageDeduplicationId, 'a1b2c3-r1');
+
+    // Without the queue's group, the route name is the group, as on the first publish
+    assert.strictEqual(published[1].MessageGroupId, 'payments');
+    assert.strictEqual(published[1].MessageDeduplicationId, 'dlq-1-r1');
+
+    await assert.rejects(
+      processDLQMessage(dlqRecord('not json', {}, { topic: fifoTopicArn })),
+      /FIFO topics require a message group ID/
+    );
+  });
+
+  await runTest('DLQ: Messages that are not envelopes are retried as received', async () => {
+    published = [];
+
+    const result = await processDLQMessage(dlqRecord('not json', {}));
+    await processDLQMessage(dlqRecord('"a string"', {}));
+
+    assert.strictEqual(result.status, 'processed');
+    assert.deepStrictEqual(published.map(input => input.Message), ['not json', '"a string"']);
+  });
+
+  await runTest('DLQ: Retries keep within the SNS attribute limit', async () => {
+    published = [];
+    const attributes = Object.fromEntries(
+      Array.from({ length: 10 }, (_, index) => [`attribute-${index}`, { Type: 'String', Value: String(index) }])
+    );
+
+    await processDLQMessage(dlqRecord(JSON.stringify(envelope), attributes));
+
+    assert.strictEqual(Object.keys(published[0].MessageAttributes).length, 10);
+    assert(!('RetryAttempt' in published[0].MessageAttributes));
+    assert.strictEqual(JSON.parse(published[0].Message)._retry.attempt, '1');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} DLQ processor tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
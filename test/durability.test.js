@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Test suite for per-route durability policies
+ * Covers policy evaluation, failure status codes and route configuration
+ */
+
+const assert = require('assert');
+const { getConfig, resetConfig } = require('../src/config');
+const DurabilityUtil = require('../src/utils/durability.util');
+const RouteRegistry = require('../src/services/route-registry.service');
+
+console.log('🧪 Testing Durability Policies...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const defaults = { policy: 'best-effort', statusCode: 503, retryAfterSeconds: 30 };
+
+function satisfied(policy, stored, published) {
+  return DurabilityUtil.evaluate(DurabilityUtil.getSettings(policy, defaults), { stored, published }).satisfied;
+}
+
+(async () => {
+  await runTest('DurabilityUtil: Policy matrix', () => {
+    const outcomes = [[true, true], [true, false], [false, true], [false, false]];
+    const expected = {
+      'require-store': [true, true, false, false],
+      'require-publish': [true, false, true, false],
+      'require-any': [true, true, true, false],
+      'best-effort': [true, true, true, true]
+    };
+
+    for (const [policy, results] of Object.entries(expected)) {
+      assert.deepStrictEqual(outcomes.map(([stored, published]) => satisfied(policy, stored, published)), results, policy);
+    }
+  });
+
+  await runTest('DurabilityUtil: 503 failures carry Retry-After', () => {
+    const result = DurabilityUtil.evaluate(
+      DurabilityUtil.getSettings('require-store', defaults),
+      { stored: false, published: true }
+    );
+    assert.deepStrictEqual(result, { satisfied: false, statusCode: 503, headers: { 'Retry-After': '30' } });
+  });
+
+  await runTest('DurabilityUtil: Custom failure status codes', () => {
+    const settings = DurabilityUtil.getSettings({ policy: 'require-any', statusCode: 500 }, defaults);
+    const result = DurabilityUtil.evaluate(settings, { stored: false, published: false });
+
+    assert.strictEqual(result.statusCode, 500);
+    assert.deepStrictEqual(result.headers, {});
+
+    const retryLater = DurabilityUtil.getSettings({ policy: 'require-any', retryAfterSeconds: 120 }, defaults);
+    assert.strictEqual(DurabilityUtil.evaluate(retryLater, { stored: false, published: false }).headers['Retry-After'], '120');
+  });
+
+  await runTest('RouteRegistry: Routes inherit the global durability policy', async () => {
+    resetConfig();
+    process.env.AWS_REGION = 'ap-southeast-3';
+    process.env.MONGODB_URI_PARAMETER = '/test/mongodb-uri';
+    process.env.DURABILITY_POLICY = 'require-any';
+    process.env.WEBHOOK_ROUTES = JSON.stringify([{ path: '/payment', durability: 'require-store' }]);
+
+    const routes = new RouteRegistry(getConfig(), null);
+    assert.deepStrictEqual((await routes.resolve('/payment')).durability, { ...defaults, policy: 'require-store' });
+    assert.strictEqual((await routes.resolve('/telegram')).durability.policy, 'require-any');
+
+    delete process.env.DURABILITY_POLICY;
+    delete process.env.WEBHOOK_ROUTES;
+    resetConfig();
+  });
+
+  await runTest('Config and RouteRegistry: Invalid durability settings are rejected', () => {
+    const table = (durability) => JSON.stringify([{ path: '/payment', durability }]);
+    assert.throws(() => RouteRegistry.parse(table('require-everything')), /unknown durability policy/);
+    assert.throws(() => RouteRegistry.parse(table({ policy: 'require-store', statusCode: 200 })), /must be a 5xx code/);
+
+    resetConfig();
+    process.env.DURABILITY_POLICY = 'sometimes';
+    assert.throws(() => getConfig(), /Invalid DURABILITY_POLICY/);
+    delete process.env.DURABILITY_POLICY;
+    resetConfig();
+  });
+
+  await runTest('Config and RouteRegistry: require-publish needs somewhere to publish', async () => {
+    resetConfig();
+    process.env.AWS_REGION = 'ap-southeast-3';
+    process.env.MONGODB_URI_PARAMETER = '/test/mongodb-uri';
+    delete process.env.SNS_TOPIC_ARN;
+    process.env.DURABILITY_POLICY = 'require-publish';
+    assert.throws(() => getConfig(), /require-publish needs SNS_TOPIC_ARN unless ROUTES_STRICT is set/);
+
+    resetConfig();
+    process.env.ROUTES_STRICT = 'true';
+    process.env.WEBHOOK_ROUTES = JSON.stringify([{ path: '/payment' }]);
+    await assert.rejects(() => new RouteRegistry(getConfig(), null).resolve('/payment'), /route \/payment durability require-publish needs a topicArn or targets/);
+
+    resetConfig();
+    delete process.env.DURABILITY_POLICY;
+    process.env.WEBHOOK_ROUTES = JSON.stringify([
+      { path: '/payment', durability: 'require-publish', targets: [] },
+      { path: '/refund', durability: 'require-publish' }
+    ]);
+    await assert.rejects(() => new RouteRegistry(getConfig(), null).resolve('/payment'), /route \/payment durability require-publish/);
+
+    resetConfig();
+    process.env.WEBHOOK_ROUTES = JSON.stringify([
+      { path: '/payment', durability: 'require-publish', targets: [{ type: 'sqs', queueUrl: 'https://sqs.ap-southeast-3.amazonaws.com/1/payments' }] },
+      { path: '/refund', durability: 'require-publish', topicArn: 'arn:aws:sns:ap-southeast-3:123456789012:refunds' }
+    ]);
+    assert.strictEqual((await new RouteRegistry(getConfig(), null).resolve('/refund')).durability.policy, 'require-publish');
+
+    delete process.env.ROUTES_STRICT;
+    delete process.env.WEBHOOK_ROUTES;
+    resetConfig();
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} durability tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Test suite for field-level encryption
+ * Covers encrypting route paths, decrypting for consumers, key providers and
+ * route table validation
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const EncryptionUtil = require('../src/utils/encryption.util');
+const FieldEncryptionService = require('../src/services/field-encryption.service');
+const { SSMKeyProvider, LocalKeyProvider } = require('../src/services/key-provider.service');
+const RouteRegistry = require('../src/services/route-registry.service');
+const SNSService = require('../src/services/sns.service');
+const MessageUtil = require('../src/utils/message.util');
+
+console.log('🧪 Testing Field-Level Encryption...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const keyParameter = '/webhook/receiver/test/field-key';
+const settings = { keyParameter, paths: ['/customer/email', '/customer/card', '/items/*/address'] };
+
+function paymentEvent() {
+  const payload = {
+    id: 'pay-1',
+    amount: 125000,
+    customer: { name: 'Sari', email: 'sari@example.com', card: { last4: '4242', holder: 'SARI W' } },
+    items: [{ sku: 'A-1', address: 'Jl. Merdeka 1' }, { sku: 'B-2', address: 'Jl. Sudirman 2' }]
+  };
+  return {
+    transport: { method: 'POST', path: '/payments', headers: { 'Content-Type': 'application/json' } },
+    type: 'application/json',
+    rawBody: JSON.stringify(payload),
+    payload
+  };
+}
+
+function encryptionService(keys = { [keyParameter]: crypto.randomBytes(32) }) {
+  return new FieldEncryptionService(new LocalKeyProvider(keys));
+}
+
+(async () => {
+  await runTest('FieldEncryptionService: Configured paths are encrypted and the rest is left alone', async () => {
+    const eventData = paymentEvent();
+    const sealed = await encryptionService().encryptEvent(settings, eventData);
+    const serialized = JSON.stringify(sealed);
+
+    assert(EncryptionUtil.isEncrypted(sealed.payload.customer.email));
+    assert(EncryptionUtil.isEncrypted(sealed.payload.customer.card));
+    assert(sealed.payload.items.every(item => EncryptionUtil.isEncrypted(item.address)));
+    assert.strictEqual(sealed.payload.customer.name, 'Sari');
+    assert.strictEqual(sealed.payload.items[1].sku, 'B-2');
+    assert.strictEqual(sealed.payload.customer.email[EncryptionUtil.MARKER].kid, keyParameter);
+    assert(!serialized.includes('sari@example.com') && !serialized.includes('4242') && !serialized.includes('Merdeka'));
+  });
+
+  await runTest('FieldEncryptionService: The raw body is dropped and the original event is untouched', async () => {
+    const eventData = paymentEvent();
+    const sealed = await encryptionService().encryptEvent(settings, eventData);
+
+    assert.strictEqual(sealed.rawBody, undefined);
+    assert.strictEqual(eventData.payload.customer.email, 'sari@example.com');
+    assert.strictEqual(typeof eventData.rawBody, 'string');
+  });
+
+  await runTest('FieldEncryptionService: Encrypted fields decrypt back to their original values and types', async () => {
+    const encryption = encryptionService();
+    const eventData = paymentEvent();
+    const sealed = await encryption.encryptEvent(settings, eventData);
+
+    const document = await encryption.decrypt({ ...sealed, publish: { status: 'published' } });
+    assert.deepStrictEqual(document.payload, eventData.payload);
+    assert.deepStrictEqual(document.payload.customer.card, { last4: '4242', holder: 'SARI W' });
+    assert.strictEqual(document.publish.status, 'published');
+  });
+
+  await runTest('FieldEncryptionService: Missing fields and binary payloads are skipped', async () => {
+    const encryption = encryptionService();
+    const eventData = { ...paymentEvent(), payload: { id: 'pay-2', items: [] } };
+    const binary = { ...paymentEvent(), payload: Buffer.from('%PDF-1.7') };
+
+    assert.deepStrictEqual((await encryption.encryptEvent(settings, eventData)).payload, { id: 'pay-2', items: [] });
+    assert.strictEqual((await encryption.encryptEvent(settings, binary)).payload, binary.payload);
+  });
+
+  await runTest('FieldEncryptionService: Each request gets its own data key', async () => {
+    const encryption = encryptionService();
+    const first = await encryption.encryptEvent(settings, paymentEvent());
+    const second = await encryption.encryptEvent(settings, paymentEvent());
+
+    const marker = (sealed) => sealed.payload.customer.email[EncryptionUtil.MARKER];
+    assert.notStrictEqual(marker(first).key, marker(second).key);
+    assert.strictEqual(marker(first).key, first.payload.customer.card[EncryptionUtil.MARKER].key);
+    assert.notStrictEqual(marker(first).data, marker(second).data);
+  });
+
+  await runTest('EncryptionUtil: Modified ciphertext and wrong keys are rejected', async () => {
+    const keyEncryptionKey = crypto.randomBytes(32);
+    const encrypted = EncryptionUtil.encryptValue('sari@example.com', EncryptionUtil.createDataKey(keyEncryptionKey, keyParameter));
+    const tampered = { [EncryptionUtil.MARKER]: { ...encrypted[EncryptionUtil.MARKER], data: Buffer.from('mallory@example.com').toString('base64') } };
+
+    assert.strictEqual(EncryptionUtil.decryptValue(encrypted, keyEncryptionKey), 'sari@example.com');
+    assert.throws(() => EncryptionUtil.decryptValue(tampered, keyEncryptionKey));
+    assert.throws(() => EncryptionUtil.decryptValue(encrypted, crypto.randomBytes(32)));
+    assert.throws(() => EncryptionUtil.createDataKey(crypto.randomBytes(16), keyParameter), /must be 32 bytes/);
+  });
+
+  await runTest('FieldEncryptionService: Consumers without the key cannot decrypt', async () => {
+    const sealed = await encryptionService().encryptEvent(settings, paymentEvent());
+
+    await assert.rejects(() => encryptionService({}).decrypt(sealed), /Unknown encryption key \/webhook\/receiver\/test\/field-key/);
+  });
+
+  await runTest('SSMKeyProvider: Keys are read as base64 SecureStrings', async () => {
+    const key = crypto.randomBytes(32);
+    const requested = [];
+    const ssm = {
+      getParameter: async (name) => {
+        requested.push(name);
+        return name.endsWith('short') ? crypto.randomBytes(16).toString('base64') : `${key.toString('base64')}\n`;
+      }
+    };
+    const provider = new SSMKeyProvider(ssm);
+
+    assert(key.equals(await provider.getKey(`${keyParameter}:3`)));
+    assert.deepStrictEqual(requested, [`${keyParameter}:3`]);
+    await assert.rejects(() => provider.getKey('/webhook/receiver/test/short'), /must be 32 bytes/);
+  });
+
+  await runTest('RouteRegistry: Encryption settings are validated', () => {
+    const parse = (encryption) => RouteRegistry.parse(JSON.stringify([{ path: '/payments', encryption }]));
+
+    assert.doesNotThrow(() => parse(settings));
+    assert.throws(() => parse({ paths: ['/customer/email'] }), /route \/payments encryption requires keyParameter/);
+    assert.throws(() => parse({ keyParameter, paths: [] }), /requires a non-empty paths array/);
+    assert.throws(() => parse({ keyParameter, paths: [''] }), /cannot encrypt the whole payload/);
+    assert.throws(() => parse({ keyParameter, paths: ['customer/email'] }), /route \/payments encryption: Invalid JSON pointer/);
+  });
+
+  await runTest('SNSService: Published envelopes carry only ciphertext and decrypt on the subscriber side', async () => {
+    const encryption = encryptionService();
+    const published = [];
+    const snsService = new SNSService({ region: 'ap-southeast-3' });
+    snsService.snsClient = { send: async (command) => { published.push(command.input); return { MessageId: 'm-1' }; } };
+
+    const sealed = await encryption.encryptEvent(settings, paymentEvent());
+    await snsService.publishWebhookEvent('arn:aws:sns:ap-southeast-3:123456789012:payments', sealed, 'test');
+
+    assert(!published[0].Message.includes('sari@example.com'));
+    const envelope = await encryption.decrypt(await MessageUtil.parseMessage(published[0].Message));
+    assert.strictEqual(envelope.payload.customer.email, 'sari@example.com');
+    assert.strictEqual(envelope.payload.items[0].address, 'Jl. Merdeka 1');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} encryption tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Test suite for Lambda event normalization
+ * Covers REST API (v1.0), HTTP API (v2.0), Lambda Function URL and ALB events
+ */
+
+const assert = require('assert');
+const EventUtil = require('../src/utils/event.util');
+const { extractEventData } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing Event Normalization...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(name, testFn) {
+  try {
+    testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const restEvent = {
+  resource: '/{proxy+}',
+  path: '/telegram',
+  httpMethod: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  queryStringParameters: null,
+  requestContext: {
+    httpMethod: 'POST',
+    domainName: 'webhook.ashari.cloud',
+    stage: 'v1',
+    identity: { sourceIp: '43.218.155.39' }
+  },
+  body: '{"update_id":1}',
+  isBase64Encoded: false
+};
+
+const httpApiEvent = {
+  version: '2.0',
+  routeKey: '$default',
+  rawPath: '/telegram',
+  rawQueryString: 'a=1&a=2',
+  cookies: ['session=abc', 'theme=dark'],
+  headers: {
+    'content-type': 'application/json',
+    'x-forwarded-for': '43.218.155.39, 172.70.93.117',
+    'accept': 'application/json,text/plain'
+  },
+  queryStringParameters: { a: '1,2' },
+  requestContext: {
+    apiId: 'abc123',
+    domainName: 'abc123.execute-api.ap-southeast-3.amazonaws.com',
+    http: { method: 'POST', path: '/telegram', protocol: 'HTTP/1.1', sourceIp: '43.218.155.39' },
+    stage: '$default'
+  },
+  body: 'eyJ1cGRhdGVfaWQiOjJ9',
+  isBase64Encoded: true
+};
+
+const functionUrlEvent = {
+  version: '2.0',
+  routeKey: '$default',
+  rawPath: '/line',
+  headers: { 'content-type': 'application/json' },
+  requestContext: {
+    domainName: 'xyz.lambda-url.ap-southeast-3.on.aws',
+    http: { method: 'PUT', path: '/line', sourceIp: '10.0.0.1' },
+    stage: '$default'
+  },
+  body: '{"events":[]}',
+  isBase64Encoded: false
+};
+
+const albEvent = {
+  requestContext: {
+    elb: { targetGroupArn: 'arn:aws:elasticloadbalancing:ap-southeast-3:123456789012:targetgroup/webhook/abc' }
+  },
+  httpMethod: 'POST',
+  path: '/payment',
+  queryStringParameters: { ref: 'order%2042', mode: 'a+b' },
+  headers: {
+    'content-type': 'application/x-www-form-urlencoded',
+    'host': 'webhook.internal.ashari.cloud',
+    'x-forwarded-for': '10.1.2.3, 10.0.0.1'
+  },
+  body: 'txn_id=1&payment_status=Completed',
+  isBase64Encoded: false
+};
+
+const albMultiValueEvent = {
+  requestContext: { elb: { targetGroupArn: 'arn:aws:elasticloadbalancing:ap-southeast-3:123456789012:targetgroup/webhook/abc' } },
+  httpMethod: 'GET',
+  path: '/payment',
+  multiValueQueryStringParameters: { tag: ['a', 'b'] },
+  multiValueHeaders: {
+    'host': ['webhook.internal.ashari.cloud'],
+    'accept': ['application/json', 'text/plain'],
+    'x-forwarded-for': ['10.1.2.3']
+  },
+  body: '',
+  isBase64Encoded: false
+};
+
+runTest('EventUtil: Event source detection', () => {
+  assert.strictEqual(EventUtil.detectSource(restEvent), EventUtil.EventSource.REST_API);
+  assert.strictEqual(EventUtil.detectSource(httpApiEvent), EventUtil.EventSource.HTTP_API);
+  assert.strictEqual(EventUtil.detectSource(functionUrlEvent), EventUtil.EventSource.FUNCTION_URL);
+  assert.strictEqual(EventUtil.detectSource(albEvent), EventUtil.EventSource.ALB);
+});
+
+runTest('EventUtil: REST API events are unchanged', () => {
+  const request = EventUtil.normalize(restEvent);
+
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.path, '/telegram');
+  assert.strictEqual(request.stage, 'v1');
+  assert.strictEqual(request.sourceIp, '43.218.155.39');
+  assert.deepStrictEqual(request.queryStringParameters, {});
+});
+
+runTest('EventUtil: HTTP API cookies and comma-joined headers', () => {
+  const request = EventUtil.normalize(httpApiEvent);
+
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.path, '/telegram');
+  assert.strictEqual(request.stage, '');
+  assert.strictEqual(request.sourceIp, '43.218.155.39');
+  assert.strictEqual(request.headers.cookie, 'session=abc; theme=dark');
+  assert.strictEqual(request.headers.accept, 'application/json,text/plain');
+  assert.deepStrictEqual(request.queryStringParameters, { a: '1,2' });
+  assert(!httpApiEvent.headers.cookie, 'original event headers must not be mutated');
+});
+
+runTest('EventUtil: HTTP API named stage prefix is stripped', () => {
+  const staged = {
+    ...httpApiEvent,
+    rawPath: '/v1/generatives',
+    requestContext: { ...httpApiEvent.requestContext, stage: 'v1' }
+  };
+  const request = EventUtil.normalize(staged);
+
+  assert.strictEqual(request.path, '/generatives');
+  assert.strictEqual(request.stage, 'v1');
+});
+
+runTest('extractEventData: HTTP API v2 event', () => {
+  const eventData = extractEventData(httpApiEvent);
+
+  assert.strictEqual(eventData.transport.method, 'POST');
+  assert.strictEqual(eventData.transport.path, '/telegram');
+  assert.strictEqual(eventData.transport.eventSource, 'http-api');
+  assert.strictEqual(eventData.source, 'https://abc123.execute-api.ap-southeast-3.amazonaws.com/telegram');
+  assert.deepStrictEqual(eventData.payload, { update_id: 2 });
+});
+
+runTest('extractEventData: Function URL event', () => {
+  const eventData = extractEventData(functionUrlEvent);
+
+  assert.strictEqual(eventData.transport.method, 'PUT');
+  assert.strictEqual(eventData.transport.sourceIp, '10.0.0.1');
+  assert.strictEqual(eventData.transport.eventSource, 'function-url');
+  assert.strictEqual(eventData.source, 'https://xyz.lambda-url.ap-southeast-3.on.aws/line');
+  assert.deepStrictEqual(eventData.payload, { events: [] });
+});
+
+runTest('extractEventData: ALB event', () => {
+  const eventData = extractEventData(albEvent);
+
+  assert.strictEqual(eventData.transport.method, 'POST');
+  assert.strictEqual(eventData.transport.path, '/payment');
+  assert.strictEqual(eventData.transport.sourceIp, '10.0.0.1');
+  assert.strictEqual(eventData.transport.eventSource, 'alb');
+  assert.deepStrictEqual(eventData.transport.queryStringParameters, { ref: 'order 42', mode: 'a b' });
+  assert.strictEqual(eventData.source, 'https://webhook.internal.ashari.cloud/payment');
+  assert.deepStrictEqual(eventData.payload, { txn_id: '1', payment_status: 'Completed' });
+});
+
+runTest('EventUtil: ALB multi-value headers and query parameters', () => {
+  const request = EventUtil.normalize(albMultiValueEvent);
+
+  assert.strictEqual(request.method, 'GET');
+  assert.strictEqual(request.headers.accept, 'application/json, text/plain');
+  assert.deepStrictEqual(request.queryStringParameters, { tag: 'a,b' });
+});
+
+runTest('EventUtil: ALB source IP ignores spoofed X-Forwarded-For entries', () => {
+  const spoofed = { ...albEvent, headers: { ...albEvent.headers, 'x-forwarded-for': '127.0.0.1, 149.154.167.220, 203.0.113.7' } };
+  assert.strictEqual(EventUtil.normalize(spoofed).sourceIp, '203.0.113.7');
+
+  const spoofedLines = { ...albMultiValueEvent, multiValueHeaders: { ...albMultiValueEvent.multiValueHeaders, 'x-forwarded-for': ['127.0.0.1', '203.0.113.7'] } };
+  assert.strictEqual(EventUtil.normalize(spoofedLines).sourceIp, '203.0.113.7');
+
+  assert.strictEqual(EventUtil.normalize({ ...albEvent, headers: { host: 'webhook.internal.ashari.cloud' } }).sourceIp, 'unknown');
+});
+
+runTest('EventUtil: ALB responses carry statusDescription', () => {
+  const response = { statusCode: 405, headers: { 'Content-Type': 'application/json' }, body: '{}' };
+
+  const single = EventUtil.formatResponse(albEvent, response);
+  assert.strictEqual(single.statusDescription, '405 Method Not Allowed');
+  assert.strictEqual(single.isBase64Encoded, false);
+  assert.deepStrictEqual(single.headers, { 'Content-Type': 'application/json' });
+
+  const multi = EventUtil.formatResponse(albMultiValueEvent, response);
+  assert.deepStrictEqual(multi.multiValueHeaders, { 'Content-Type': ['application/json'] });
+  assert(!multi.headers);
+
+  assert.strictEqual(EventUtil.formatResponse(restEvent, response), response);
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+if (testsFailed === 0) {
+  console.log(`\n✅ All ${testsPassed} event normalization tests passed successfully!\n`);
+  process.exit(0);
+} else {
+  console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+  process.exit(1);
+}
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Test suite for SNS FIFO topics
+ * Covers message group and deduplication IDs and ordered publishing
+ */
+
+const assert = require('assert');
+const FifoUtil = require('../src/utils/fifo.util');
+const SNSService = require('../src/services/sns.service');
+const RouteRegistry = require('../src/services/route-registry.service');
+
+console.log('🧪 Testing SNS FIFO Topics...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const fifoTopic = 'arn:aws:sns:ap-southeast-3:123456789012:chat-events.fifo';
+const standardTopic = 'arn:aws:sns:ap-southeast-3:123456789012:chat-events';
+
+const telegramEvent = {
+  transport: { method: 'POST', path: '/webhook/telegram/8021', headers: { 'Content-Type': 'application/json' } },
+  type: 'application/json',
+  payload: { update_id: 7, message: { chat: { id: -1001234567890 }, text: 'hi' } }
+};
+
+const lineEvent = {
+  transport: { method: 'POST', path: '/line', headers: { 'Content-Type': 'application/json' } },
+  type: 'application/json',
+  payload: { events: [{ type: 'message', source: { type: 'user', userId: 'U4af4980629' } }] }
+};
+
+function snsServiceWithCapture() {
+  const sent = [];
+  const snsService = new SNSService({ region: 'ap-southeast-3' });
+  snsService.snsClient = { send: async (command) => { sent.push(command.input); return { MessageId: 'm-1' }; } };
+  return { snsService, sent };
+}
+
+(async () => {
+  await runTest('FifoUtil: FIFO topics are recognised by their suffix', () => {
+    assert.strictEqual(FifoUtil.isFifoTopic(fifoTopic), true);
+    assert.strictEqual(FifoUtil.isFifoTopic(standardTopic), false);
+    assert.strictEqual(FifoUtil.isFifoTopic(undefined), false);
+  });
+
+  await runTest('FifoUtil: Message groups come from the first present rule', () => {
+    const telegramRules = [{ pointer: '/message/chat/id' }, { pointer: '/callback_query/message/chat/id' }];
+    assert.strictEqual(FifoUtil.getMessageGroupId(telegramRules, telegramEvent, {}, 'telegram'), '-1001234567890');
+
+    const callback = { ...telegramEvent, payload: { callback_query: { message: { chat: { id: 99 } } } } };
+    assert.strictEqual(FifoUtil.getMessageGroupId(telegramRules, callback, {}, 'telegram'), '99');
+
+    assert.strictEqual(FifoUtil.getMessageGroupId({ pointer: '/events/0/source/userId' }, lineEvent, {}, 'line'), 'U4af4980629');
+    assert.strictEqual(FifoUtil.getMessageGroupId({ param: 'botId' }, telegramEvent, { botId: '8021' }, 'telegram'), '8021');
+  });
+
+  await runTest('FifoUtil: Routes without a group value share one group', () => {
+    assert.strictEqual(FifoUtil.getMessageGroupId(undefined, telegramEvent, {}, 'telegram'), 'telegram');
+    assert.strictEqual(FifoUtil.getMessageGroupId({ pointer: '/message/chat' }, telegramEvent, {}, 'telegram'), 'telegram');
+    assert.strictEqual(FifoUtil.getMessageGroupId({ pointer: '/message' }, { ...telegramEvent, payload: Buffer.from('x') }, {}, 'telegram'), 'telegram');
+  });
+
+  await runTest('FifoUtil: Group IDs SNS would reject are hashed', () => {
+    const groupId = FifoUtil.getMessageGroupId({ pointer: '/name' }, { ...lineEvent, payload: { name: 'Grüße aus Jakarta' } }, {}, 'line');
+    assert.match(groupId, /^[0-9a-f]{64}$/);
+    assert.match(FifoUtil.getMessageGroupId(undefined, lineEvent, {}, '/webhook/very long route name'), /^[0-9a-f]{64}$/);
+  });
+
+  await runTest('FifoUtil: Deduplication IDs prefer the delivery key', () => {
+    const byKey = FifoUtil.getDeduplicationId('/line', 'header:abc', '{"a":1}');
+    assert.strictEqual(byKey, FifoUtil.getDeduplicationId('/line', 'header:abc', '{"a":2}'));
+    assert.match(byKey, /^[0-9a-f]{64}$/);
+
+    const byBody = FifoUtil.getDeduplicationId('/line', null, Buffer.from('{"a":1}'));
+    assert.strictEqual(byBody, FifoUtil.getDeduplicationId('/line', null, '{"a":1}'));
+    assert.notStrictEqual(byBody, FifoUtil.getDeduplicationId('/line', null, '{"a":2}'));
+    assert.notStrictEqual(byBody, FifoUtil.getDeduplicationId('/telegram', null, '{"a":1}'));
+  });
+
+  await runTest('FifoUtil: Events get an ordering only when a target is FIFO', () => {
+    const route = { name: 'telegram', params: {}, messageGroup: { pointer: '/message/chat/id' } };
+    const raw = JSON.stringify(telegramEvent.payload);
+
+    assert.strictEqual(FifoUtil.getOrdering(route, [{ topicArn: standardTopic }], telegramEvent, '/telegram', null, raw), null);
+    assert.deepStrictEqual(
+      FifoUtil.getOrdering(route, [{ topicArn: standardTopic }, { topicArn: fifoTopic }], telegramEvent, '/telegram', null, raw),
+      { messageGroupId: '-1001234567890', deduplicationId: FifoUtil.getDeduplicationId('/telegram', null, raw) }
+    );
+    assert.ok(FifoUtil.getOrdering(route, [{ type: 'sqs', queueUrl: 'https://sqs.ap-southeast-3.amazonaws.com/1/chat.fifo' }], telegramEvent, '/telegram', null, raw));
+  });
+
+  await runTest('SNSService: FIFO publishes carry group and deduplication IDs', async () => {
+    const { snsService, sent } = snsServiceWithCapture();
+    const fifo = { messageGroupId: '-1001234567890', deduplicationId: 'd'.repeat(64) };
+
+    await snsService.publishWebhookEvent(fifoTopic, telegramEvent, 'test', {}, null, null, { fifo });
+    await snsService.publishWebhookEvent(standardTopic, telegramEvent, 'test', {}, null, null, { fifo });
+
+    assert.strictEqual(sent[0].MessageGroupId, '-1001234567890');
+    assert.strictEqual(sent[0].MessageDeduplicationId, 'd'.repeat(64));
+    assert.strictEqual(sent[1].MessageGroupId, undefined);
+    assert.strictEqual(sent[1].MessageDeduplicationId, undefined);
+  });
+
+  await runTest('SNSService: FIFO topics require a message group', async () => {
+    const { snsService, sent } = snsServiceWithCapture();
+    await assert.rejects(
+      snsService.publishWebhookEvent(fifoTopic, telegramEvent, 'test'),
+      /FIFO topics require a message group ID/
+    );
+    assert.strictEqual(sent.length, 0);
+  });
+
+  await runTest('SNSService: FIFO topic ARNs are valid', () => {
+    assert.strictEqual(SNSService.validateTopicArn(fifoTopic), true);
+    assert.strictEqual(SNSService.validateTopicArn('arn:aws:sns:ap-southeast-3:123456789012:chat.events'), false);
+    assert.strictEqual(SNSService.validateTopicArn('arn:aws:sns:ap-southeast-3:123456789012:.fifo'), false);
+  });
+
+  await runTest('RouteRegistry: Message group rules are checked on load', () => {
+    const table = (messageGroup) => JSON.stringify([{ path: '/line', topicArn: fifoTopic, messageGroup }]);
+
+    assert.strictEqual(RouteRegistry.parse(table({ pointer: '/events/0/source/userId' })).length, 1);
+    assert.strictEqual(RouteRegistry.parse(table([{ pointer: '/a' }, { header: 'X-User' }])).length, 1);
+    assert.throws(() => RouteRegistry.parse(table({ pointer: 'events' })), /Invalid JSON pointer/);
+    assert.throws(() => RouteRegistry.parse(table([{ pointer: '/a', param: 'b' }])), /exactly one of pointer, header or param/);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} FIFO tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+/**
+ * Test suite for the webhook handler end to end
+ * Drives handler() with in-memory MongoDB, SSM and SNS stand-ins and checks the
+ * status codes returned and the PublishCommand inputs sent
+ */
+
+process.env.AWS_REGION = 'ap-southeast-3';
+process.env.MONGODB_URI_PARAMETER = '/test/mongodb-uri';
+process.env.SNS_TOPIC_ARN = 'arn:aws:sns:ap-southeast-3:123456789012:webhooks';
+process.env.WEBHOOK_ROUTES = '[]';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { MongoBulkWriteError } = require('mongodb');
+const HeadersUtil = require('../src/utils/headers.util');
+const SignatureUtil = require('../src/utils/signature.util');
+const EncryptionUtil = require('../src/utils/encryption.util');
+const { handler, initializeServices } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing Webhook Handler...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const topicArn = 'arn:aws:sns:ap-southeast-3:123456789012:orders';
+const encryptionKey = crypto.randomBytes(32);
+
+const parameters = {
+  '/test/mongodb-uri': 'mongodb://unused',
+  '/test/signing-secret': 'shhh',
+  '/test/field-key': encryptionKey.toString('base64')
+};
+
+/**
+ * Read a dotted path such as "publish.attempts" from a document
+ */
+function pathValue(document, path) {
+  return path.split('.').reduce((value, key) => value?.[key], document);
+}
+
+/**
+ * Minimal in-memory collection with the operations the handler's services use
+ */
+function createCollection() {
+  const documents = new Map();
+  let nextId = 0;
+
+  const matches = (document, filter) => Object.entries(filter).every(([path, expected]) => {
+    const value = pathValue(document, path);
+    if (expected && typeof expected === 'object' && '$lt' in expected) return value < expected.$lt;
+    return String(value) === String(expected);
+  });
+
+  return {
+    documents,
+    async createIndex() {},
+    async insertOne(document) {
+      const _id = document._id ?? `doc-${++nextId}`;
+      if (documents.has(String(_id))) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      documents.set(String(_id), { ...document, _id });
+      return { insertedId: _id };
+    },
+    async insertMany(batch) {
+      const insertedIds = {};
+      for (const [index, document] of batch.entries()) {
+        insertedIds[index] = (await this.insertOne(document)).insertedId;
+      }
+      return { insertedCount: batch.length, insertedIds };
+    },
+    async findOne(filter) {
+      return [...documents.values()].find(document => matches(document, filter)) ?? null;
+    },
+    async updateOne(filter, update) {
+      const document = await this.findOne(filter);
+      if (!document) return { modifiedCount: 0 };
+      for (const [path, value] of Object.entries(update.$set)) {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((node, key) => node[key], document);
+        parent[keys[keys.length - 1]] = value;
+      }
+      return { modifiedCount: 1 };
+    },
+    async deleteOne(filter) {
+      const document = await this.findOne(filter);
+      if (document) documents.delete(String(document._id));
+      return { deletedCount: document ? 1 : 0 };
+    }
+  };
+}
+
+/**
+ * Reset the stand-ins and install a route table
+ * @returns {Object} Collections by name and the SNS commands sent
+ */
+async function setup(routes, { snsFails = false, strict = false } = {}) {
+  const services = await initializeServices();
+  const collections = {};
+  const published = [];
+
+  services.config.routing.inline = JSON.stringify(routes);
+  services.config.routing.strict = strict;
+  services.config.aws.snsRetry = { ...services.config.aws.snsRetry, maxAttempts: 1 };
+  services.sns.retryPolicy = { ...services.sns.retryPolicy, maxAttempts: 1 };
+  services.ssm.getParameter = async (name) => parameters[name];
+  services.mongodb.connect = async () => {};
+  services.mongodb.client = {
+    db: () => ({ collection: (name) => (collections[name] ??= createCollection()) })
+  };
+  services.sns.snsClient = {
+    send: async (command) => {
+      published.push({ command: command.constructor.name, input: command.input });
+      if (snsFails) throw Object.assign(new Error('Service unavailable'), { name: 'InternalErrorException', $retryable: {} });
+      return { MessageId: `m-${published.length}` };
+    }
+  };
+
+  return { collections, published };
+}
+
+function invoke({ method = 'POST', path = '/orders', query = null, headers = {}, body = '{}' } = {}) {
+  return handler(
+    { httpMethod: method, path, queryStringParameters: query, headers: { 'Content-Type': 'application/json', ...headers }, body, requestContext: {} },
+    { awsRequestId: 'req-1', getRemainingTimeInMillis: () => 10000 }
+  );
+}
+
+const order = { id: 'ord-1', status: 'paid', customer: { email: 'sari@example.com', card: '4242424242424242' } };
+
+(async () => {
+  await runTest('Handler: Stores the event and publishes it to the route topic', async () => {
+    const { collections, published } = await setup([{ path: '/orders', topicArn }]);
+
+    const response = await invoke({ headers: { 'X-Correlation-ID': 'corr-1' }, body: JSON.stringify(order) });
+
+    assert.strictEqual(response.statusCode, 200);
+    const body = JSON.parse(response.body);
+    assert.strictEqual(body.operations_status.mongodb, 'success');
+    assert.deepStrictEqual(body.operations_status.targets, { orders: 'success' });
+
+    assert.strictEqual(published.length, 1);
+    assert.strictEqual(published[0].command, 'PublishCommand');
+    assert.strictEqual(published[0].input.TopicArn, topicArn);
+    assert.strictEqual(published[0].input.MessageAttributes['x-correlation-id'].StringValue, 'corr-1');
+    assert.deepStrictEqual(JSON.parse(published[0].input.Message).payload, order);
+
+    const [stored] = collections.orders.documents.values();
+    assert.strictEqual(String(stored._id), body.document_id);
+    assert.strictEqual(stored.publish.status, 'published');
+
+    // The raw body only serves signature checks; the payload is all that is kept
+    assert(!('rawBody' in stored));
+    assert.deepStrictEqual(stored.payload, order);
+  });
+
+  await runTest('Handler: Unknown paths, methods, signatures and schemas are rejected in that order', async () => {
+    const signature = { header: 'X-Signature', secretParameter: '/test/signing-secret' };
+    const validation = { schema: { type: 'object', required: ['id'] } };
+    const { collections, published } = await setup([{ path: '/orders', topicArn, methods: ['POST'], signature, validation }], { strict: true });
+    const sign = (body) => SignatureUtil.computeSignature(body, 'shhh');
+
+    assert.strictEqual((await invoke({ path: '/unknown' })).statusCode, 404);
+    assert.strictEqual((await invoke({ method: 'PUT', headers: { 'X-Signature': 'bad' } })).statusCode, 405);
+    assert.strictEqual((await invoke({ headers: { 'X-Signature': 'bad' }, body: '{}' })).statusCode, 401);
+
+    const invalid = await invoke({ headers: { 'X-Signature': sign('{}') }, body: '{}' });
+    assert.strictEqual(invalid.statusCode, 422);
+    assert.strictEqual(JSON.parse(invalid.body).errors[0].message, "must have required property 'id'");
+
+    assert.strictEqual(published.length, 0);
+    assert.strictEqual(collections.orders, undefined);
+
+    const body = JSON.stringify(order);
+    assert.strictEqual((await invoke({ headers: { 'X-Signature': sign(body) }, body })).statusCode, 200);
+    assert.strictEqual(published.length, 1);
+  });
+
+  await runTest('Handler: Signed handshakes are verified and others only answered on their methods', async () => {
+    const signature = {
+      header: 'X-Slack-Signature',
+      prefix: 'v0=',
+      timestampHeader: 'X-Slack-Request-Timestamp',
+      basestring: 'v0:{timestamp}:{body}',
+      secretParameter: '/test/signing-secret'
+    };
+    const { collections, published } = await setup([
+      { path: '/slack', topicArn, methods: ['POST'], handshake: 'slack', signature },
+      { path: '/graph', topicArn, methods: ['POST'], handshake: 'graph' }
+    ]);
+    const body = JSON.stringify({ type: 'url_verification', challenge: 'slack-challenge' });
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const slackHeaders = (signed, at = timestamp) => ({
+      'X-Slack-Request-Timestamp': at,
+      'X-Slack-Signature': `v0=${SignatureUtil.computeSignature(`v0:${at}:${signed}`, 'shhh')}`
+    });
+
+    assert.strictEqual((await invoke({ path: '/slack', body })).statusCode, 401);
+    assert.strictEqual((await invoke({ path: '/slack', headers: { ...slackHeaders(body), 'X-Slack-Signature': 'v0=forged' }, body })).statusCode, 401);
+    assert.strictEqual((await invoke({ path: '/slack', headers: slackHeaders(body, String(Number(timestamp) - 600)), body })).statusCode, 401);
+
+    const answered = await invoke({ path: '/slack', headers: slackHeaders(body), body });
+    assert.strictEqual(answered.statusCode, 200);
+    assert.strictEqual(answered.body, 'slack-challenge');
+
+    const graph = { path: '/graph', query: { validationToken: 'abc' }, body: '' };
+    assert.strictEqual((await invoke({ ...graph, method: 'PUT' })).statusCode, 405);
+    assert.strictEqual((await invoke({ ...graph, method: 'POST' })).body, 'abc');
+
+    assert.strictEqual(published.length, 0);
+    assert.deepStrictEqual(collections, {});
+  });
+
+  await runTest('Handler: Unmet durability policies ask the sender to retry', async () => {
+    const { collections, published } = await setup(
+      [{ path: '/orders', topicArn, durability: { policy: 'require-publish', statusCode: 503, retryAfterSeconds: 30 } }],
+      { snsFails: true }
+    );
+
+    const response = await invoke({ body: JSON.stringify(order) });
+
+    assert.strictEqual(response.statusCode, 503);
+    assert.strictEqual(response.headers['Retry-After'], '30');
+    assert.match(JSON.parse(response.body).error, /Durability policy require-publish was not met/);
+    assert.strictEqual(published.length, 1);
+
+    // The event is still stored, and left to the outbox sweeper
+    const [stored] = collections.orders.documents.values();
+    assert.strictEqual(stored.publish.status, 'failed');
+  });
+
+  await runTest('Handler: Events that match no target satisfy require-publish', async () => {
+    const { collections, published } = await setup([{
+      path: '/orders',
+      durability: 'require-publish',
+      targets: [{ name: 'refunds', topicArn, when: { pointer: '/status', equals: 'refunded' } }]
+    }]);
+
+    const response = await invoke({ body: JSON.stringify(order) });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(response.body).operations_status.targets, {});
+    assert.strictEqual(published.length, 0);
+    const [stored] = collections.orders.documents.values();
+    assert.strictEqual(stored.publish.status, 'skipped');
+  });
+
+  await runTest('Handler: Best-effort routes answer 200 when publishing fails', async () => {
+    await setup([{ path: '/orders', topicArn, durability: 'best-effort' }], { snsFails: true });
+
+    const response = await invoke({ body: JSON.stringify(order) });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(response.body).operations_status.targets, { orders: 'failed' });
+  });
+
+  await runTest('Handler: Events of a partly stored batch are tracked one by one', async () => {
+    const { collections, published } = await setup([{ path: '/orders', topicArn, split: { pointer: '/events' }, durability: 'best-effort' }]);
+    const orders = collections.orders = createCollection();
+    orders.insertMany = async function (batch, options) {
+      assert.deepStrictEqual(options, { ordered: false });
+      const insertedIds = {};
+      for (const index of [0, 2]) insertedIds[index] = (await this.insertOne(batch[index])).insertedId;
+      throw new MongoBulkWriteError(
+        { message: 'Document failed validation', code: 121, writeErrors: [{ index: 1, errmsg: 'Document failed validation' }] },
+        { insertedCount: 2, insertedIds }
+      );
+    };
+
+    const response = await invoke({ body: JSON.stringify({ events: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] }) });
+
+    assert.strictEqual(response.statusCode, 200);
+    const body = JSON.parse(response.body);
+    assert.strictEqual(body.operations_status.mongodb, 'failed');
+    assert.deepStrictEqual(body.document_ids, ['doc-1', null, 'doc-2']);
+    assert.strictEqual(published.length, 1);
+
+    // The stored events have their publish attempt recorded
+    assert.deepStrictEqual([...orders.documents.values()].map(document => [document.payload.id, document.publish.status]), [['a', 'published'], ['c', 'published']]);
+  });
+
+  await runTest('Handler: Duplicate deliveries replay the first response', async () => {
+    const { collections, published } = await setup([{ path: '/orders', topicArn, idempotency: { header: 'X-Delivery-ID' } }]);
+    const request = { headers: { 'X-Delivery-ID': 'dlv-1' }, body: JSON.stringify(order) };
+
+    const first = await invoke(request);
+    const replay = await invoke(request);
+
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(replay.statusCode, 200);
+    assert.strictEqual(replay.headers['Idempotent-Replay'], 'true');
+    assert.strictEqual(replay.body, first.body);
+    assert.strictEqual(published.length, 1);
+    assert.strictEqual(collections.orders.documents.size, 1);
+  });
+
+  await runTest('Handler: Deliveries still being processed get 409', async () => {
+    const { collections, published } = await setup([{ path: '/orders', topicArn, idempotency: { header: 'X-Delivery-ID' } }]);
+    const now = new Date();
+    collections._idempotency = createCollection();
+    await collections._idempotency.insertOne({ _id: '/orders|header:dlv-2', status: 'processing', lockedAt: now, createdAt: now, expiresAt: now });
+
+    const response = await invoke({ headers: { 'X-Delivery-ID': 'dlv-2' }, body: JSON.stringify(order) });
+
+    assert.strictEqual(response.statusCode, 409);
+    assert.strictEqual(response.headers['Retry-After'], '5');
+    assert.strictEqual(published.length, 0);
+  });
+
+  await runTest('Handler: Published messages are encrypted and redacted by the route', async () => {
+    const { collections, published } = await setup([{
+      path: '/orders',
+      topicArn,
+      encryption: { keyParameter: '/test/field-key', paths: ['/customer/card'] },
+      redaction: { publish: { detectors: ['email'] } }
+    }]);
+
+    assert.strictEqual((await invoke({ body: JSON.stringify(order) })).statusCode, 200);
+
+    const message = published[0].input.Message;
+    assert(!message.includes('sari@example.com') && !message.includes('4242424242424242'));
+    const { customer } = JSON.parse(message).payload;
+    assert.strictEqual(customer.email, '[REDACTED:email]');
+    assert.strictEqual(EncryptionUtil.decryptValue(customer.card, encryptionKey), '4242424242424242');
+
+    // Storage has no redaction policy, so the email is kept; the card stays encrypted
+    const [stored] = collections.orders.documents.values();
+    assert.strictEqual(stored.payload.customer.email, 'sari@example.com');
+    assert(EncryptionUtil.isEncrypted(stored.payload.customer.card));
+    assert.deepStrictEqual(HeadersUtil.parseHeadersAttribute(published[0].input.MessageAttributes.headers)['Content-Type'], 'application/json');
+  });
+
+  await runTest('Handler: Route and target attributes follow the redaction policies', async () => {
+    const { collections, published } = await setup([{
+      path: '/orders',
+      attributes: { email: { pointer: '/customer/email' }, status: { pointer: '/status' } },
+      targets: [{ name: 'orders', topicArn, attributes: { card: { pointer: '/customer/card' } } }],
+      redaction: { store: { paths: ['/customer/card'] }, publish: { detectors: ['email', 'card'] } }
+    }]);
+
+    assert.strictEqual((await invoke({ body: JSON.stringify(order) })).statusCode, 200);
+
+    const attributes = published[0].input.MessageAttributes;
+    assert(!JSON.stringify(published[0].input).includes('sari@example.com'));
+    assert.strictEqual(attributes.email.StringValue, '[REDACTED:email]');
+    assert.strictEqual(attributes.card.StringValue, '[REDACTED:card]');
+    assert.strictEqual(attributes.status.StringValue, 'paid');
+
+    // The stored document gets the store policy instead
+    const [stored] = collections.orders.documents.values();
+    assert.deepStrictEqual(stored.attributes, { email: 'sari@example.com', status: 'paid' });
+    assert.strictEqual(stored.payload.customer.card, '[REDACTED]');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} webhook handler tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
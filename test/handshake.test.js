@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Test suite for provider verification handshakes
+ * Covers Meta/WhatsApp, Microsoft Graph and Slack challenge echoes
+ */
+
+const assert = require('assert');
+const HandshakeUtil = require('../src/utils/handshake.util');
+const RouteRegistry = require('../src/services/route-registry.service');
+const { extractEventData, answerHandshake } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing Provider Handshakes...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function apiGatewayEvent(method, query, body = null, headers = {}) {
+  return {
+    requestContext: { httpMethod: method, domainName: 'webhook.ashari.cloud', stage: 'v1' },
+    path: '/whatsapp',
+    headers,
+    queryStringParameters: query,
+    body,
+    isBase64Encoded: false
+  };
+}
+
+const context = { awsRequestId: 'test-request-id' };
+const metaSettings = { provider: 'meta', verifyTokenParameter: '/webhook/meta-verify-token' };
+const fakeSSM = { getParameter: async () => 'expected-token' };
+
+(async () => {
+  await runTest('HandshakeUtil: Meta subscription challenge', () => {
+    const eventData = extractEventData(apiGatewayEvent('GET', {
+      'hub.mode': 'subscribe',
+      'hub.challenge': '1158201444',
+      'hub.verify_token': 'expected-token'
+    }));
+
+    const handshake = HandshakeUtil.detect(metaSettings, eventData);
+    assert.deepStrictEqual(handshake, { provider: 'meta', challenge: '1158201444', token: 'expected-token' });
+
+    const response = HandshakeUtil.respond(handshake);
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers['Content-Type'], 'text/plain');
+    assert.strictEqual(response.body, '1158201444');
+  });
+
+  await runTest('HandshakeUtil: Microsoft Graph validation token', () => {
+    const eventData = extractEventData(apiGatewayEvent('POST', { validationToken: 'Validation: Token 123' }));
+    const handshake = HandshakeUtil.detect('graph', eventData);
+
+    assert.strictEqual(HandshakeUtil.respond(handshake).body, 'Validation: Token 123');
+  });
+
+  await runTest('HandshakeUtil: Slack url_verification', () => {
+    const body = JSON.stringify({ token: 't', challenge: '3eZbrw1aBm2rZgRNFdxV2595E9CY3gmdALWMmHkvFXO7tYXAYM8P', type: 'url_verification' });
+    const eventData = extractEventData(apiGatewayEvent('POST', null, body, { 'Content-Type': 'application/json' }));
+    const handshake = HandshakeUtil.detect('slack', eventData);
+
+    assert.strictEqual(handshake.challenge, '3eZbrw1aBm2rZgRNFdxV2595E9CY3gmdALWMmHkvFXO7tYXAYM8P');
+  });
+
+  await runTest('HandshakeUtil: Regular deliveries are not handshakes', () => {
+    const slackEvent = extractEventData(apiGatewayEvent('POST', null, '{"type":"event_callback"}'));
+    assert.strictEqual(HandshakeUtil.detect('slack', slackEvent), null);
+
+    const metaPost = extractEventData(apiGatewayEvent('POST', { 'hub.mode': 'subscribe', 'hub.challenge': '1' }));
+    assert.strictEqual(HandshakeUtil.detect(metaSettings, metaPost), null);
+
+    assert.strictEqual(HandshakeUtil.detect('graph', extractEventData(apiGatewayEvent('POST', null))), null);
+  });
+
+  await runTest('HandshakeUtil: Handshakes are only recognized on the provider\'s methods', () => {
+    const validation = { validationToken: 'abc' };
+    assert.strictEqual(HandshakeUtil.detect('graph', extractEventData(apiGatewayEvent('GET', validation))).challenge, 'abc');
+    assert.strictEqual(HandshakeUtil.detect('graph', extractEventData(apiGatewayEvent('PUT', validation))), null);
+    assert.strictEqual(HandshakeUtil.detect('graph', extractEventData(apiGatewayEvent('DELETE', validation))), null);
+
+    const body = JSON.stringify({ type: 'url_verification', challenge: 'c' });
+    assert.strictEqual(HandshakeUtil.detect('slack', extractEventData(apiGatewayEvent('PUT', null, body))), null);
+
+    assert.strictEqual(HandshakeUtil.isSigned('slack'), true);
+    assert.strictEqual(HandshakeUtil.isSigned('meta'), false);
+    assert.strictEqual(HandshakeUtil.isSigned('graph'), false);
+  });
+
+  await runTest('Handler: Meta verify token is checked against SSM', async () => {
+    const query = { 'hub.mode': 'subscribe', 'hub.challenge': '42', 'hub.verify_token': 'expected-token' };
+    const eventData = extractEventData(apiGatewayEvent('GET', query));
+
+    const accepted = await answerHandshake(HandshakeUtil.detect(metaSettings, eventData), metaSettings, fakeSSM, eventData, context);
+    assert.strictEqual(accepted.statusCode, 200);
+    assert.strictEqual(accepted.body, '42');
+
+    const forged = extractEventData(apiGatewayEvent('GET', { ...query, 'hub.verify_token': 'guess' }));
+    const rejected = await answerHandshake(HandshakeUtil.detect(metaSettings, forged), metaSettings, fakeSSM, forged, context);
+    assert.strictEqual(rejected.statusCode, 403);
+  });
+
+  await runTest('RouteRegistry: Handshake settings are checked on load', () => {
+    const table = (handshake) => JSON.stringify([{ path: '/whatsapp', handshake }]);
+
+    assert.strictEqual(RouteRegistry.parse(table('slack')).length, 1);
+    assert.strictEqual(RouteRegistry.parse(table(metaSettings)).length, 1);
+    assert.throws(() => RouteRegistry.parse(table('discord')), /unknown handshake provider/);
+    assert.throws(() => RouteRegistry.parse(table('meta')), /requires verifyTokenParameter/);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} handshake tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Test suite for header allowlists and denylists
+ * Covers glob matching, the default denylist, per-route filters for storage
+ * and publishing, and the headers SNS subscribers receive
+ */
+
+const assert = require('assert');
+const HeadersUtil = require('../src/utils/headers.util');
+const RouteRegistry = require('../src/services/route-registry.service');
+const SNSService = require('../src/services/sns.service');
+const SinkRegistry = require('../src/services/sink-registry.service');
+const { getConfig, resetConfig } = require('../src/config');
+const DestinationUtil = require('../src/utils/destination.util');
+const { republish } = require('../src/handlers/outbox-sweeper.handler');
+
+console.log('🧪 Testing Header Filters...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// Headers of a LINE webhook arriving through Cloudflare and API Gateway
+const lineHeaders = {
+  'Content-Type': 'application/json',
+  'User-Agent': 'LineBotWebhook/2.0',
+  'X-Line-Signature': 'c2lnbmF0dXJl',
+  'X-Correlation-ID': 'corr-1',
+  'X-Amzn-Trace-Id': 'Root=1-abc',
+  Authorization: 'Bearer secret-token',
+  Cookie: 'session=abc',
+  'X-Api-Key': 'key-123',
+  'CF-Ray': '8d1e2f3a4b5c6d7e-SIN',
+  'CF-Connecting-IP': '203.0.113.7',
+  'CDN-Loop': 'cloudflare',
+  headers: 'nested'
+};
+
+function lineEvent() {
+  return {
+    transport: { method: 'POST', path: '/line', headers: { ...lineHeaders } },
+    type: 'application/json',
+    rawBody: '{"events":[]}',
+    payload: { destination: 'Ubot', events: [] }
+  };
+}
+
+const defaults = {
+  headers: {
+    store: { allow: null, deny: HeadersUtil.DEFAULT_DENYLIST },
+    publish: { allow: null, deny: HeadersUtil.DEFAULT_DENYLIST }
+  }
+};
+
+(async () => {
+  await runTest('HeadersUtil: Glob patterns match header names case-insensitively', () => {
+    assert(HeadersUtil.matchesGlob('CF-Ray', 'cf-*'));
+    assert(HeadersUtil.matchesGlob('X-Line-Signature', 'x-line-*'));
+    assert(HeadersUtil.matchesGlob('X-Amzn-Trace-Id', 'x-amzn-trace-i?'));
+    assert(!HeadersUtil.matchesGlob('X-Line-Signature', 'x-line'));
+    assert(!HeadersUtil.matchesGlob('x-apixkey', 'x-api.key'));
+  });
+
+  await runTest('HeadersUtil: Denylists win over allowlists', () => {
+    const filtered = HeadersUtil.filterHeaders(lineHeaders, { allow: ['x-line-*', 'x-correlation-id', 'cookie'], deny: ['cookie'] });
+    assert.deepStrictEqual(filtered, { 'X-Line-Signature': 'c2lnbmF0dXJl', 'X-Correlation-ID': 'corr-1' });
+  });
+
+  await runTest('HeadersUtil: Without a filter every header but "headers" is kept', () => {
+    assert.deepStrictEqual(Object.keys(HeadersUtil.filterHeaders(lineHeaders)), Object.keys(lineHeaders).slice(0, -1));
+    assert.deepStrictEqual(HeadersUtil.filterHeaders(lineHeaders, { allow: [] }), {});
+    assert.deepStrictEqual(HeadersUtil.filterHeaders(null, { deny: ['cookie'] }), {});
+  });
+
+  await runTest('HeadersUtil: The default denylist drops credentials and Cloudflare headers', () => {
+    const filtered = HeadersUtil.filterHeaders(lineHeaders, { deny: HeadersUtil.DEFAULT_DENYLIST });
+    assert.deepStrictEqual(Object.keys(filtered), ['Content-Type', 'User-Agent', 'X-Line-Signature', 'X-Correlation-ID', 'X-Amzn-Trace-Id']);
+  });
+
+  await runTest('Config: Header filters can be set for storage and publishing separately', () => {
+    resetConfig();
+    process.env.AWS_REGION = 'ap-southeast-3';
+    process.env.MONGODB_URI_PARAMETER = '/test/mongodb-uri';
+    process.env.STORE_HEADER_DENYLIST = '';
+    process.env.PUBLISH_HEADER_ALLOWLIST = 'x-correlation-id, x-line-*';
+
+    const config = getConfig();
+    assert.deepStrictEqual(config.headers.store, { allow: null, deny: [] });
+    assert.deepStrictEqual(config.headers.publish, { allow: ['x-correlation-id', 'x-line-*'], deny: HeadersUtil.DEFAULT_DENYLIST });
+
+    delete process.env.STORE_HEADER_DENYLIST;
+    delete process.env.PUBLISH_HEADER_ALLOWLIST;
+    resetConfig();
+  });
+
+  await runTest('DestinationUtil: Route filters replace the defaults for their destination only', () => {
+    const route = {
+      name: 'line',
+      headerFilter: {
+        store: { deny: ['cookie', 'x-api-key'] },
+        publish: { allow: ['x-correlation-id', 'x-line-*', 'authorization'] }
+      },
+      redaction: { publish: { headers: ['x-line-signature'] } }
+    };
+    const eventData = lineEvent();
+
+    const stored = DestinationUtil.prepare(defaults, route, 'store', eventData);
+    assert.deepStrictEqual(Object.keys(stored.transport.headers), Object.keys(lineHeaders).filter(name => !['Cookie', 'X-Api-Key', 'headers'].includes(name)));
+
+    // The default denylist still applies to publishing, and redaction runs on what is left
+    const published = DestinationUtil.prepare(defaults, route, 'publish', eventData);
+    assert.deepStrictEqual(published.transport.headers, { 'X-Line-Signature': '[REDACTED]', 'X-Correlation-ID': 'corr-1' });
+    assert.strictEqual(eventData.transport.headers.Authorization, 'Bearer secret-token');
+  });
+
+  await runTest('SNSService: The headers attribute only carries the published headers', async () => {
+    const published = [];
+    const snsService = new SNSService({ region: 'ap-southeast-3' });
+    snsService.snsClient = { send: async (command) => { published.push(command.input); return { MessageId: 'm-1' }; } };
+    const route = { name: 'line', headerFilter: { publish: { allow: ['x-line-*', 'x-correlation-id'] } } };
+
+    await snsService.publishWebhookEvent('arn:aws:sns:ap-southeast-3:123456789012:line', DestinationUtil.prepare(defaults, route, 'publish', lineEvent()), 'test');
+
+    const headers = HeadersUtil.parseHeadersAttribute(published[0].MessageAttributes.headers);
+    assert.deepStrictEqual(headers, { 'X-Line-Signature': 'c2lnbmF0dXJl', 'X-Correlation-ID': 'corr-1' });
+    assert.deepStrictEqual(JSON.parse(published[0].Message).transport.headers, headers);
+  });
+
+  await runTest('RouteRegistry: Header filters are validated', () => {
+    const parse = (headerFilter) => RouteRegistry.parse(JSON.stringify([{ path: '/line', headerFilter }]));
+
+    assert.doesNotThrow(() => parse({ store: { allow: null, deny: [] }, publish: { allow: ['x-line-*'] } }));
+    assert.throws(() => parse({ log: { deny: [] } }), /route \/line headerFilter destination must be store or publish/);
+    assert.throws(() => parse({ publish: ['x-line-*'] }), /headerFilter publish must be an object with allow and deny lists/);
+    assert.throws(() => parse({ publish: { allow: 'x-line-*' } }), /headerFilter publish allow must be an array of header patterns or null/);
+    assert.throws(() => parse({ store: { deny: [''] } }), /headerFilter store deny must be an array of header patterns/);
+  });
+
+  await runTest('Sweeper: Republished documents go through the publish filter', async () => {
+    const published = [];
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, {
+      publishWebhookEvent: async (topicArn, data, environment, trackingIds) => { published.push({ data, trackingIds }); }
+    });
+    const route = {
+      name: 'line',
+      params: {},
+      targets: [{ name: 'events', topicArn: 'arn:aws:sns:ap-southeast-3:123456789012:line' }],
+      headerFilter: { publish: { allow: ['x-correlation-id'] } }
+    };
+    const services = { config: { environment: 'test', ...defaults }, routes: { resolve: async () => route }, sinks };
+    const { rawBody, ...stored } = lineEvent();
+
+    await republish(services, { ...stored, publish: { status: 'failed', attempts: 1, targets: { events: 'failed' } } });
+
+    assert.deepStrictEqual(published[0].data.transport.headers, { 'X-Correlation-ID': 'corr-1' });
+    assert.strictEqual(published[0].trackingIds.correlationId, 'corr-1');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} header filter tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Test suite for headers attribute truncation
+ * Truncated headers must stay valid JSON and keep tracing and auth headers first
+ */
+
+const assert = require('assert');
+const HeadersUtil = require('../src/utils/headers.util');
+
+console.log('🧪 Testing Headers Truncation...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(name, testFn) {
+  try {
+    testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const productionHeaders = {
+  'Content-Type': 'application/json',
+  'User-Agent': 'GitHub-Hookshot/1a2b3c',
+  'X-Correlation-ID': 'corr-123',
+  'X-Request-ID': 'req-456',
+  'X-Amzn-Trace-Id': 'Root=1-67891233-abcdef012345678912345678',
+  'X-Hub-Signature-256': 'sha256=' + 'a'.repeat(64),
+  'X-GitHub-Delivery': '72d3162e-cc78-11e3-81ab-4c9367dc0958',
+  'Cookie': 'session=' + 'x'.repeat(4000),
+  'X-Forwarded-For': '43.218.155.39, 172.70.93.117',
+  'Accept': '*/*'
+};
+
+runTest('HeadersUtil: Truncated headers are valid JSON within the limit', () => {
+  const attribute = HeadersUtil.createHeadersAttribute(productionHeaders, 1000);
+  const headers = JSON.parse(attribute.StringValue);
+
+  assert(Buffer.byteLength(attribute.StringValue) <= 1000);
+  assert.deepStrictEqual(headers._truncated, ['Cookie']);
+  assert.strictEqual(headers['X-Forwarded-For'], '43.218.155.39, 172.70.93.117');
+});
+
+runTest('HeadersUtil: Tracing and auth headers are kept first', () => {
+  const headers = HeadersUtil.truncateHeaders(productionHeaders, 420);
+
+  assert.strictEqual(headers['X-Correlation-ID'], 'corr-123');
+  assert.strictEqual(headers['X-Request-ID'], 'req-456');
+  assert.strictEqual(headers['X-Amzn-Trace-Id'], productionHeaders['X-Amzn-Trace-Id']);
+  assert.strictEqual(headers['X-Hub-Signature-256'], productionHeaders['X-Hub-Signature-256']);
+  assert.strictEqual(headers['X-GitHub-Delivery'], productionHeaders['X-GitHub-Delivery']);
+  assert(headers._truncated.includes('Cookie'));
+  assert(Buffer.byteLength(JSON.stringify(headers)) <= 420);
+
+  const kept = Object.keys(headers).filter(key => key !== '_truncated');
+  assert.deepStrictEqual(
+    [...kept, ...headers._truncated].sort(),
+    Object.keys(productionHeaders).sort(),
+    'every header is either kept or listed as dropped'
+  );
+});
+
+runTest('HeadersUtil: Multi-byte values are measured in bytes', () => {
+  const headers = { 'X-Request-ID': 'req-1', 'X-Note': 'é'.repeat(200) };
+  const attribute = HeadersUtil.createHeadersAttribute(headers, 300);
+
+  assert(Buffer.byteLength(attribute.StringValue) <= 300);
+  assert.deepStrictEqual(JSON.parse(attribute.StringValue)._truncated, ['X-Note']);
+});
+
+runTest('HeadersUtil: Header names that do not fit are counted', () => {
+  const headers = { 'X-Request-ID': 'req-1' };
+  for (let i = 0; i < 500; i++) {
+    headers[`X-Custom-Header-${i}`] = `value-${i}`;
+  }
+
+  const attribute = HeadersUtil.createHeadersAttribute(headers, 1000);
+  const parsed = JSON.parse(attribute.StringValue);
+
+  assert(Buffer.byteLength(attribute.StringValue) <= 1000);
+  assert.strictEqual(parsed['X-Request-ID'], 'req-1');
+  assert.strictEqual(parsed._truncatedCount, 500);
+  assert(parsed._truncated.length > 0 && parsed._truncated.length < 500);
+});
+
+runTest('HeadersUtil: Subscribers parse truncated headers', () => {
+  const attribute = HeadersUtil.createHeadersAttribute(productionHeaders, 1000);
+  const headers = HeadersUtil.parseHeadersAttribute(attribute);
+
+  assert.strictEqual(headers['X-Correlation-ID'], 'corr-123');
+  assert.strictEqual(headers._truncated, undefined);
+  assert.strictEqual(headers._truncatedCount, undefined);
+});
+
+runTest('HeadersUtil: Headers within the limit are unchanged', () => {
+  const attribute = HeadersUtil.createHeadersAttribute(productionHeaders, 50000);
+  assert.deepStrictEqual(JSON.parse(attribute.StringValue), productionHeaders);
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+if (testsFailed === 0) {
+  console.log(`\n✅ All ${testsPassed} headers truncation tests passed successfully!\n`);
+  process.exit(0);
+} else {
+  console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+  process.exit(1);
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Test suite for idempotent ingestion
+ * Covers key derivation, JSON pointers and the MongoDB-backed key store
+ */
+
+const assert = require('assert');
+const IdempotencyService = require('../src/services/idempotency.service');
+const JsonPointerUtil = require('../src/utils/json-pointer.util');
+const { settleDelivery } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing Idempotent Ingestion...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * In-memory collection supporting the subset of operations used by the service
+ */
+class FakeCollection {
+  constructor() {
+    this.documents = new Map();
+    this.indexes = [];
+  }
+
+  async createIndex(spec, options) {
+    this.indexes.push({ spec, options });
+  }
+
+  async insertOne(document) {
+    if (this.documents.has(document._id)) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    this.documents.set(document._id, { ...document });
+    return { insertedId: document._id };
+  }
+
+  async findOne(filter) {
+    return this.documents.get(filter._id) || null;
+  }
+
+  async updateOne(filter, update) {
+    const document = this.documents.get(filter._id);
+    if (!document) return { modifiedCount: 0 };
+    if (filter.status && document.status !== filter.status) return { modifiedCount: 0 };
+    if (filter.lockedAt && !(document.lockedAt < filter.lockedAt.$lt)) return { modifiedCount: 0 };
+    Object.assign(document, update.$set);
+    return { modifiedCount: 1 };
+  }
+
+  async deleteOne(filter) {
+    const document = this.documents.get(filter._id);
+    if (document && (!filter.status || document.status === filter.status)) {
+      this.documents.delete(filter._id);
+    }
+  }
+}
+
+function createService() {
+  const collection = new FakeCollection();
+  const mongodb = { client: { db: () => ({ collection: () => collection }) } };
+  const service = new IdempotencyService(mongodb, {
+    collectionName: '_idempotency',
+    ttlSeconds: 3600,
+    lockTimeoutSeconds: 60
+  });
+  return { service, collection };
+}
+
+function eventData(headers = {}, payload = {}) {
+  return { transport: { headers, path: '/telegram' }, payload };
+}
+
+(async () => {
+  await runTest('JsonPointerUtil: Resolves nested values and escapes', () => {
+    const document = { message: { chat: { id: 42 } }, 'a/b': { 'c~d': 1 }, list: [10, 20] };
+
+    assert.strictEqual(JsonPointerUtil.get(document, '/message/chat/id'), 42);
+    assert.strictEqual(JsonPointerUtil.get(document, '/a~1b/c~0d'), 1);
+    assert.strictEqual(JsonPointerUtil.get(document, '/list/1'), 20);
+    assert.strictEqual(JsonPointerUtil.get(document, '/list/x'), undefined);
+    assert.strictEqual(JsonPointerUtil.get(document, '/missing/path'), undefined);
+    assert.strictEqual(JsonPointerUtil.get(document, ''), document);
+    assert.throws(() => JsonPointerUtil.get(document, 'message'), /Invalid JSON pointer/);
+    assert.throws(() => JsonPointerUtil.assertValid('message', 'route /a split'), /^Error: route \/a split: Invalid JSON pointer: message$/);
+    assert.doesNotThrow(() => JsonPointerUtil.assertValid('', 'route /a split'));
+  });
+
+  await runTest('deriveKey: Header takes precedence, case-insensitive', () => {
+    const rule = { header: ['X-GitHub-Delivery', 'Idempotency-Key'], pointer: '/update_id' };
+    const key = IdempotencyService.deriveKey(
+      rule,
+      eventData({ 'idempotency-key': 'abc' }, { update_id: 7 }),
+      '{}'
+    );
+
+    assert.strictEqual(key, 'header:abc');
+  });
+
+  await runTest('deriveKey: JSON pointer into payload', () => {
+    const key = IdempotencyService.deriveKey(
+      { pointer: '/update_id' },
+      eventData({}, { update_id: 123456 }),
+      '{"update_id":123456}'
+    );
+
+    assert.strictEqual(key, 'pointer:123456');
+  });
+
+  await runTest('deriveKey: Body hash fallback and no key', () => {
+    const rule = { pointer: '/update_id', hashBody: true };
+    const first = IdempotencyService.deriveKey(rule, eventData(), 'same body');
+    const second = IdempotencyService.deriveKey(rule, eventData(), Buffer.from('same body'));
+
+    assert(first.startsWith('sha256:'));
+    assert.strictEqual(first, second);
+    assert.strictEqual(IdempotencyService.deriveKey({ pointer: '/id' }, eventData(), 'x'), null);
+  });
+
+  await runTest('IdempotencyService: Claim, complete and replay', async () => {
+    const { service, collection } = createService();
+    const response = { statusCode: 200, headers: {}, body: '{"message":"ok"}' };
+
+    const first = await service.claim('prod-webhook', '/telegram', 'pointer:1');
+    assert.strictEqual(first.status, 'claimed');
+    assert.strictEqual(collection.indexes[0].options.expireAfterSeconds, 0);
+
+    const concurrent = await service.claim('prod-webhook', '/telegram', 'pointer:1');
+    assert.strictEqual(concurrent.status, 'in_progress');
+
+    await service.complete('prod-webhook', '/telegram', 'pointer:1', response);
+    const duplicate = await service.claim('prod-webhook', '/telegram', 'pointer:1');
+    assert.strictEqual(duplicate.status, 'duplicate');
+    assert.deepStrictEqual(duplicate.response, response);
+
+    const otherScope = await service.claim('prod-webhook', '/line', 'pointer:1');
+    assert.strictEqual(otherScope.status, 'claimed');
+  });
+
+  await runTest('IdempotencyService: Stale claims are taken over', async () => {
+    const { service, collection } = createService();
+
+    await service.claim('prod-webhook', '/telegram', 'pointer:2');
+    collection.documents.get('/telegram|pointer:2').lockedAt = new Date(Date.now() - 120000);
+
+    const retry = await service.claim('prod-webhook', '/telegram', 'pointer:2');
+    assert.strictEqual(retry.status, 'claimed');
+  });
+
+  await runTest('Handler: Failed responses release the key', async () => {
+    const { service, collection } = createService();
+    const delivery = { databaseName: 'prod-webhook', scope: '/telegram', key: 'pointer:3' };
+
+    await service.claim(delivery.databaseName, delivery.scope, delivery.key);
+    await settleDelivery(service, delivery, { statusCode: 500 });
+    assert(!collection.documents.has('/telegram|pointer:3'));
+
+    await service.claim(delivery.databaseName, delivery.scope, delivery.key);
+    await settleDelivery(service, delivery, { statusCode: 200, headers: {}, body: '{}' });
+    assert.strictEqual(collection.documents.get('/telegram|pointer:3').status, 'completed');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} idempotency tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -139,7 +139,7 @@ runTest('HeadersUtil: Large headers truncation', () => {
   const attribute = HeadersUtil.createHeadersAttribute(largeHeaders, 1000); // Small limit for test
   
   assert.strictEqual(attribute.DataType, "String");
-  assert(attribute.StringValue.includes('_truncated":true}'));
+  assert(Array.isArray(JSON.parse(attribute.StringValue)._truncated));
   assert(attribute.StringValue.length <= 1000);
 });
 
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Test suite for MongoDB service
+ * Uses a fake MongoClient so no database connection is required
+ */
+
+const assert = require('assert');
+const { MongoBulkWriteError } = require('mongodb');
+const MongoDBService = require('../src/services/mongodb.service');
+
+console.log('🧪 Testing MongoDB Service...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Fake MongoClient recording inserted documents
+ */
+class FakeMongoClient {
+  constructor() {
+    this.inserted = [];
+  }
+
+  db(databaseName) {
+    return {
+      collection: (collectionName) => ({
+        insertOne: async (document) => {
+          document._id = `id-${this.inserted.length + 1}`;
+          this.inserted.push({ databaseName, collectionName, document });
+          return { acknowledged: true, insertedId: document._id };
+        }
+      })
+    };
+  }
+}
+
+(async () => {
+  await runTest('MongoDBService: Insert returns insertedId', async () => {
+    const service = new MongoDBService({ maxPoolSize: 10 });
+    const fakeClient = new FakeMongoClient();
+    service.client = fakeClient;
+
+    const eventData = { transport: { path: '/generatives' }, payload: { test: 'data' } };
+    const result = await service.storeWebhookEvent('prod-webhook', 'generatives', eventData);
+
+    assert.strictEqual(result.insertedId, 'id-1');
+    assert.strictEqual(fakeClient.inserted[0].databaseName, 'prod-webhook');
+    assert.strictEqual(fakeClient.inserted[0].collectionName, 'generatives');
+    assert.deepStrictEqual(fakeClient.inserted[0].document.payload, { test: 'data' });
+  });
+
+  await runTest('MongoDBService: Event data is not mutated by insert', async () => {
+    const service = new MongoDBService();
+    service.client = new FakeMongoClient();
+
+    const eventData = { payload: { test: 'data' } };
+    await service.storeWebhookEvent('prod-webhook', 'root', eventData);
+
+    assert(!eventData.hasOwnProperty('_id'));
+  });
+
+  await runTest('MongoDBService: Insert without connection fails', async () => {
+    const service = new MongoDBService();
+
+    await assert.rejects(
+      service.storeWebhookEvent('prod-webhook', 'root', {}),
+      /MongoDB not connected/
+    );
+  });
+
+  await runTest('MongoDBService: Connect reuses existing client', async () => {
+    const service = new MongoDBService();
+    const fakeClient = new FakeMongoClient();
+    service.client = fakeClient;
+
+    const client = await service.connect('mongodb://unused');
+    assert.strictEqual(client, fakeClient);
+  });
+
+  await runTest('MongoDBService: Insert errors are wrapped', async () => {
+    const service = new MongoDBService();
+    service.client = {
+      db: () => ({
+        collection: () => ({
+          insertOne: async () => { throw new Error('duplicate key'); }
+        })
+      })
+    };
+
+    await assert.rejects(
+      service.storeWebhookEvent('prod-webhook', 'root', {}),
+      /MongoDB insert failed: duplicate key/
+    );
+  });
+
+  await runTest('MongoDBService: Batch inserts are unordered and report each rejected event', async () => {
+    const service = new MongoDBService();
+    const calls = [];
+    service.client = {
+      db: () => ({
+        collection: () => ({
+          insertMany: async (documents, options) => {
+            calls.push(options);
+            throw new MongoBulkWriteError(
+              { message: 'E11000 duplicate key', code: 11000, writeErrors: [{ index: 1, errmsg: 'E11000 duplicate key' }] },
+              { insertedCount: 2, insertedIds: { 0: 'id-0', 1: 'id-1', 2: 'id-2' } }
+            );
+          }
+        })
+      })
+    };
+
+    const result = await service.storeWebhookEvents('prod-webhook', 'line', [{}, {}, {}]);
+
+    assert.deepStrictEqual(calls, [{ ordered: false }]);
+    assert.deepStrictEqual(result.insertedIds, { 0: 'id-0', 2: 'id-2' });
+    assert.deepStrictEqual(result.writeErrors, [{ index: 1, message: 'E11000 duplicate key' }]);
+  });
+
+  await runTest('MongoDBService: Batch inserts that store nothing fail', async () => {
+    const service = new MongoDBService();
+    service.client = {
+      db: () => ({
+        collection: () => ({
+          insertMany: async () => {
+            throw new MongoBulkWriteError(
+              { message: 'E11000 duplicate key', code: 11000, writeErrors: [{ index: 0, errmsg: 'E11000 duplicate key' }] },
+              { insertedCount: 0, insertedIds: {} }
+            );
+          }
+        })
+      })
+    };
+
+    await assert.rejects(
+      service.storeWebhookEvents('prod-webhook', 'line', [{}]),
+      /MongoDB insert failed: E11000 duplicate key/
+    );
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} MongoDB service tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * Test suite for the transactional outbox
+ * Covers publish state transitions, due-document lookup and republishing
+ */
+
+process.env.AWS_REGION = 'ap-southeast-3';
+process.env.MONGODB_URI_PARAMETER = '/test/mongodb-uri';
+
+const assert = require('assert');
+const { Binary, ObjectId } = require('mongodb');
+const OutboxService = require('../src/services/outbox.service');
+const SinkRegistry = require('../src/services/sink-registry.service');
+const { republish, sweep } = require('../src/handlers/outbox-sweeper.handler');
+const { initializeServices } = require('../src/handlers/webhook.handler');
+
+const { PublishStatus } = OutboxService;
+
+console.log('🧪 Testing Transactional Outbox...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Read a dotted field path from a document
+ */
+function field(document, path) {
+  return path.split('.').reduce((value, key) => value?.[key], document);
+}
+
+/**
+ * Match the subset of query operators used by the outbox
+ */
+function matches(document, filter) {
+  return Object.entries(filter).every(([path, condition]) => {
+    const value = field(document, path);
+    if (condition && condition.$in) return condition.$in.includes(value);
+    if (condition && condition.$lte) return value <= condition.$lte;
+    if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+    if (condition instanceof ObjectId) return String(value) === String(condition);
+    return value === condition;
+  });
+}
+
+/**
+ * In-memory collection supporting the operations used by the outbox
+ */
+class FakeCollection {
+  constructor() {
+    this.documents = [];
+    this.indexes = [];
+  }
+
+  async createIndex(spec) {
+    this.indexes.push(spec);
+  }
+
+  find(filter) {
+    let results = this.documents.filter(document => matches(document, filter));
+    const cursor = {
+      sort: () => cursor,
+      limit: (count) => {
+        results = results.slice(0, count);
+        return cursor;
+      },
+      toArray: async () => results.map(document => structuredClone(document))
+    };
+    return cursor;
+  }
+
+  async updateOne(filter, update) {
+    const document = this.documents.find(candidate => matches(candidate, filter));
+    if (!document) return { modifiedCount: 0 };
+    for (const [path, value] of Object.entries(update.$set)) {
+      const keys = path.split('.');
+      const parent = keys.slice(0, -1).reduce((target, key) => target[key], document);
+      parent[keys[keys.length - 1]] = value;
+    }
+    return { modifiedCount: 1 };
+  }
+}
+
+function createOutbox(config = {}) {
+  const collections = { telegram: new FakeCollection(), line: new FakeCollection(), _idempotency: new FakeCollection() };
+  const mongodb = {
+    client: {
+      db: () => ({
+        collection: (name) => collections[name],
+        listCollections: () => ({ toArray: async () => Object.keys(collections).map(name => ({ name })) })
+      })
+    }
+  };
+  const outbox = new OutboxService(mongodb, {
+    graceSeconds: 60,
+    baseDelaySeconds: 30,
+    maxDelaySeconds: 3600,
+    maxAttempts: 3,
+    batchSize: 100,
+    ...config
+  });
+  return { outbox, collections };
+}
+
+const topic = (name) => `arn:aws:sns:ap-southeast-3:123456789012:${name}`;
+const targets = [{ name: 'events', topicArn: topic('events') }, { name: 'analytics', topicArn: topic('analytics') }];
+const now = new Date('2026-10-19T10:00:00Z');
+const seconds = (date) => (date.getTime() - now.getTime()) / 1000;
+
+(async () => {
+  await runTest('OutboxService: New documents are pending for the grace period', () => {
+    const { outbox } = createOutbox();
+    const publish = outbox.pending(targets, { messageGroupId: 'g', deduplicationId: 'd' }, now);
+
+    assert.strictEqual(publish.status, PublishStatus.PENDING);
+    assert.strictEqual(publish.attempts, 0);
+    assert.deepStrictEqual(publish.targets, { events: 'pending', analytics: 'pending' });
+    assert.deepStrictEqual(publish.fifo, { messageGroupId: 'g', deduplicationId: 'd' });
+    assert.strictEqual(seconds(publish.nextAttemptAt), 60);
+
+    assert.deepStrictEqual(outbox.pending([], null, now), { status: 'skipped', attempts: 0, targets: {} });
+  });
+
+  await runTest('OutboxService: Failed targets are retried with exponential backoff', () => {
+    const { outbox } = createOutbox();
+    const first = outbox.nextState(outbox.pending(targets, null, now), [
+      { success: true, target: 'events' },
+      { success: false, target: 'analytics', error: 'Throttled' }
+    ], now);
+
+    assert.strictEqual(first.status, PublishStatus.FAILED);
+    assert.strictEqual(first.attempts, 1);
+    assert.deepStrictEqual(first.targets, { events: 'published', analytics: 'failed' });
+    assert.strictEqual(first.lastError, 'analytics: Throttled');
+    assert.strictEqual(seconds(first.nextAttemptAt), 30);
+
+    const second = outbox.nextState(first, [{ success: false, target: 'analytics', error: 'Throttled' }], now);
+    assert.strictEqual(seconds(second.nextAttemptAt), 60);
+    assert.strictEqual(outbox.getRetryDelay(20), 3600);
+
+    const third = outbox.nextState(second, [{ success: false, target: 'analytics', error: 'Throttled' }], now);
+    assert.strictEqual(third.status, PublishStatus.ABANDONED);
+    assert.strictEqual(third.nextAttemptAt, undefined);
+  });
+
+  await runTest('OutboxService: Documents are published once every target succeeded', () => {
+    const { outbox } = createOutbox();
+    const failed = outbox.nextState(outbox.pending(targets, null, now), [
+      { success: true, target: 'events' },
+      { success: false, target: 'analytics', error: 'Throttled' }
+    ], now);
+    const published = outbox.nextState(failed, [{ success: true, target: 'analytics' }], now);
+
+    assert.strictEqual(published.status, PublishStatus.PUBLISHED);
+    assert.strictEqual(published.attempts, 2);
+    assert.strictEqual(published.nextAttemptAt, undefined);
+    assert.strictEqual(published.lastError, undefined);
+  });
+
+  await runTest('OutboxService: Attempts are recorded once per publish state', async () => {
+    const { outbox, collections } = createOutbox();
+    const _id = new ObjectId();
+    const publish = outbox.pending(targets, null, now);
+    collections.telegram.documents.push({ _id, publish: structuredClone(publish) });
+
+    const results = [{ success: true, target: 'events' }, { success: true, target: 'analytics' }];
+    const recorded = await outbox.recordAttempt('test-webhook', 'telegram', String(_id), publish, results);
+    assert.strictEqual(recorded.status, PublishStatus.PUBLISHED);
+    assert.strictEqual(collections.telegram.documents[0].publish.status, PublishStatus.PUBLISHED);
+
+    assert.strictEqual(await outbox.recordAttempt('test-webhook', 'telegram', String(_id), publish, results), null);
+  });
+
+  await runTest('OutboxService: Due documents are found across webhook collections', async () => {
+    const { outbox, collections } = createOutbox({ batchSize: 2 });
+    const earlier = new Date(now.getTime() - 1000);
+    const later = new Date(now.getTime() + 1000);
+
+    collections.telegram.documents.push(
+      { _id: 1, publish: { status: 'pending', attempts: 0, nextAttemptAt: earlier } },
+      { _id: 2, publish: { status: 'pending', attempts: 0, nextAttemptAt: later } },
+      { _id: 3, publish: { status: 'published', attempts: 1 } }
+    );
+    collections.line.documents.push(
+      { _id: 4, publish: { status: 'failed', attempts: 1, nextAttemptAt: earlier } },
+      { _id: 5, publish: { status: 'failed', attempts: 1, nextAttemptAt: earlier } }
+    );
+    collections._idempotency.documents.push({ _id: 6, publish: { status: 'pending', nextAttemptAt: earlier } });
+
+    const due = await outbox.findDue('test-webhook', now);
+    assert.deepStrictEqual(due.map(({ collectionName, document }) => `${collectionName}/${document._id}`), ['telegram/1', 'line/4']);
+    assert.deepStrictEqual(collections.telegram.indexes, [{ 'publish.status': 1, 'publish.nextAttemptAt': 1 }]);
+    assert.deepStrictEqual(collections._idempotency.indexes, []);
+  });
+
+  await runTest('OutboxService: Only one sweep leases a document', async () => {
+    const { outbox, collections } = createOutbox();
+    const document = { _id: 1, publish: { status: 'failed', attempts: 1, nextAttemptAt: new Date(now.getTime() - 1000) } };
+    collections.line.documents.push(structuredClone(document));
+
+    assert.strictEqual(await outbox.lease('test-webhook', 'line', document, now), true);
+    assert.strictEqual(await outbox.lease('test-webhook', 'line', document, now), false);
+    assert.strictEqual(seconds(collections.line.documents[0].publish.nextAttemptAt), 60);
+  });
+
+  await runTest('OutboxService: Stored documents convert back to event data', () => {
+    const eventData = OutboxService.toEventData({
+      _id: new ObjectId(),
+      publish: { status: 'pending' },
+      transport: { path: '/upload' },
+      payload: new Binary(Buffer.from([1, 2, 3]))
+    });
+
+    assert.deepStrictEqual(Object.keys(eventData), ['transport', 'payload']);
+    assert.ok(Buffer.isBuffer(eventData.payload));
+    assert.deepStrictEqual([...eventData.payload], [1, 2, 3]);
+  });
+
+  await runTest('Sweeper: Only outstanding targets are republished', async () => {
+    const published = [];
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, {
+      publishWebhookEvent: async (topicArn, data, environment, trackingIds, traceId, spanId, { fifo }) => {
+        published.push({ topicArn, environment, trackingIds, fifo });
+      }
+    });
+    const route = { name: 'telegram', params: {}, targets: [...targets, { name: 'archive', topicArn: topic('archive') }] };
+    const services = {
+      config: { environment: 'test' },
+      routes: { resolve: async () => route },
+      sinks
+    };
+    const document = {
+      _id: new ObjectId(),
+      transport: { method: 'POST', path: '/telegram', headers: { 'X-Correlation-ID': 'corr-1' } },
+      payload: { update_id: 7 },
+      publish: {
+        status: 'failed',
+        attempts: 1,
+        targets: { events: 'published', analytics: 'failed', removed: 'failed' },
+        fifo: { messageGroupId: 'g', deduplicationId: 'd' }
+      }
+    };
+
+    const results = await republish(services, document);
+
+    assert.deepStrictEqual(published.map(entry => entry.topicArn), [topic('analytics')]);
+    assert.strictEqual(published[0].trackingIds.correlationId, 'corr-1');
+    assert.deepStrictEqual(published[0].fifo, { messageGroupId: 'g', deduplicationId: 'd' });
+    assert.deepStrictEqual(results.map(result => [result.target, result.success]), [['analytics', true], ['removed', false]]);
+  });
+
+  await runTest('Sweeper: Sweeps stop when the invocation is running out of time', async () => {
+    const services = await initializeServices();
+    const published = [];
+    const recorded = [];
+    let remainingMs = 60000;
+    const due = ['a', 'b', 'c'].map(id => ({
+      collectionName: 'telegram',
+      document: {
+        _id: id,
+        transport: { method: 'POST', path: '/telegram', headers: {} },
+        payload: { update_id: id },
+        publish: { status: 'failed', attempts: 1, targets: { events: 'failed' } }
+      }
+    }));
+
+    services.config.outbox.reserveMs = 10000;
+    services.ssm.getParameter = async () => 'mongodb://unused';
+    services.mongodb.connect = async () => {};
+    services.routes.resolve = async () => ({ name: 'telegram', params: {}, targets: [targets[0]] });
+    services.sinks = new SinkRegistry({ region: 'ap-southeast-3' }, {
+      publishWebhookEvent: async (topicArn, data) => {
+        published.push(data.payload.update_id);
+        // A slow publish leaves less than the reserve for the next document
+        remainingMs = 9000;
+      }
+    });
+    services.outbox.findDue = async () => due;
+    services.outbox.lease = async () => true;
+    services.outbox.recordAttempt = async (databaseName, collectionName, documentId) => {
+      recorded.push(documentId);
+      return { status: PublishStatus.PUBLISHED };
+    };
+
+    const summary = await sweep({}, { getRemainingTimeInMillis: () => remainingMs });
+
+    assert.deepStrictEqual(summary, { due: 3, published: 1, failed: 0, skipped: 0, deferred: 2 });
+    assert.deepStrictEqual(published, ['a']);
+    assert.deepStrictEqual(recorded, ['a']);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} outbox tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
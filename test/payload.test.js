@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Test suite for payload decoding and parsing
+ * Covers base64-encoded bodies from binary-media-enabled API Gateway stages
+ */
+
+const assert = require('assert');
+const PayloadUtil = require('../src/utils/payload.util');
+const SNSService = require('../src/services/sns.service');
+const { extractEventData } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing Payload Processing...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(name, testFn) {
+  try {
+    testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// PNG file signature followed by bytes that are not valid UTF-8
+const pngBytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0xfe]);
+
+function apiGatewayEvent(body, isBase64Encoded, headers = {}) {
+  return {
+    requestContext: { httpMethod: 'POST', domainName: 'webhook.ashari.cloud', stage: 'v1' },
+    path: '/line',
+    headers,
+    body,
+    isBase64Encoded
+  };
+}
+
+runTest('PayloadUtil: Decode plain and base64 bodies', () => {
+  assert.strictEqual(PayloadUtil.decodeBody('{"a":1}', false).toString(), '{"a":1}');
+  assert.strictEqual(PayloadUtil.decodeBody('eyJhIjoxfQ==', true).toString(), '{"a":1}');
+  assert.strictEqual(PayloadUtil.decodeBody(null, false).length, 0);
+});
+
+runTest('PayloadUtil: Binary detection', () => {
+  assert.strictEqual(PayloadUtil.isBinary(pngBytes, null), true);
+  assert.strictEqual(PayloadUtil.isBinary(Buffer.from('hello'), null), false);
+  assert.strictEqual(PayloadUtil.isBinary(Buffer.from('hello'), 'application/octet-stream'), true);
+  assert.strictEqual(PayloadUtil.isBinary(Buffer.from('{}'), 'application/json; charset=utf-8'), false);
+  assert.strictEqual(PayloadUtil.isBinary(Buffer.from('<a/>'), 'application/soap+xml'), false);
+});
+
+runTest('extractEventData: Base64-encoded JSON is decoded and parsed', () => {
+  const body = Buffer.from('{"events":[{"type":"message"}]}').toString('base64');
+  const eventData = extractEventData(apiGatewayEvent(body, true, { 'Content-Type': 'application/json' }));
+
+  assert.deepStrictEqual(eventData.payload, { events: [{ type: 'message' }] });
+  assert.strictEqual(eventData.type, 'application/json');
+  assert.strictEqual(eventData.isBase64Encoded, false);
+});
+
+runTest('extractEventData: Base64-encoded text is decoded', () => {
+  const body = Buffer.from('plain text body').toString('base64');
+  const eventData = extractEventData(apiGatewayEvent(body, true));
+
+  assert.strictEqual(eventData.payload, 'plain text body');
+  assert.strictEqual(eventData.type, 'text/plain');
+});
+
+runTest('extractEventData: Binary bodies are kept as raw bytes', () => {
+  const eventData = extractEventData(
+    apiGatewayEvent(pngBytes.toString('base64'), true, { 'content-type': 'image/png' })
+  );
+
+  assert(Buffer.isBuffer(eventData.payload));
+  assert(eventData.payload.equals(pngBytes));
+  assert.strictEqual(eventData.type, 'image/png');
+  assert.strictEqual(eventData.isBase64Encoded, true);
+});
+
+runTest('SNSService: Binary payloads are published as base64', () => {
+  const snsService = new SNSService({ region: 'ap-southeast-3' });
+  const eventData = extractEventData(apiGatewayEvent(pngBytes.toString('base64'), true));
+  const message = snsService._buildMessage(eventData, 'test');
+
+  assert.strictEqual(message.payload, pngBytes.toString('base64'));
+  assert.strictEqual(message.isBase64Encoded, true);
+  assert.strictEqual(message.type, 'application/octet-stream');
+});
+
+runTest('PayloadUtil: Log replacer summarizes binary payloads', () => {
+  const logged = JSON.stringify({ payload: pngBytes }, PayloadUtil.logReplacer);
+  assert.strictEqual(logged, `{"payload":"<binary ${pngBytes.length} bytes>"}`);
+});
+
+runTest('Parsers: Form-urlencoded bodies (Slack slash command)', () => {
+  const body = 'token=abc&command=%2Fdeploy&text=prod+now&channel_id=C1&tag=a&tag=b';
+  const eventData = extractEventData(
+    apiGatewayEvent(body, false, { 'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8' })
+  );
+
+  assert.strictEqual(eventData.type, 'application/x-www-form-urlencoded');
+  assert.strictEqual(eventData.payload.command, '/deploy');
+  assert.strictEqual(eventData.payload.text, 'prod now');
+  assert.deepStrictEqual(eventData.payload.tag, ['a', 'b']);
+  assert.strictEqual(eventData.rawBody, body);
+});
+
+runTest('Parsers: XML bodies', () => {
+  const body = '<?xml version="1.0"?><order id="9007199254740993"><item>book</item><item>pen</item></order>';
+  const eventData = extractEventData(apiGatewayEvent(body, false, { 'content-type': 'text/xml' }));
+
+  assert.strictEqual(eventData.type, 'application/xml');
+  assert.strictEqual(eventData.payload.order['@_id'], '9007199254740993');
+  assert.deepStrictEqual(eventData.payload.order.item, ['book', 'pen']);
+  assert.strictEqual(eventData.rawBody, body);
+});
+
+runTest('Parsers: Malformed XML falls back to text', () => {
+  const eventData = extractEventData(apiGatewayEvent('<order>', false, { 'content-type': 'application/xml' }));
+
+  assert.strictEqual(eventData.type, 'text/plain');
+  assert.strictEqual(eventData.payload, '<order>');
+});
+
+runTest('Parsers: Multipart form-data with a binary file', () => {
+  const boundary = '----WebhookBoundary7MA4YWxk';
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="caption"\r\n\r\nhello\r\n`),
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="photo"; filename="a.png"\r\nContent-Type: image/png\r\n\r\n`),
+    pngBytes,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  const eventData = extractEventData(
+    apiGatewayEvent(body.toString('base64'), true, { 'Content-Type': `multipart/form-data; boundary=${boundary}` })
+  );
+
+  assert.strictEqual(eventData.type, 'multipart/form-data');
+  assert.deepStrictEqual(eventData.payload.fields, { caption: 'hello' });
+  assert.strictEqual(eventData.payload.files[0].filename, 'a.png');
+  assert.strictEqual(eventData.payload.files[0].contentType, 'image/png');
+  assert(Buffer.from(eventData.payload.files[0].data, 'base64').equals(pngBytes));
+  assert(PayloadUtil.getRawBytes(eventData).equals(body));
+});
+
+runTest('Parsers: Structured suffixes and custom registrations', () => {
+  const jsonApi = extractEventData(apiGatewayEvent('{"data":[]}', false, { 'content-type': 'application/vnd.api+json' }));
+  assert.strictEqual(jsonApi.type, 'application/json');
+  assert.deepStrictEqual(jsonApi.payload, { data: [] });
+
+  PayloadUtil.registerParser('application/x-ndjson', {
+    type: 'application/x-ndjson',
+    parse: (rawBody) => rawBody.toString('utf8').trim().split('\n').map(line => JSON.parse(line))
+  });
+  const ndjson = extractEventData(apiGatewayEvent('{"a":1}\n{"a":2}\n', false, { 'content-type': 'application/x-ndjson' }));
+  assert.strictEqual(ndjson.type, 'application/x-ndjson');
+  assert.deepStrictEqual(ndjson.payload, [{ a: 1 }, { a: 2 }]);
+});
+
+runTest('Parsers: JSON without Content-Type is still detected', () => {
+  const eventData = extractEventData(apiGatewayEvent('{"update_id":1}', false));
+
+  assert.strictEqual(eventData.type, 'application/json');
+  assert.deepStrictEqual(eventData.payload, { update_id: 1 });
+  assert.strictEqual(eventData.rawBody, '{"update_id":1}');
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+if (testsFailed === 0) {
+  console.log(`\n✅ All ${testsPassed} payload tests passed successfully!\n`);
+  process.exit(0);
+} else {
+  console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+  process.exit(1);
+}
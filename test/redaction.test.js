@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Test suite for PII redaction
+ * Covers the built-in detectors, header and path rules, per-destination
+ * policies and route table validation
+ */
+
+const assert = require('assert');
+const RedactionUtil = require('../src/utils/redaction.util');
+const RouteRegistry = require('../src/services/route-registry.service');
+const SinkRegistry = require('../src/services/sink-registry.service');
+const { republish } = require('../src/handlers/outbox-sweeper.handler');
+
+console.log('🧪 Testing PII Redaction...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function telegramEvent() {
+  const payload = {
+    update_id: 987654321,
+    message: {
+      date: 1760868000,
+      chat: { id: 12345678 },
+      text: 'Hi, I am sari@example.com, call me on +62 812-3456-7890',
+      contact: { phone_number: '6281234567890', first_name: 'Sari' }
+    }
+  };
+  return {
+    transport: {
+      method: 'POST',
+      path: '/telegram',
+      sourceIp: '149.154.167.220',
+      headers: { Authorization: 'Bearer secret-token', Cookie: 'session=abc', 'X-Correlation-ID': 'corr-1', 'X-Forwarded-For': 'sari@example.com' },
+      queryStringParameters: { email: 'sari@example.com', page: '2' }
+    },
+    type: 'application/json',
+    rawBody: JSON.stringify(payload),
+    payload
+  };
+}
+
+const all = RedactionUtil.DETECTORS;
+
+(async () => {
+  await runTest('RedactionUtil: Built-in detectors replace emails, phone numbers, cards and bearer tokens', () => {
+    assert.strictEqual(RedactionUtil.redactText('mail sari.w@mail.example.co.id now', all), 'mail [REDACTED:email] now');
+    assert.strictEqual(RedactionUtil.redactText('+62 812-3456-7890 or 0812 3456 7890', all), '[REDACTED:phone] or [REDACTED:phone]');
+    assert.strictEqual(RedactionUtil.redactText('card 4242 4242 4242 4242', all), 'card [REDACTED:card]');
+    assert.strictEqual(RedactionUtil.redactText('Bearer eyJhbGciOi.eyJzdWIi.abc-def_ghi=', all), '[REDACTED:bearer]');
+  });
+
+  await runTest('RedactionUtil: IDs, timestamps and failed checksums are not mistaken for personal data', () => {
+    const text = 'id 1234567890123 at 2026-10-19T10:00:00Z, total 125000, ref 4242-4242-4242-4241, ratio 0.123456789';
+    assert.strictEqual(RedactionUtil.redactText(text, all), text);
+    assert.strictEqual(RedactionUtil.redactText('sari@example.com', ['phone']), 'sari@example.com');
+  });
+
+  await runTest('RedactionUtil: Long runs of address characters are redacted in linear time', () => {
+    const size = 160 * 1024;
+    const payload = {
+      run: 'a'.repeat(size),
+      dots: 'a.'.repeat(size / 2),
+      domain: 'a@' + 'b.'.repeat(size / 2),
+      text: `${'x'.repeat(size)} sari@example.com`
+    };
+    const started = Date.now();
+
+    const redacted = RedactionUtil.apply(RedactionUtil.getPolicy(undefined, 'log'), { ...telegramEvent(), payload });
+
+    assert(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+    assert(redacted.payload.text.endsWith(' [REDACTED:email]'));
+    assert.strictEqual(RedactionUtil.redactText(`${'a'.repeat(65)}@example.com`, ['email']), `${'a'.repeat(65)}@example.com`);
+  });
+
+  await runTest('RedactionUtil: Policies redact headers, query strings and payload paths', () => {
+    const eventData = telegramEvent();
+    const policy = { detectors: ['email', 'phone'], headers: ['authorization', 'cookie'], paths: ['/message/contact/phone_number'] };
+    const redacted = RedactionUtil.apply(policy, eventData);
+
+    assert.strictEqual(redacted.transport.headers.Authorization, '[REDACTED]');
+    assert.strictEqual(redacted.transport.headers.Cookie, '[REDACTED]');
+    assert.strictEqual(redacted.transport.headers['X-Correlation-ID'], 'corr-1');
+    assert.strictEqual(redacted.transport.headers['X-Forwarded-For'], '[REDACTED:email]');
+    assert.deepStrictEqual(redacted.transport.queryStringParameters, { email: '[REDACTED:email]', page: '2' });
+    assert.strictEqual(redacted.payload.message.text, 'Hi, I am [REDACTED:email], call me on [REDACTED:phone]');
+    assert.deepStrictEqual(redacted.payload.message.contact, { phone_number: '[REDACTED]', first_name: 'Sari' });
+    assert.strictEqual(redacted.payload.update_id, 987654321);
+    assert.strictEqual(redacted.rawBody, undefined);
+  });
+
+  await runTest('RedactionUtil: The original event is left untouched', () => {
+    const eventData = telegramEvent();
+    RedactionUtil.apply({ detectors: all, headers: ['authorization'], paths: ['/message/text'] }, eventData);
+
+    assert.strictEqual(eventData.transport.headers.Authorization, 'Bearer secret-token');
+    assert(eventData.payload.message.text.includes('sari@example.com'));
+    assert.strictEqual(typeof eventData.rawBody, 'string');
+  });
+
+  await runTest('RedactionUtil: Wildcard and whole-payload paths, binary payloads and batch context', () => {
+    const orders = { ...telegramEvent(), payload: { items: [{ address: 'Jl. Merdeka 1' }, { address: 'Jl. Sudirman 2' }] } };
+    assert.deepStrictEqual(RedactionUtil.apply({ paths: ['/items/*/address'] }, orders).payload.items, [{ address: '[REDACTED]' }, { address: '[REDACTED]' }]);
+    assert.strictEqual(RedactionUtil.apply({ paths: [''] }, orders).payload, '[REDACTED]');
+
+    const binary = { ...telegramEvent(), payload: Buffer.from('%PDF-1.7') };
+    assert.strictEqual(RedactionUtil.apply({ detectors: all, paths: [''] }, binary).payload, binary.payload);
+
+    const split = { ...telegramEvent(), batch: { index: 0, count: 2, context: { destination: 'sari@example.com' } } };
+    assert.deepStrictEqual(RedactionUtil.apply({ detectors: ['email'] }, split).batch, { index: 0, count: 2, context: { destination: '[REDACTED:email]' } });
+  });
+
+  await runTest('RedactionUtil: Logs are redacted by default; storage and publishing only on request', () => {
+    const settings = { store: { paths: ['/message/text'] }, publish: null };
+
+    assert.strictEqual(RedactionUtil.getPolicy(undefined, 'log'), RedactionUtil.DEFAULT_LOG_POLICY);
+    assert.strictEqual(RedactionUtil.getPolicy(undefined, 'store'), null);
+    assert.deepStrictEqual(RedactionUtil.getPolicy(settings, 'store'), { paths: ['/message/text'] });
+    assert.strictEqual(RedactionUtil.getPolicy(settings, 'publish'), null);
+    assert.strictEqual(RedactionUtil.getPolicy({ log: null }, 'log'), null);
+
+    const eventData = telegramEvent();
+    assert.strictEqual(RedactionUtil.apply(RedactionUtil.getPolicy(undefined, 'store'), eventData), eventData);
+
+    const logged = JSON.stringify(RedactionUtil.apply(RedactionUtil.DEFAULT_LOG_POLICY, eventData));
+    assert(!logged.includes('secret-token') && !logged.includes('session=abc') && !logged.includes('sari@example.com'));
+  });
+
+  await runTest('RedactionUtil: Encrypted fields are left for their consumers', () => {
+    const encrypted = { _encrypted: { v: 1, alg: 'A256GCM', kid: '/k', key: 'a.b.c', iv: 'iv', tag: 'tag', data: '+6281234567890' } };
+    const eventData = { ...telegramEvent(), payload: { email: encrypted } };
+
+    assert.deepStrictEqual(RedactionUtil.apply({ detectors: all }, eventData).payload.email, encrypted);
+  });
+
+  await runTest('RouteRegistry: Redaction settings are validated', () => {
+    const parse = (redaction) => RouteRegistry.parse(JSON.stringify([{ path: '/telegram', redaction }]));
+
+    assert.doesNotThrow(() => parse({ log: { detectors: all, headers: ['authorization'], paths: ['/message/text'] }, store: null }));
+    assert.throws(() => parse({ archive: {} }), /route \/telegram redaction destination must be log, store or publish/);
+    assert.throws(() => parse({ log: { detectors: ['ssn'] } }), /redaction log detectors must be a list of bearer, email, card, phone/);
+    assert.throws(() => parse({ store: { headers: 'authorization' } }), /redaction store headers must be an array/);
+    assert.throws(() => parse({ publish: { paths: ['message/text'] } }), /redaction publish: Invalid JSON pointer/);
+    assert.throws(() => parse({ publish: true }), /redaction publish must be a policy object or null/);
+  });
+
+  await runTest('Sweeper: Republished documents get the route\'s publish policy', async () => {
+    const published = [];
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, {
+      publishWebhookEvent: async (topicArn, data) => { published.push(data); }
+    });
+    const route = {
+      name: 'telegram',
+      params: {},
+      targets: [{ name: 'events', topicArn: 'arn:aws:sns:ap-southeast-3:123456789012:events' }],
+      redaction: { publish: { detectors: ['phone'], paths: ['/message/contact'] } }
+    };
+    const services = { config: { environment: 'test' }, routes: { resolve: async () => route }, sinks };
+    const { rawBody, ...stored } = telegramEvent();
+
+    await republish(services, { ...stored, publish: { status: 'failed', attempts: 1, targets: { events: 'failed' } } });
+
+    assert.strictEqual(published[0].payload.message.contact, '[REDACTED]');
+    assert.strictEqual(published[0].payload.message.text, 'Hi, I am sari@example.com, call me on [REDACTED:phone]');
+  });
+
+  await runTest('Sweeper: Route and target attributes are taken from the redacted copy', async () => {
+    const published = [];
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, {
+      publishWebhookEvent: async (topicArn, data) => { published.push(data); }
+    });
+    const route = {
+      name: 'telegram',
+      params: {},
+      attributes: { text: { pointer: '/message/text' }, phone: { pointer: '/message/contact/phone_number' } },
+      targets: [{
+        name: 'events',
+        topicArn: 'arn:aws:sns:ap-southeast-3:123456789012:events',
+        attributes: { auth: { header: 'authorization' }, forwarded: { header: 'x-forwarded-for' } }
+      }],
+      redaction: { publish: { detectors: ['email', 'bearer'], paths: ['/message/contact'] } }
+    };
+    const services = { config: { environment: 'test' }, routes: { resolve: async () => route }, sinks };
+    const { rawBody, ...stored } = telegramEvent();
+
+    // Attributes stored by a route without extraction are scrubbed too
+    await republish(services, { ...stored, attributes: { text: stored.payload.message.text }, publish: { status: 'failed', attempts: 1, targets: { events: 'failed' } } });
+
+    // The phone number went with the redacted contact, so there is nothing to extract
+    assert.deepStrictEqual(published[0].attributes, {
+      text: 'Hi, I am [REDACTED:email], call me on +62 812-3456-7890',
+      auth: '[REDACTED:bearer]',
+      forwarded: '[REDACTED:email]'
+    });
+    assert.strictEqual(RedactionUtil.apply({ detectors: ['email'] }, { ...stored, attributes: { from: 'sari@example.com' } }).attributes.from, '[REDACTED:email]');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} redaction tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Test suite for SNS publish retries
+ * Covers error classification, backoff with jitter, deadlines and attempt counts
+ */
+
+const assert = require('assert');
+const RetryUtil = require('../src/utils/retry.util');
+const SNSService = require('../src/services/sns.service');
+const SinkRegistry = require('../src/services/sink-registry.service');
+
+console.log('🧪 Testing SNS Publish Retries...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Build an error shaped like an AWS SDK service exception
+ */
+function awsError(name, httpStatusCode) {
+  return Object.assign(new Error(`${name} raised`), { name, $metadata: { httpStatusCode } });
+}
+
+const fast = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 };
+const topicArn = 'arn:aws:sns:ap-southeast-3:123456789012:events';
+const eventData = {
+  transport: { method: 'POST', path: '/telegram', headers: { 'Content-Type': 'application/json' } },
+  type: 'application/json',
+  payload: { update_id: 7 }
+};
+
+/**
+ * SNS service whose client fails with the given errors before succeeding
+ */
+function flakySnsService(errors, snsRetry = fast) {
+  const calls = [];
+  const snsService = new SNSService({ region: 'ap-southeast-3', snsRetry });
+  snsService.snsClient = {
+    send: async (command) => {
+      calls.push(command.input);
+      if (calls.length <= errors.length) throw errors[calls.length - 1];
+      return { MessageId: 'm-1' };
+    }
+  };
+  return { snsService, calls };
+}
+
+(async () => {
+  await runTest('RetryUtil: Throttling and server faults are retryable', () => {
+    assert.strictEqual(RetryUtil.isRetryable(awsError('ThrottlingException', 400)), true);
+    assert.strictEqual(RetryUtil.isRetryable(awsError('Throttling', 400)), true);
+    assert.strictEqual(RetryUtil.isRetryable(awsError('InternalError', 500)), true);
+    assert.strictEqual(RetryUtil.isRetryable(awsError('SomethingNew', 503)), true);
+    assert.strictEqual(RetryUtil.isRetryable(awsError('SomethingNew', 429)), true);
+    assert.strictEqual(RetryUtil.isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+  });
+
+  await runTest('RetryUtil: Client errors are fatal', () => {
+    assert.strictEqual(RetryUtil.isRetryable(awsError('AuthorizationErrorException', 403)), false);
+    assert.strictEqual(RetryUtil.isRetryable(awsError('InvalidParameterException', 400)), false);
+    assert.strictEqual(RetryUtil.isRetryable(awsError('NotFoundException', 404)), false);
+    assert.strictEqual(RetryUtil.isRetryable(new Error('FIFO topics require a message group ID')), false);
+    assert.strictEqual(RetryUtil.isRetryable(undefined), false);
+  });
+
+  await runTest('RetryUtil: Delays back off exponentially with full jitter', () => {
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+    assert.strictEqual(RetryUtil.getDelay(1, policy, () => 0.999), 99);
+    assert.strictEqual(RetryUtil.getDelay(3, policy, () => 0.5), 200);
+    assert.strictEqual(RetryUtil.getDelay(10, policy, () => 0.999), 999);
+    assert.strictEqual(RetryUtil.getDelay(2, policy, () => 0), 0);
+  });
+
+  await runTest('RetryUtil: Retries stop at the maximum number of attempts', async () => {
+    let calls = 0;
+    await assert.rejects(
+      RetryUtil.run(async () => { calls++; throw awsError('ThrottlingException', 400); }, fast),
+      (error) => error.attempts === 3
+    );
+    assert.strictEqual(calls, 3);
+  });
+
+  await runTest('RetryUtil: No retry is started past the deadline', async () => {
+    let calls = 0;
+    await assert.rejects(
+      RetryUtil.run(
+        async () => { calls++; throw awsError('ThrottlingException', 400); },
+        { ...fast, maxAttempts: 5, deadline: Date.now() - 1 }
+      ),
+      (error) => error.attempts === 1
+    );
+    assert.strictEqual(calls, 1);
+
+    assert.strictEqual(RetryUtil.getDeadline({}), undefined);
+    const deadline = RetryUtil.getDeadline({ getRemainingTimeInMillis: () => 10000 }, 1000);
+    assert.ok(Math.abs(deadline - (Date.now() + 9000)) < 100);
+  });
+
+  await runTest('SNSService: Throttled publishes are retried and report their attempts', async () => {
+    const { snsService, calls } = flakySnsService([awsError('ThrottlingException', 400), awsError('InternalError', 500)]);
+    const response = await snsService.publishWebhookEvent(topicArn, eventData, 'test');
+
+    assert.strictEqual(response.MessageId, 'm-1');
+    assert.strictEqual(response.attempts, 3);
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(calls[0].Message, calls[2].Message);
+  });
+
+  await runTest('SNSService: Fatal errors are not retried', async () => {
+    const { snsService, calls } = flakySnsService([awsError('AuthorizationErrorException', 403)]);
+
+    await assert.rejects(
+      snsService.publishWebhookEvent(topicArn, eventData, 'test'),
+      (error) => error.message.startsWith('SNS publish failed: AuthorizationErrorException') && error.attempts === 1
+    );
+    assert.strictEqual(calls.length, 1);
+  });
+
+  await runTest('SinkRegistry: Delivery results carry the attempt count', async () => {
+    const retried = flakySnsService([awsError('ThrottlingException', 400)]);
+    const exhausted = flakySnsService([1, 2, 3].map(() => awsError('ServiceUnavailable', 503)));
+    const target = { type: 'sns', name: 'events', topicArn };
+    const context = { environment: 'test', params: {}, trackingIds: {}, fifo: null };
+
+    const success = await new SinkRegistry({ region: 'ap-southeast-3' }, retried.snsService).deliver(target, eventData, context);
+    assert.deepStrictEqual(success, { success: true, operation: 'sns', target: 'events', attempts: 2 });
+
+    const failure = await new SinkRegistry({ region: 'ap-southeast-3' }, exhausted.snsService).deliver(target, eventData, context);
+    assert.strictEqual(failure.success, false);
+    assert.strictEqual(failure.attempts, 3);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} retry tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Test suite for the declarative route registry
+ * Covers path patterns, route defaults, route sources and response templates
+ */
+
+const assert = require('assert');
+const { getConfig, resetConfig } = require('../src/config');
+const RouteRegistry = require('../src/services/route-registry.service');
+const ResponseUtil = require('../src/utils/response.util');
+const { validateMethod } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing Route Registry...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const routeTable = [
+  {
+    path: '/webhook/telegram/:botId',
+    name: 'telegram',
+    methods: ['post'],
+    collection: 'telegram_{{botId}}',
+    topicArn: 'arn:aws:sns:ap-southeast-3:123456789012:telegram'
+  },
+  { path: '/payment', critical: true },
+  { path: '/legacy/*', methods: ['POST', 'PUT'] }
+];
+
+function registryFor(env, ssm = null) {
+  resetConfig();
+  delete process.env.WEBHOOK_ROUTES;
+  delete process.env.ROUTES_PARAMETER;
+  delete process.env.ROUTES_FILE;
+  delete process.env.ROUTES_STRICT;
+  process.env.AWS_REGION = 'ap-southeast-3';
+  process.env.MONGODB_URI_PARAMETER = '/test/mongodb-uri';
+  process.env.SNS_TOPIC_ARN = 'arn:aws:sns:ap-southeast-3:123456789012:default';
+  Object.assign(process.env, env);
+  return new RouteRegistry(getConfig(), ssm);
+}
+
+(async () => {
+  await runTest('RouteRegistry: Path parameters are extracted', async () => {
+    const routes = registryFor({ WEBHOOK_ROUTES: JSON.stringify(routeTable) });
+    const route = await routes.resolve('/webhook/telegram/bot%2042');
+
+    assert.strictEqual(route.name, 'telegram');
+    assert.deepStrictEqual(route.params, { botId: 'bot 42' });
+    assert.deepStrictEqual(route.methods, ['POST']);
+    assert.strictEqual(route.topicArn, 'arn:aws:sns:ap-southeast-3:123456789012:telegram');
+    assert.strictEqual(ResponseUtil.renderString(route.collection, route.params), 'telegram_bot 42');
+  });
+
+  await runTest('RouteRegistry: Wildcards and trailing slashes', async () => {
+    const routes = registryFor({ WEBHOOK_ROUTES: JSON.stringify(routeTable) });
+
+    const legacy = await routes.resolve('/legacy/v1/orders');
+    assert.strictEqual(legacy.name, '/legacy/*');
+    assert.strictEqual(legacy.params.wildcard, 'v1/orders');
+
+    const payment = await routes.resolve('/payment/');
+    assert.strictEqual(payment.critical, true);
+    assert.strictEqual((await routes.resolve('/paymentx')).name, 'default');
+  });
+
+  await runTest('RouteRegistry: Defaults come from global configuration', async () => {
+    const routes = registryFor({ WEBHOOK_ROUTES: JSON.stringify(routeTable) });
+    const route = await routes.resolve('/payment');
+
+    assert.deepStrictEqual(route.methods, ['POST', 'PUT', 'PATCH', 'DELETE']);
+    assert.strictEqual(route.topicArn, 'arn:aws:sns:ap-southeast-3:123456789012:default');
+    assert.deepStrictEqual(route.params, {});
+  });
+
+  await runTest('RouteRegistry: Strict mode rejects unknown paths', async () => {
+    const routes = registryFor({ WEBHOOK_ROUTES: JSON.stringify(routeTable), ROUTES_STRICT: 'true' });
+
+    assert.strictEqual(await routes.resolve('/unknown'), null);
+    assert.strictEqual((await routes.resolve('/payment')).name, '/payment');
+  });
+
+  await runTest('RouteRegistry: SSM parameter takes precedence', async () => {
+    const requested = [];
+    const fakeSSM = {
+      getParameter: async (name) => {
+        requested.push(name);
+        return JSON.stringify({ routes: [{ path: '/line', collection: 'line_events' }] });
+      }
+    };
+    const routes = registryFor({
+      ROUTES_PARAMETER: '/webhook/routes',
+      WEBHOOK_ROUTES: JSON.stringify(routeTable)
+    }, fakeSSM);
+
+    assert.strictEqual((await routes.resolve('/line')).collection, 'line_events');
+    assert.strictEqual((await routes.resolve('/payment')).critical, false);
+    assert.deepStrictEqual(requested, ['/webhook/routes', '/webhook/routes']);
+  });
+
+  await runTest('RouteRegistry: Invalid route tables are rejected', () => {
+    assert.throws(() => RouteRegistry.parse('{"routes":{}}'), /expected an array of routes/);
+    assert.throws(() => RouteRegistry.parse('[{"path":"telegram"}]'), /must have a path starting with "\/"/);
+    assert.throws(() => RouteRegistry.parse('[{"path":"/a","methods":"POST"}]'), /methods must be an array/);
+    assert.deepStrictEqual(RouteRegistry.parse(''), []);
+  });
+
+  await runTest('RouteRegistry: Feature settings are checked by their own validators', () => {
+    const parse = (definition) => RouteRegistry.parse(JSON.stringify([{ path: '/orders', ...definition }]));
+
+    assert.throws(() => parse({ split: { pointer: 'events' } }), /^Error: Invalid route table: route \/orders split: Invalid JSON pointer: events$/);
+    assert.throws(() => parse({ messageGroup: { pointer: 'chat' } }), /^Error: Invalid route table: route \/orders messageGroup: Invalid JSON pointer: chat$/);
+    assert.throws(
+      () => parse({ targets: [{ name: 'billing', queueUrl: 'https://sqs/q', type: 'sqs', when: { pointer: 'type' } }] }),
+      /^Error: Invalid route table: route \/orders target "billing" predicate: Invalid JSON pointer: type$/
+    );
+    assert.throws(() => parse({ durability: 'always' }), /^Error: Invalid route table: route \/orders has unknown durability policy "always"$/);
+  });
+
+  await runTest('Handler: validateMethod honours route methods', () => {
+    registryFor({});
+    assert.strictEqual(validateMethod('PUT', { methods: ['POST'] }), false);
+    assert.strictEqual(validateMethod('POST', { methods: ['POST'] }), true);
+    assert.strictEqual(validateMethod('PATCH'), true);
+    assert.strictEqual(validateMethod('GET'), false);
+  });
+
+  await runTest('ResponseUtil: Response templates are rendered', () => {
+    const response = ResponseUtil.render(
+      { statusCode: 202, headers: { 'X-Request-Id': '{{requestId}}' }, body: { ok: true, id: '{{documentId}}' } },
+      { requestId: 'req-1', documentId: 'abc' }
+    );
+    assert.strictEqual(response.statusCode, 202);
+    assert.strictEqual(response.headers['Content-Type'], 'application/json');
+    assert.strictEqual(response.headers['X-Request-Id'], 'req-1');
+    assert.deepStrictEqual(JSON.parse(response.body), { ok: true, id: 'abc' });
+
+    const text = ResponseUtil.render({ body: 'OK {{missing}}' }, {});
+    assert.strictEqual(text.statusCode, 200);
+    assert.strictEqual(text.headers['Content-Type'], 'text/plain');
+    assert.strictEqual(text.body, 'OK ');
+  });
+
+  delete process.env.WEBHOOK_ROUTES;
+  delete process.env.ROUTES_PARAMETER;
+  delete process.env.ROUTES_STRICT;
+  resetConfig();
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} route registry tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
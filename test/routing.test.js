@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Test suite for multi-topic fan-out
+ * Covers target predicates, per-target attributes and per-target operation status
+ */
+
+const assert = require('assert');
+const RoutingUtil = require('../src/utils/routing.util');
+const RouteRegistry = require('../src/services/route-registry.service');
+const SinkRegistry = require('../src/services/sink-registry.service');
+const { describeOperations } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing Multi-Topic Fan-Out...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const topic = (name) => `arn:aws:sns:ap-southeast-3:123456789012:${name}`;
+
+const eventData = {
+  transport: {
+    method: 'POST',
+    path: '/webhook/telegram/8021',
+    headers: { 'Content-Type': 'application/json', 'X-Telegram-Env': 'prod' }
+  },
+  type: 'application/json',
+  payload: { update_id: 7, message: { chat: { id: 42, type: 'group' }, text: '/start' } },
+  attributes: { botId: '8021' }
+};
+
+const route = {
+  name: 'telegram',
+  topicArn: topic('webhooks'),
+  params: { botId: '8021' },
+  targets: [
+    { topicArn: topic('telegram-all') },
+    { name: 'groups', topicArn: topic('telegram-groups'), when: { pointer: '/message/chat/type', in: ['group', 'supergroup'] } },
+    { name: 'private', topicArn: topic('telegram-private'), when: { pointer: '/message/chat/type', equals: 'private' } },
+    {
+      name: 'commands',
+      topicArn: topic('telegram-commands'),
+      when: [{ header: 'x-telegram-env', equals: 'prod' }, { pointer: '/message/text', matches: '^/' }],
+      attributes: { command: { pointer: '/message/text' } }
+    }
+  ]
+};
+
+(async () => {
+  await runTest('RoutingUtil: Predicate operators', () => {
+    assert.strictEqual(RoutingUtil.matches(undefined, eventData), true);
+    assert.strictEqual(RoutingUtil.matches({ pointer: '/message/chat/id', equals: '42' }, eventData), true);
+    assert.strictEqual(RoutingUtil.matches({ pointer: '/message/chat/type', in: ['private'] }, eventData), false);
+    assert.strictEqual(RoutingUtil.matches({ pointer: '/message/text', matches: '^/st' }, eventData), true);
+    assert.strictEqual(RoutingUtil.matches({ pointer: '/edited_message', exists: false }, eventData), true);
+    assert.strictEqual(RoutingUtil.matches({ pointer: '/message' }, eventData), true);
+    assert.strictEqual(RoutingUtil.matches({ pointer: '/missing', equals: 'x' }, eventData), false);
+  });
+
+  await runTest('RoutingUtil: Path, header and param predicates', () => {
+    assert.strictEqual(RoutingUtil.matches({ path: '/webhook/telegram/*' }, eventData), true);
+    assert.strictEqual(RoutingUtil.matches({ path: '/webhook/github' }, eventData), false);
+    assert.strictEqual(RoutingUtil.matches({ header: 'X-TELEGRAM-ENV', in: ['prod', 'staging'] }, eventData), true);
+    assert.strictEqual(RoutingUtil.matches({ param: 'botId', equals: '8021' }, eventData, route.params), true);
+    assert.strictEqual(RoutingUtil.matches({ param: 'botId', equals: '1' }, eventData, route.params), false);
+  });
+
+  await runTest('RoutingUtil: All predicates in a list must match', () => {
+    const when = [{ header: 'X-Telegram-Env', equals: 'prod' }, { pointer: '/message/chat/type', equals: 'private' }];
+    assert.strictEqual(RoutingUtil.matches(when, eventData), false);
+    assert.strictEqual(RoutingUtil.matches(when.slice(0, 1), eventData), true);
+  });
+
+  await runTest('RoutingUtil: Binary payloads only match non-payload predicates', () => {
+    const binary = { ...eventData, payload: Buffer.from([1, 2, 3]) };
+    assert.strictEqual(RoutingUtil.matches({ pointer: '/message' }, binary), false);
+    assert.strictEqual(RoutingUtil.matches({ pointer: '/message', exists: false }, binary), true);
+    assert.strictEqual(RoutingUtil.matches({ header: 'Content-Type' }, binary), true);
+  });
+
+  await runTest('RoutingUtil: Matching targets are selected and named', () => {
+    const targets = RoutingUtil.resolveTargets(route, eventData);
+    assert.deepStrictEqual(targets.map(target => target.name), ['telegram-all', 'groups', 'commands']);
+    assert.strictEqual(targets[2].topicArn, topic('telegram-commands'));
+  });
+
+  await runTest('RoutingUtil: Routes without targets publish to their topic', () => {
+    assert.deepStrictEqual(
+      RoutingUtil.resolveTargets({ topicArn: topic('webhooks'), params: {} }, eventData),
+      [{ topicArn: topic('webhooks'), type: 'sns', name: 'webhooks' }]
+    );
+    assert.deepStrictEqual(RoutingUtil.resolveTargets({ topicArn: undefined, params: {} }, eventData), []);
+    assert.deepStrictEqual(RoutingUtil.resolveTargets({ ...route, targets: [] }, eventData), []);
+  });
+
+  await runTest('SinkRegistry: Targets publish with their own attributes', async () => {
+    const published = [];
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, {
+      publishWebhookEvent: async (topicArn, data) => published.push({ topicArn, data })
+    });
+    const publishContext = { environment: 'test', params: route.params, trackingIds: {}, traceId: null, spanId: null };
+
+    const results = await Promise.all(
+      RoutingUtil.resolveTargets(route, eventData).map(target => sinks.deliver(target, eventData, publishContext))
+    );
+
+    assert.deepStrictEqual(results.map(result => result.target), ['telegram-all', 'groups', 'commands']);
+    assert.deepStrictEqual(published[0].data.attributes, { botId: '8021' });
+    assert.deepStrictEqual(published[2].data.attributes, { botId: '8021', command: '/start' });
+    assert.deepStrictEqual(eventData.attributes, { botId: '8021' });
+  });
+
+  await runTest('SinkRegistry: Failed targets are reported by name', async () => {
+    const sinks = new SinkRegistry({ region: 'ap-southeast-3' }, {
+      publishWebhookEvent: async (topicArn) => {
+        if (topicArn.endsWith('groups')) throw new Error('Topic not found');
+      }
+    });
+    const publishContext = { environment: 'test', params: {}, trackingIds: {} };
+    const results = await Promise.all(
+      RoutingUtil.resolveTargets(route, eventData).map(target => sinks.deliver(target, eventData, publishContext))
+    );
+
+    assert.deepStrictEqual(results[1], { success: false, operation: 'sns', target: 'groups', attempts: 1, error: 'Topic not found' });
+    assert.strictEqual(
+      describeOperations(true, results),
+      'Webhook received, logged, and stored successfully. Publishing to groups failed.'
+    );
+    assert.strictEqual(
+      describeOperations(true, results.filter(result => result.success)),
+      'Webhook received, logged, stored, and published successfully'
+    );
+    assert.strictEqual(describeOperations(true, []), 'Webhook received, logged, and stored successfully');
+  });
+
+  await runTest('RouteRegistry: Targets are checked on load', () => {
+    const table = (targets) => JSON.stringify([{ path: '/webhook/telegram/:botId', targets }]);
+
+    assert.strictEqual(RouteRegistry.parse(table(route.targets)).length, 1);
+    assert.throws(() => RouteRegistry.parse(table({ topicArn: topic('a') })), /targets must be an array/);
+    assert.throws(() => RouteRegistry.parse(table([{ name: 'a' }])), /requires a topicArn/);
+    assert.throws(() => RouteRegistry.parse(table([{ topicArn: topic('a') }, { topicArn: topic('a') }])), /more than one target named "a"/);
+    assert.throws(() => RouteRegistry.parse(table([{ topicArn: topic('a'), when: { equals: 'x' } }])), /exactly one of path, pointer, header or param/);
+    assert.throws(() => RouteRegistry.parse(table([{ topicArn: topic('a'), when: { pointer: 'a' } }])), /Invalid JSON pointer/);
+    assert.throws(() => RouteRegistry.parse(table([{ topicArn: topic('a'), when: { header: 'X', in: 'prod' } }])), /"in" must be an array/);
+    assert.throws(() => RouteRegistry.parse(table([{ topicArn: topic('a'), when: { header: 'X', matches: '(' } }])), /Invalid regular expression/);
+    assert.throws(() => RouteRegistry.parse(table([{ topicArn: topic('a'), attributes: { path: { pointer: '/a' } } }])), /target "a" attribute name "path"/);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} routing tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Test suite for per-route JSON Schema validation
+ * Covers SchemaUtil, route table checks and the SNS validation attribute
+ */
+
+const assert = require('assert');
+const SchemaUtil = require('../src/utils/schema.util');
+const RouteRegistry = require('../src/services/route-registry.service');
+const SNSService = require('../src/services/sns.service');
+
+console.log('🧪 Testing Schema Validation...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(name, testFn) {
+  try {
+    testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const telegramSchema = {
+  type: 'object',
+  required: ['update_id', 'message'],
+  properties: {
+    update_id: { type: 'integer' },
+    message: {
+      type: 'object',
+      required: ['chat'],
+      properties: { chat: { type: 'object', required: ['id'] } }
+    },
+    email: { type: 'string', format: 'email' }
+  }
+};
+
+runTest('SchemaUtil: Valid payloads pass', () => {
+  const result = SchemaUtil.validate(telegramSchema, { update_id: 1, message: { chat: { id: 42 } } });
+  assert.deepStrictEqual(result, { valid: true, errors: [] });
+});
+
+runTest('SchemaUtil: All errors are reported with their paths', () => {
+  const result = SchemaUtil.validate(telegramSchema, {
+    update_id: 'one',
+    message: {},
+    email: 'not-an-email'
+  });
+
+  assert.strictEqual(result.valid, false);
+  const paths = result.errors.map(error => error.path).sort();
+  assert.deepStrictEqual(paths, ['/email', '/message', '/update_id']);
+  assert(result.errors.every(error => typeof error.message === 'string'));
+});
+
+runTest('SchemaUtil: Missing root properties use "/" as the path', () => {
+  const result = SchemaUtil.validate(telegramSchema, {});
+  assert.strictEqual(result.errors[0].path, '/');
+});
+
+runTest('SchemaUtil: Binary payloads fail validation', () => {
+  const result = SchemaUtil.validate(telegramSchema, Buffer.from([0x00, 0xff]));
+  assert.strictEqual(result.valid, false);
+});
+
+runTest('SchemaUtil: Compiled validators are cached per schema', () => {
+  assert.strictEqual(SchemaUtil.compile(telegramSchema), SchemaUtil.compile(telegramSchema));
+});
+
+runTest('RouteRegistry: Validation settings are checked on load', () => {
+  const table = (validation) => JSON.stringify([{ path: '/telegram', validation }]);
+
+  assert.strictEqual(RouteRegistry.parse(table({ schema: telegramSchema, mode: 'flag' })).length, 1);
+  assert.throws(() => RouteRegistry.parse(table({ schema: telegramSchema, mode: 'drop' })), /unknown validation mode/);
+  assert.throws(() => RouteRegistry.parse(table({ mode: 'reject' })), /validation requires a schema/);
+  assert.throws(() => RouteRegistry.parse(table({ schema: { type: 'nope' } })), /Invalid JSON Schema/);
+});
+
+runTest('SNSService: Flagged payloads carry a validation attribute', () => {
+  const snsService = new SNSService({ region: 'ap-southeast-3' });
+  const eventData = {
+    transport: { method: 'POST', path: '/telegram', headers: {} },
+    type: 'application/json',
+    payload: {},
+    validation: SchemaUtil.validate(telegramSchema, {})
+  };
+
+  const attributes = snsService._buildMessageAttributes(eventData, 'test', {}, null, null);
+  assert.strictEqual(attributes.validation.StringValue, 'invalid');
+  assert.strictEqual(snsService._buildMessage(eventData, 'test').validation.valid, false);
+
+  delete eventData.validation;
+  assert(!snsService._buildMessageAttributes(eventData, 'test', {}, null, null).validation);
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+if (testsFailed === 0) {
+  console.log(`\n✅ All ${testsPassed} schema validation tests passed successfully!\n`);
+  process.exit(0);
+} else {
+  console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+  process.exit(1);
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Test suite for webhook signature verification
+ * Covers SignatureUtil, route configuration and handler integration
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { getConfig, resetConfig } = require('../src/config');
+const SignatureUtil = require('../src/utils/signature.util');
+const RouteRegistry = require('../src/services/route-registry.service');
+const { extractEventData, verifySignature } = require('../src/handlers/webhook.handler');
+
+console.log('🧪 Testing Signature Verification...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const secret = 'test-signing-secret';
+const rawBody = '{"action":"opened","number":1}';
+const githubScheme = {
+  header: 'X-Hub-Signature-256',
+  prefix: 'sha256=',
+  algorithm: 'sha256',
+  encoding: 'hex',
+  secretParameter: '/webhook/github/secret'
+};
+
+function sign(body, encoding = 'hex') {
+  return crypto.createHmac('sha256', secret).update(body).digest(encoding);
+}
+
+(async () => {
+  await runTest('SignatureUtil: Valid GitHub-style signature', () => {
+    const headers = { 'x-hub-signature-256': `sha256=${sign(rawBody)}` };
+    const result = SignatureUtil.verify(githubScheme, rawBody, headers, secret);
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.reason, null);
+  });
+
+  await runTest('SignatureUtil: Tampered body is rejected', () => {
+    const headers = { 'X-Hub-Signature-256': `sha256=${sign(rawBody)}` };
+    const result = SignatureUtil.verify(githubScheme, rawBody + ' ', headers, secret);
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.reason, 'Signature mismatch');
+  });
+
+  await runTest('SignatureUtil: Missing header and prefix mismatch', () => {
+    const missing = SignatureUtil.verify(githubScheme, rawBody, {}, secret);
+    assert.strictEqual(missing.valid, false);
+    assert(missing.reason.includes('Missing signature header'));
+
+    const wrongPrefix = SignatureUtil.verify(
+      githubScheme,
+      rawBody,
+      { 'X-Hub-Signature-256': sign(rawBody) },
+      secret
+    );
+    assert.strictEqual(wrongPrefix.valid, false);
+    assert.strictEqual(wrongPrefix.reason, 'Signature prefix mismatch');
+  });
+
+  await runTest('SignatureUtil: Base64 encoding without prefix', () => {
+    const scheme = { header: 'X-Line-Signature', encoding: 'base64' };
+    const headers = { 'X-Line-Signature': sign(rawBody, 'base64') };
+
+    assert.strictEqual(SignatureUtil.verify(scheme, rawBody, headers, secret).valid, true);
+  });
+
+  await runTest('SignatureUtil: Unsupported algorithm and missing secret', () => {
+    const headers = { 'X-Hub-Signature-256': `sha256=${sign(rawBody)}` };
+
+    const badAlgorithm = SignatureUtil.verify({ ...githubScheme, algorithm: 'md5' }, rawBody, headers, secret);
+    assert.strictEqual(badAlgorithm.valid, false);
+
+    const noSecret = SignatureUtil.verify(githubScheme, rawBody, headers, '');
+    assert.strictEqual(noSecret.valid, false);
+  });
+
+  await runTest('SignatureUtil: Slack basestring with timestamp, from Slack\'s signing example', () => {
+    const slackScheme = {
+      header: 'X-Slack-Signature',
+      prefix: 'v0=',
+      timestampHeader: 'X-Slack-Request-Timestamp',
+      basestring: 'v0:{timestamp}:{body}'
+    };
+    const slackSecret = '8f742231b10e8888abcd99yyyzzz85a5';
+    const slackBody = 'token=xyzz0WbapA4vBCDEFasx0q6G&team_id=T1DC2JH3J&team_domain=testteamnow&channel_id=G8PSS9T3V&channel_name=foobar&user_id=U2CERLKJA&user_name=roadrunner&command=%2Fwebhook-collect&text=&response_url=https%3A%2F%2Fhooks.slack.com%2Fcommands%2FT1DC2JH3J%2F397700885554%2F96rGlfmibIGlgcZRskXaIFfN&trigger_id=398738663015.47445629121.803a0bc887a14d10d2c447fce8b6703c';
+    const headers = {
+      'x-slack-request-timestamp': '1531420618',
+      'x-slack-signature': 'v0=a2114d57b48eac39b9ad189dd8316235a7b4a8d21a10bd27519666489c69b503'
+    };
+    const sent = 1531420618 * 1000;
+
+    assert.deepStrictEqual(SignatureUtil.verify(slackScheme, Buffer.from(slackBody), headers, slackSecret, sent + 60000), { valid: true, reason: null });
+
+    // Signing the body alone, as schemes without a basestring do, does not match
+    assert.strictEqual(SignatureUtil.verify({ ...slackScheme, basestring: undefined }, slackBody, headers, slackSecret, sent).reason, 'Signature mismatch');
+
+    const replayed = SignatureUtil.verify(slackScheme, slackBody, headers, slackSecret, sent + 301000);
+    assert.strictEqual(replayed.reason, 'Signature timestamp is outside the allowed window');
+    assert.strictEqual(SignatureUtil.verify({ ...slackScheme, maxAgeSeconds: 600 }, slackBody, headers, slackSecret, sent + 301000).valid, true);
+
+    const shifted = { ...headers, 'x-slack-request-timestamp': '1531420619' };
+    assert.strictEqual(SignatureUtil.verify(slackScheme, slackBody, shifted, slackSecret, sent).reason, 'Signature mismatch');
+
+    const untimed = { 'x-slack-signature': headers['x-slack-signature'] };
+    assert(SignatureUtil.verify(slackScheme, slackBody, untimed, slackSecret, sent).reason.includes('Missing signature timestamp header'));
+    assert.strictEqual(SignatureUtil.verify(slackScheme, slackBody, { ...headers, 'x-slack-request-timestamp': 'soon' }, slackSecret, sent).reason, 'Invalid signature timestamp');
+  });
+
+  await runTest('RouteRegistry: Signature schemes are checked on load', () => {
+    const parse = (signature) => RouteRegistry.parse(JSON.stringify([{ path: '/slack', signature }]));
+
+    assert.throws(() => parse({ prefix: 'v0=' }), /route \/slack signature requires a header/);
+    assert.throws(() => parse({ header: 'X-Slack-Signature', basestring: 'v0:{timestamp}' }), /basestring must contain \{body\} exactly once/);
+    assert.throws(() => parse({ header: 'X-Slack-Signature', basestring: 'v0:{timestamp}:{body}' }), /uses \{timestamp\} but has no timestampHeader/);
+    assert.throws(() => parse({ header: 'X-Slack-Signature', timestampHeader: 'X-Slack-Request-Timestamp', maxAgeSeconds: 0 }), /maxAgeSeconds must be a positive integer/);
+  });
+
+  await runTest('RouteRegistry: Routes loaded from WEBHOOK_ROUTES', async () => {
+    resetConfig();
+    process.env.AWS_REGION = 'ap-southeast-3';
+    process.env.MONGODB_URI_PARAMETER = '/test/mongodb-uri';
+    process.env.WEBHOOK_ROUTES = JSON.stringify([{ path: '/github', signature: githubScheme }]);
+
+    const routes = new RouteRegistry(getConfig(), null);
+    assert.deepStrictEqual((await routes.resolve('/github')).signature, githubScheme);
+    assert.strictEqual((await routes.resolve('/generatives')).signature, undefined);
+
+    delete process.env.WEBHOOK_ROUTES;
+    resetConfig();
+  });
+
+  await runTest('RouteRegistry: Invalid WEBHOOK_ROUTES is rejected', async () => {
+    resetConfig();
+    process.env.WEBHOOK_ROUTES = '{not json';
+
+    const routes = new RouteRegistry(getConfig(), null);
+    await assert.rejects(() => routes.resolve('/github'), /Invalid route table/);
+
+    delete process.env.WEBHOOK_ROUTES;
+    resetConfig();
+  });
+
+  await runTest('Handler: verifySignature fetches secret via SSM', async () => {
+    const requested = [];
+    const fakeSSM = {
+      getParameter: async (name) => {
+        requested.push(name);
+        return secret;
+      }
+    };
+    const eventData = extractEventData({
+      requestContext: { httpMethod: 'POST' },
+      path: '/github',
+      headers: { 'X-Hub-Signature-256': `sha256=${sign(rawBody)}` },
+      body: Buffer.from(rawBody).toString('base64'),
+      isBase64Encoded: true
+    });
+
+    const result = await verifySignature(githubScheme, eventData, fakeSSM);
+
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(requested, ['/webhook/github/secret']);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} signature tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();
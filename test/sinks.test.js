@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Test suite for event sinks
+ * Covers SQS, EventBridge, Kinesis and HTTP sinks and per-route sink selection
+ */
+
+const assert = require('assert');
+const http = require('http');
+const SinkRegistry = require('../src/services/sink-registry.service');
+const SQSService = require('../src/services/sqs.service');
+const EventBridgeService = require('../src/services/eventbridge.service');
+const KinesisService = require('../src/services/kinesis.service');
+const RouteRegistry = require('../src/services/route-registry.service');
+const RoutingUtil = require('../src/utils/routing.util');
+
+console.log('🧪 Testing Event Sinks...\n');
+console.log('='.repeat(50));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const config = { region: 'ap-southeast-3' };
+const queueUrl = 'https://sqs.ap-southeast-3.amazonaws.com/123456789012/orders';
+
+const eventData = {
+  transport: { method: 'POST', path: '/line', headers: { 'Content-Type': 'application/json' } },
+  type: 'application/json',
+  payload: { events: [{ type: 'message', source: { userId: 'U4af4980629' } }] },
+  attributes: { eventType: 'message', tags: ['a', 'b'] }
+};
+
+const publishContext = {
+  environment: 'test',
+  params: {},
+  trackingIds: { correlationId: 'corr-1', requestId: 'req-1' },
+  fifo: null
+};
+
+/**
+ * Replace a sink's AWS client with one that records the commands it is sent
+ */
+function capture(client, response) {
+  const sent = [];
+  client.send = async (command) => {
+    sent.push(command.input);
+    return response;
+  };
+  return sent;
+}
+
+(async () => {
+  await runTest('RoutingUtil: Targets are named after their destination', () => {
+    assert.strictEqual(RoutingUtil.getTargetName({ type: 'sqs', queueUrl }), 'orders');
+    assert.strictEqual(RoutingUtil.getTargetName({ type: 'eventbridge', eventBusName: 'default' }), 'default');
+    assert.strictEqual(RoutingUtil.getTargetName({ type: 'kinesis', streamArn: 'arn:aws:kinesis:ap-southeast-3:123456789012:stream/clicks' }), 'clicks');
+    assert.strictEqual(RoutingUtil.getTargetName({ type: 'http', url: 'https://hooks.example.com/in?token=x' }), 'hooks.example.com');
+    assert.strictEqual(RoutingUtil.getTargetName({ type: 'http', name: 'crm', url: 'https://hooks.example.com' }), 'crm');
+  });
+
+  await runTest('SQSService: Messages carry the envelope and attributes', async () => {
+    const sqs = new SQSService(config);
+    const sent = capture(sqs.sqsClient, { MessageId: 'm-1' });
+
+    await sqs.publish({ type: 'sqs', queueUrl }, eventData, publishContext);
+
+    assert.strictEqual(sent[0].QueueUrl, queueUrl);
+    assert.deepStrictEqual(JSON.parse(sent[0].MessageBody).payload, eventData.payload);
+    assert.strictEqual(sent[0].MessageAttributes['x-correlation-id'].StringValue, 'corr-1');
+    assert.deepStrictEqual(sent[0].MessageAttributes.tags, { DataType: 'String', StringValue: '["a","b"]' });
+    assert.strictEqual(sent[0].MessageGroupId, undefined);
+  });
+
+  await runTest('SQSService: FIFO queues get group and deduplication IDs', async () => {
+    const sqs = new SQSService(config);
+    const sent = capture(sqs.sqsClient, { MessageId: 'm-1' });
+    const fifoQueue = `${queueUrl}.fifo`;
+
+    await sqs.publish({ type: 'sqs', queueUrl: fifoQueue }, eventData, {
+      ...publishContext,
+      fifo: { messageGroupId: 'U4af4980629', deduplicationId: 'dedup-1' }
+    });
+    assert.strictEqual(sent[0].MessageGroupId, 'U4af4980629');
+    assert.strictEqual(sent[0].MessageDeduplicationId, 'dedup-1');
+
+    await assert.rejects(sqs.publish({ type: 'sqs', queueUrl: fifoQueue }, eventData, publishContext), /FIFO queues require/);
+  });
+
+  await runTest('EventBridgeService: Events carry attributes and rejected entries fail', async () => {
+    const eventBridge = new EventBridgeService(config);
+    const sent = capture(eventBridge.eventBridgeClient, { FailedEntryCount: 0, Entries: [{ EventId: 'e-1' }] });
+
+    await eventBridge.publish({ type: 'eventbridge', eventBusName: 'webhooks', detailType: 'LINE Event' }, eventData, publishContext);
+
+    const [entry] = sent[0].Entries;
+    assert.strictEqual(entry.EventBusName, 'webhooks');
+    assert.strictEqual(entry.Source, 'webhook.receiver');
+    assert.strictEqual(entry.DetailType, 'LINE Event');
+    assert.deepStrictEqual(JSON.parse(entry.Detail).attributes, eventData.attributes);
+    assert.strictEqual(JSON.parse(entry.Detail).tracking.correlationId, 'corr-1');
+
+    capture(eventBridge.eventBridgeClient, {
+      FailedEntryCount: 1,
+      Entries: [{ ErrorCode: 'InternalFailure', ErrorMessage: 'try again' }]
+    });
+    await assert.rejects(
+      eventBridge.publish({ type: 'eventbridge', eventBusName: 'webhooks' }, eventData, publishContext),
+      /EventBridge put failed: InternalFailure: try again/
+    );
+  });
+
+  await runTest('KinesisService: Records are partitioned by the target rules', async () => {
+    const kinesis = new KinesisService(config);
+    const sent = capture(kinesis.kinesisClient, { ShardId: 'shardId-000000000000', SequenceNumber: '1' });
+
+    await kinesis.publish(
+      { type: 'kinesis', streamName: 'line-events', partitionKey: { pointer: '/events/0/source/userId' } },
+      eventData,
+      publishContext
+    );
+    await kinesis.publish({ type: 'kinesis', streamName: 'line-events' }, eventData, publishContext);
+
+    assert.strictEqual(sent[0].StreamName, 'line-events');
+    assert.strictEqual(sent[0].PartitionKey, 'U4af4980629');
+    assert.strictEqual(JSON.parse(Buffer.from(sent[0].Data).toString()).payload.events.length, 1);
+    assert.strictEqual(sent[1].PartitionKey, 'req-1');
+  });
+
+  await runTest('HttpSinkService: Events are POSTed and non-2xx answers fail', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(req.url === '/fail' ? 502 : 202);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const sinks = new SinkRegistry(config, null);
+      await sinks.publish({ type: 'http', url: `${base}/in`, headers: { Authorization: 'Bearer t' } }, eventData, publishContext);
+      await assert.rejects(
+        sinks.publish({ type: 'http', url: `${base}/fail` }, eventData, publishContext),
+        /HTTP forward failed: endpoint answered 502/
+      );
+
+      assert.strictEqual(requests[0].headers.authorization, 'Bearer t');
+      assert.strictEqual(requests[0].headers['x-correlation-id'], 'corr-1');
+      assert.deepStrictEqual(requests[0].body.payload, eventData.payload);
+      assert.deepStrictEqual(requests[0].body.attributes, eventData.attributes);
+    } finally {
+      server.close();
+    }
+  });
+
+  await runTest('SinkRegistry: Targets are dispatched by type', async () => {
+    const published = [];
+    const sns = { publishWebhookEvent: async (topicArn, data, environment) => published.push({ topicArn, environment }) };
+    const sinks = new SinkRegistry(config, sns);
+
+    await sinks.publish({ topicArn: 'arn:aws:sns:ap-southeast-3:123456789012:events' }, eventData, publishContext);
+    assert.deepStrictEqual(published, [{ topicArn: 'arn:aws:sns:ap-southeast-3:123456789012:events', environment: 'test' }]);
+
+    assert.strictEqual(sinks.sinks.sqs, undefined);
+    assert.ok(sinks.getSink('sqs') instanceof SQSService);
+    assert.strictEqual(sinks.getSink('sqs'), sinks.getSink('sqs'));
+    assert.throws(() => sinks.getSink('ftp'), /Unknown sink type "ftp"/);
+  });
+
+  await runTest('RouteRegistry: Sink targets are checked on load', () => {
+    const table = (targets) => JSON.stringify([{ path: '/line', targets }]);
+
+    assert.strictEqual(RouteRegistry.parse(table([
+      { type: 'sqs', queueUrl },
+      { type: 'eventbridge', eventBusName: 'webhooks' },
+      { type: 'kinesis', streamName: 'line-events', partitionKey: { pointer: '/events/0/source/userId' } },
+      { type: 'http', url: 'https://hooks.example.com/in', headers: { Authorization: 'Bearer t' }, timeoutMs: 2000 }
+    ])).length, 1);
+    assert.throws(() => RouteRegistry.parse(table([{ type: 'ftp', url: 'ftp://x' }])), /unknown type "ftp"/);
+    assert.throws(() => RouteRegistry.parse(table([{ type: 'sqs', topicArn: 'arn' }])), /requires a queueUrl/);
+    assert.throws(() => RouteRegistry.parse(table([{ type: 'kinesis' }])), /requires a streamName or streamArn/);
+    assert.throws(() => RouteRegistry.parse(table([{ type: 'kinesis', streamName: 's', partitionKey: { pointer: 'x' } }])), /partitionKey: Invalid JSON pointer/);
+    assert.throws(() => RouteRegistry.parse(table([{ type: 'http', url: 'not a url' }])), /url is invalid/);
+    assert.throws(() => RouteRegistry.parse(table([{ type: 'http', url: 'ftp://hooks.example.com' }])), /must use http or https/);
+    assert.throws(() => RouteRegistry.parse(table([{ type: 'http', url: 'https://a.example.com', timeoutMs: 0 }])), /timeoutMs must be a positive integer/);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  if (testsFailed === 0) {
+    console.log(`\n✅ All ${testsPassed} sink tests passed successfully!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${testsFailed} test(s) failed, ${testsPassed} passed\n`);
+    process.exit(1);
+  }
+})();